@@ -0,0 +1,169 @@
+/**
+ * A camera looking at part of the world, so maps can be larger than the canvas.
+ * It follows a target with a deadzone (the target moves freely inside it before the camera
+ * scrolls) and smoothing, and never shows anything beyond the map's edges. Maps smaller
+ * than the view are centered instead.
+ */
+export class Camera {
+    /**
+     * Creates a new camera.
+     * @param {Object} config - Configuration options
+     * @param {number} config.width - Width of the view in pixels (the canvas width)
+     * @param {number} config.height - Height of the view in pixels (the canvas height)
+     * @param {{width: number, height: number}} [config.deadzone] - Box in the middle of the view the target can
+     *     move in without scrolling the camera (defaults to a quarter of the view)
+     * @param {number} [config.smoothing=0.1] - Fraction of the way to its goal the camera covers each frame (1 = no smoothing)
+     */
+    constructor({ width, height, deadzone = { width: width / 4, height: height / 4 }, smoothing = 0.1 }) {
+        /** @type {number} World x coordinate of the view's left edge */
+        this.x = 0;
+        /** @type {number} World y coordinate of the view's top edge */
+        this.y = 0;
+        /** @type {number} Width of the view in pixels */
+        this.width = width;
+        /** @type {number} Height of the view in pixels */
+        this.height = height;
+        /** @type {{width: number, height: number}} Box around the view's center the target moves in freely */
+        this.deadzone = deadzone;
+        /** @type {number} Fraction of the way to its goal covered per frame at 60fps */
+        this.smoothing = smoothing;
+        /** @type {{width: number, height: number}} Size of the world (the current map) in pixels */
+        this.bounds = { width, height };
+    }
+
+    /**
+     * Sets the size of the world the camera may show, e.g. when the map changes.
+     * @param {number} width - World width in pixels
+     * @param {number} height - World height in pixels
+     */
+    setBounds(width, height) {
+        this.bounds = { width, height };
+        this._clamp();
+    }
+
+    /**
+     * Centers the camera on a target at once, without smoothing (after a map change).
+     * @param {{x: number, y: number, width: number, height: number}} target - Entity to look at
+     */
+    snapTo(target) {
+        this.x = target.x + target.width / 2 - this.width / 2;
+        this.y = target.y + target.height / 2 - this.height / 2;
+        this._clamp();
+    }
+
+    /**
+     * Moves the camera towards its target: only once the target leaves the deadzone, and
+     * smoothly rather than in one jump.
+     * @param {{x: number, y: number, width: number, height: number}} target - Entity to follow
+     * @param {number} [deltaTime=16] - Time passed since the last update in ms
+     */
+    update(target, deltaTime = 16) {
+        const centerX = target.x + target.width / 2;
+        const centerY = target.y + target.height / 2;
+        const goalX = this.x + deadzoneOverlap(centerX - this.x, this.width, this.deadzone.width);
+        const goalY = this.y + deadzoneOverlap(centerY - this.y, this.height, this.deadzone.height);
+
+        // Scale the smoothing with the frame time so the camera keeps the same pace at any frame rate
+        const step = 1 - Math.pow(1 - this.smoothing, Math.min(deltaTime, 100) / 16);
+        this.x += (goalX - this.x) * step;
+        this.y += (goalY - this.y) * step;
+        this._clamp();
+    }
+
+    /**
+     * Gets what to add to world coordinates to get screen coordinates. Renderers that take a
+     * map offset are given this; it is rounded so tiles line up on whole pixels.
+     * @returns {{x: number, y: number}} The offset in pixels
+     */
+    getOffset() {
+        return { x: -Math.round(this.x), y: -Math.round(this.y) };
+    }
+
+    /**
+     * Converts a world position to a position on the canvas.
+     * @param {number} x - World x coordinate in pixels
+     * @param {number} y - World y coordinate in pixels
+     * @returns {{x: number, y: number}} Screen coordinates
+     */
+    worldToScreen(x, y) {
+        const offset = this.getOffset();
+        return { x: x + offset.x, y: y + offset.y };
+    }
+
+    /**
+     * Converts a position on the canvas (e.g. the mouse) to a world position.
+     * @param {number} x - Screen x coordinate in pixels
+     * @param {number} y - Screen y coordinate in pixels
+     * @returns {{x: number, y: number}} World coordinates
+     */
+    screenToWorld(x, y) {
+        const offset = this.getOffset();
+        return { x: x - offset.x, y: y - offset.y };
+    }
+
+    /**
+     * Checks whether any part of a world rectangle is in view.
+     * @param {number} x - World x coordinate of the rectangle
+     * @param {number} y - World y coordinate of the rectangle
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {boolean} True if the rectangle is at least partly visible
+     */
+    isVisible(x, y, width, height) {
+        return x + width > this.x && x < this.x + this.width &&
+               y + height > this.y && y < this.y + this.height;
+    }
+
+    /**
+     * Gets the range of tiles in view, for drawing only those.
+     * @param {number} tileSize - Size of a tile in pixels
+     * @param {number} columns - Number of tile columns in the map
+     * @param {number} rows - Number of tile rows in the map
+     * @returns {{startX: number, startY: number, endX: number, endY: number}} First and last
+     *     visible tile on each axis (inclusive), within the map
+     */
+    getVisibleTiles(tileSize, columns, rows) {
+        return {
+            startX: Math.max(0, Math.floor(this.x / tileSize)),
+            startY: Math.max(0, Math.floor(this.y / tileSize)),
+            endX: Math.min(columns - 1, Math.floor((this.x + this.width) / tileSize)),
+            endY: Math.min(rows - 1, Math.floor((this.y + this.height) / tileSize))
+        };
+    }
+
+    /**
+     * Keeps the view inside the world, or centers the world on an axis where it is smaller than the view.
+     * @private
+     */
+    _clamp() {
+        this.x = clampAxis(this.x, this.width, this.bounds.width);
+        this.y = clampAxis(this.y, this.height, this.bounds.height);
+    }
+}
+
+/**
+ * Gets how far a point is outside the deadzone on one axis (0 if inside it).
+ * @param {number} position - The point's position relative to the view's edge
+ * @param {number} viewSize - Size of the view on this axis
+ * @param {number} deadzoneSize - Size of the deadzone on this axis
+ * @returns {number} Distance to scroll to bring the point back to the deadzone's edge
+ */
+function deadzoneOverlap(position, viewSize, deadzoneSize) {
+    const min = (viewSize - deadzoneSize) / 2;
+    const max = (viewSize + deadzoneSize) / 2;
+    if (position < min) return position - min;
+    if (position > max) return position - max;
+    return 0;
+}
+
+/**
+ * Clamps the view's position on one axis.
+ * @param {number} position - World coordinate of the view's edge
+ * @param {number} viewSize - Size of the view on this axis
+ * @param {number} worldSize - Size of the world on this axis
+ * @returns {number} The clamped position
+ */
+function clampAxis(position, viewSize, worldSize) {
+    if (worldSize <= viewSize) return (worldSize - viewSize) / 2;
+    return Math.min(Math.max(position, 0), worldSize - viewSize);
+}
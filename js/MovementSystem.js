@@ -1,3 +1,8 @@
+import { findPath } from './pathfinding.js';
+
+/** @type {number} Extra path cost of a hazard tile, so NPCs take a few steps more to walk around lava and spikes */
+const HAZARD_PATH_COST = 10;
+
 /**
  * A reusable MovementSystem class for handling movement-related functionality in game entities.
  * Can be used by both Player and NPCs to ensure consistent movement behavior.
@@ -17,6 +22,7 @@ export class MovementSystem {
         this.tileSize = options.tileSize ?? 32; // Default: 32 pixels
         this.canMoveThruWalls = options.canMoveThruWalls ?? false; // Default: can't move through walls
         this.isMoving = false; // Whether the entity is currently moving between tiles
+        this.terrainCost = 1; // Cost of the tile the entity stands on (see BaseMap.enterTile); slows it down
         this.moveRange = options.moveRange ?? 0; // How many tiles it can move from spawn (0 = unlimited)
 
         // Directional properties
@@ -28,6 +34,22 @@ export class MovementSystem {
         this.targetX = entity.x; // Target X position in pixels
         this.targetY = entity.y; // Target Y position in pixels
 
+        // Planned path (see moveAlongPath), kept between steps so it is only re-planned when needed
+        /** @type {Array<{x: number, y: number}>} Tiles still to step on, in order */
+        this.path = [];
+        /** @type {{x: number, y: number}|null} Tile the path leads to */
+        this.pathGoal = null;
+        /** @type {{x: number, y: number}|null} Tile the entity stood on when the path was planned */
+        this.pathStart = null;
+        /** @type {string} Tiles taken by other entities when the path was planned (see blockerSignature) */
+        this.pathBlockers = '';
+
+        /**
+         * Status effects of the entity (slow, freeze, root...), set by its owner once its combat system exists.
+         * @type {import('./combat/StatusEffectSet.js').StatusEffectSet|null}
+         */
+        this.statusEffects = options.statusEffects ?? null;
+
         // Store original spawn position (only used for NPCs)
         if (options.spawnTileX !== undefined && options.spawnTileY !== undefined) {
             this.spawnTileX = options.spawnTileX;
@@ -35,6 +57,22 @@ export class MovementSystem {
         }
     }
 
+    /**
+     * Checks whether status effects allow the entity to move (not frozen, rooted or stunned).
+     * @returns {boolean} Whether the entity can move
+     */
+    canMove() {
+        return !this.statusEffects || this.statusEffects.canMove();
+    }
+
+    /**
+     * Gets the speed after slowing status effects and terrain.
+     * @returns {number} Pixels per frame
+     */
+    getEffectiveSpeed() {
+        return this.speed * (this.statusEffects ? this.statusEffects.getSpeedMultiplier() : 1) / this.terrainCost;
+    }
+
     /**
      * Updates the entity's facing direction based on movement input.
      * @param {number} dx - Horizontal movement direction (-1, 0, or 1)
@@ -62,12 +100,14 @@ export class MovementSystem {
      */
     handleMovementAnimation() {
         if (!this.isMoving) return true; // Already at target
+        if (!this.canMove()) return false; // Held in place mid-step until the effect wears off
 
         const dx = this.targetX - this.entity.x;
         const dy = this.targetY - this.entity.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
+        const speed = this.getEffectiveSpeed();
 
-        if (distance < this.speed) {
+        if (distance < speed) {
             // Reached the target - snap to it
             this.entity.x = this.targetX;
             this.entity.y = this.targetY;
@@ -75,8 +115,8 @@ export class MovementSystem {
             return true; // Reached target
         } else {
             // Continue moving towards target
-            this.entity.x += (dx / distance) * this.speed;
-            this.entity.y += (dy / distance) * this.speed;
+            this.entity.x += (dx / distance) * speed;
+            this.entity.y += (dy / distance) * speed;
             return false; // Still moving
         }
     }
@@ -116,8 +156,8 @@ export class MovementSystem {
             return false;
         }
         
-        // Check if the tile is walkable
-        if (!this.canMoveThruWalls && !map.isWalkableTile(map.mapData[tileY][tileX])) {
+        // Check if the tile is walkable (by this entity: some tiles let only some through)
+        if (!this.canMoveThruWalls && !map.isWalkableTile(map.mapData[tileY][tileX], this.entity)) {
             return false;
         }
         
@@ -219,7 +259,7 @@ export class MovementSystem {
      */
     followTarget(target, map, followDistance = this.tileSize) {
         // Don't try to follow if already moving between tiles
-        if (this.isMoving) return false;
+        if (this.isMoving || !this.canMove()) return false;
         
         // Calculate distance to target in pixels
         const dx = target.x - this.entity.x;
@@ -242,60 +282,12 @@ export class MovementSystem {
             return false;
         }
         
-        // Determine which direction to move (simple pathfinding)
-        let dirX = 0;
-        let dirY = 0;
-        
-        // Move horizontally or vertically based on largest distance
-        if (Math.abs(targetTileX - entityTileX) > Math.abs(targetTileY - entityTileY)) {
-            // Move horizontally
-            dirX = targetTileX > entityTileX ? 1 : -1;
-        } else {
-            // Move vertically
-            dirY = targetTileY > entityTileY ? 1 : -1;
-        }
-        
-        // Try to move in the chosen direction
-        const newTileX = entityTileX + dirX;
-        const newTileY = entityTileY + dirY;
-        
         // Check for collisions with all NPCs on the map, not just the player
         // When following the player, we need to check all NPCs to prevent walking through them
         const otherEntities = map.npcs ? [...map.npcs, target] : target;
         
-        if (this.isValidTileMove(newTileX, newTileY, map, otherEntities)) {
-            this.targetX = newTileX * this.tileSize;
-            this.targetY = newTileY * this.tileSize;
-            this.directionX = dirX;
-            this.directionY = dirY;
-            this.isMoving = true;
-            this.updateDirection(dirX, dirY);
-            return true;
-        } else {
-            // If primary direction is blocked, try the other direction
-            if (dirX !== 0) {
-                dirX = 0;
-                dirY = targetTileY > entityTileY ? 1 : -1;
-            } else {
-                dirY = 0;
-                dirX = targetTileX > entityTileX ? 1 : -1;
-            }
-            
-            const altTileX = entityTileX + dirX;
-            const altTileY = entityTileY + dirY;
-            
-            if (this.isValidTileMove(altTileX, altTileY, map, otherEntities)) {
-                this.targetX = altTileX * this.tileSize;
-                this.targetY = altTileY * this.tileSize;
-                this.directionX = dirX;
-                this.directionY = dirY;
-                this.isMoving = true;
-                this.updateDirection(dirX, dirY);
-                return true;
-            }
-        }
-        
-        return false; // Couldn't move
+        // Walk the path up to the tile next to the target (the target itself stands on the goal tile)
+        return this.moveAlongPath(targetTileX, targetTileY, map, otherEntities, true);
     }
 
     /**
@@ -304,6 +296,7 @@ export class MovementSystem {
      * @returns {boolean} Whether the entity started moving
      */
     returnToSpawn(map) {
+        if (!this.canMove()) return false;
         if (this.spawnTileX === undefined || this.spawnTileY === undefined) {
             return false; // No spawn point defined
         }
@@ -316,60 +309,125 @@ export class MovementSystem {
             return false;
         }
         
-        // Determine direction to move towards spawn
-        let dirX = 0;
-        let dirY = 0;
-        
-        // Move horizontally or vertically based on largest distance
-        if (Math.abs(this.spawnTileX - currentTileX) > Math.abs(this.spawnTileY - currentTileY)) {
-            // Move horizontally
-            dirX = this.spawnTileX > currentTileX ? 1 : -1;
+        // Find the way home around walls and other NPCs
+        return this.moveAlongPath(this.spawnTileX, this.spawnTileY, map, map.npcs ?? null);
+    }
+
+    /**
+     * Takes the next step along a path to a goal tile, planning the path with A* when needed.
+     * The path is kept between steps and only re-planned when the goal moves to another tile,
+     * the entity has left the path (e.g. knocked off it), or another entity blocks the next step.
+     * If the goal can't be reached, the path leads as close to it as possible. Once there is no
+     * closer tile to go to, A* isn't run again until the goal, the entity or another entity
+     * changes tile.
+     * @param {number} goalTileX - Goal tile X coordinate
+     * @param {number} goalTileY - Goal tile Y coordinate
+     * @param {Object} map - The current map instance
+     * @param {Object|Array|null} otherEntities - Entities that block movement (optional)
+     * @param {boolean} [stopBeforeGoal=false] - Stop next to the goal instead of stepping on it (when it is an entity's tile)
+     * @returns {boolean} Whether the entity started moving
+     */
+    moveAlongPath(goalTileX, goalTileY, map, otherEntities = null, stopBeforeGoal = false) {
+        if (this.isMoving || !this.canMove()) return false;
+
+        const tileX = Math.floor(this.entity.x / this.tileSize);
+        const tileY = Math.floor(this.entity.y / this.tileSize);
+        const isGoal = (x, y) => x === goalTileX && y === goalTileY;
+
+        let next = this.path[0];
+        const goalMoved = !this.pathGoal || !isGoal(this.pathGoal.x, this.pathGoal.y);
+        let needsPlan;
+        if (next) {
+            const leftPath = Math.abs(next.x - tileX) + Math.abs(next.y - tileY) !== 1;
+            needsPlan = goalMoved || leftPath ||
+                (!(stopBeforeGoal && isGoal(next.x, next.y)) && !this.isValidTileMove(next.x, next.y, map, otherEntities));
         } else {
-            // Move vertically
-            dirY = this.spawnTileY > currentTileY ? 1 : -1;
+            // The last plan found nothing closer: only a new goal, a new start or moved blockers can change that
+            const moved = !this.pathStart || this.pathStart.x !== tileX || this.pathStart.y !== tileY;
+            needsPlan = goalMoved || moved || this.pathBlockers !== blockerSignature(otherEntities, this.tileSize);
         }
-        
-        // Always update direction even if we can't move
-        this.updateDirection(dirX, dirY);
-        
-        // Try to move in the chosen direction
-        const newTileX = currentTileX + dirX;
-        const newTileY = currentTileY + dirY;
-        
-        if (this.isValidTileMove(newTileX, newTileY, map, null)) {
-            this.targetX = newTileX * this.tileSize;
-            this.targetY = newTileY * this.tileSize;
-            this.directionX = dirX;
-            this.directionY = dirY;
-            this.isMoving = true;
-            return true;
-        } else {
-            // If primary direction is blocked, try the other direction
-            if (dirX !== 0) {
-                dirX = 0;
-                dirY = this.spawnTileY > currentTileY ? 1 : -1;
-            } else {
-                dirY = 0;
-                dirX = this.spawnTileX > currentTileX ? 1 : -1;
-            }
-            
-            // Update direction for the alternate move attempt
-            this.updateDirection(dirX, dirY);
-            
-            const altTileX = currentTileX + dirX;
-            const altTileY = currentTileY + dirY;
-            
-            if (this.isValidTileMove(altTileX, altTileY, map, null)) {
-                this.targetX = altTileX * this.tileSize;
-                this.targetY = altTileY * this.tileSize;
-                this.directionX = dirX;
-                this.directionY = dirY;
-                this.isMoving = true;
-                return true;
-            }   
+        if (needsPlan) {
+            this.planPath(goalTileX, goalTileY, map, otherEntities);
+            next = this.path[0];
         }
-        
-        return false; // Couldn't move
+
+        // Nowhere closer to go, or only the goal itself is left
+        if (!next || (stopBeforeGoal && isGoal(next.x, next.y))) return false;
+
+        const dirX = next.x - tileX;
+        const dirY = next.y - tileY;
+        this.updateDirection(dirX, dirY);
+        if (!this.isValidTileMove(next.x, next.y, map, otherEntities)) return false;
+
+        this.path.shift();
+        this.targetX = next.x * this.tileSize;
+        this.targetY = next.y * this.tileSize;
+        this.isMoving = true;
+        return true;
+    }
+
+    /**
+     * Plans a path from the entity's tile to a goal tile, avoiding walls, tiles outside its
+     * move range and tiles taken by other entities (the goal tile itself is always allowed).
+     * @param {number} goalTileX - Goal tile X coordinate
+     * @param {number} goalTileY - Goal tile Y coordinate
+     * @param {Object} map - The current map instance
+     * @param {Object|Array|null} otherEntities - Entities that block movement (optional)
+     * @returns {Array<{x: number, y: number}>} The planned path (also stored in this.path)
+     */
+    planPath(goalTileX, goalTileY, map, otherEntities = null) {
+        const start = {
+            x: Math.floor(this.entity.x / this.tileSize),
+            y: Math.floor(this.entity.y / this.tileSize)
+        };
+        const goal = { x: goalTileX, y: goalTileY };
+        const isPassable = (x, y) => (x === goal.x && y === goal.y) || this.isValidTileMove(x, y, map, otherEntities);
+
+        this.path = findPath(start, goal, isPassable, {
+            allowPartial: true,
+            getCost: (x, y) => this.getTileCost(x, y, map)
+        });
+        this.pathGoal = goal;
+        this.pathStart = start;
+        this.pathBlockers = blockerSignature(otherEntities, this.tileSize);
+        return this.path;
+    }
+
+    /**
+     * Gets how costly a tile is to path through for this entity: slow tiles cost more, and
+     * hazards much more unless the entity flies over them.
+     * @param {number} tileX - Tile X coordinate
+     * @param {number} tileY - Tile Y coordinate
+     * @param {Object} map - The current map instance
+     * @returns {number} The path cost of stepping on the tile (at least 1)
+     */
+    getTileCost(tileX, tileY, map) {
+        const type = map.mapData[tileY]?.[tileX];
+        const isHazard = !this.entity.canFly && map.isHazardTile(type);
+        return map.getTileType(type).cost + (isHazard ? HAZARD_PATH_COST : 0);
+    }
+
+    /**
+     * Keeps the entity going one more tile in the direction of its last step, as on ice.
+     * @param {Object} map - The current map instance
+     * @param {Object|Array|null} otherEntities - Entities that stop the slide (optional)
+     * @returns {boolean} Whether the entity slid on
+     */
+    slide(map, otherEntities = null) {
+        if (this.directionX === 0 && this.directionY === 0) return false;
+
+        const tileX = Math.floor(this.entity.x / this.tileSize) + this.directionX;
+        const tileY = Math.floor(this.entity.y / this.tileSize) + this.directionY;
+        return this.attemptMove(tileX, tileY, this.directionX, this.directionY, map, otherEntities);
+    }
+
+    /**
+     * Forgets the planned path, e.g. after the entity was moved by something other than its path.
+     */
+    clearPath() {
+        this.path = [];
+        this.pathGoal = null;
+        this.pathStart = null;
     }
 
     /**
@@ -380,7 +438,7 @@ export class MovementSystem {
      */
     moveRandomly(map, otherEntities = null) {
         // Already moving
-        if (this.isMoving) return false;
+        if (this.isMoving || !this.canMove()) return false;
         
         // Get current tile position
         const currentTileX = Math.floor(this.entity.x / this.tileSize);
@@ -412,6 +470,11 @@ export class MovementSystem {
                 break;
         }
         
+        // Wanderers don't stroll into lava (flyers pass over it unharmed)
+        if (!this.entity.canFly && map.isHazardTile(map.mapData[targetTileY]?.[targetTileX])) {
+            return false;
+        }
+        
         return this.attemptMove(targetTileX, targetTileY, dirX, dirY, map, otherEntities);
     }
     
@@ -426,6 +489,8 @@ export class MovementSystem {
      * @returns {boolean} Whether the entity started moving
      */
     attemptMove(tileX, tileY, dirX, dirY, map, otherEntities = null) {
+        if (!this.canMove()) return false;
+        
         // Always update character direction, even if they can't move
         this.updateDirection(dirX, dirY);
         
@@ -446,3 +511,19 @@ export class MovementSystem {
         return false; // Couldn't move
     }
 }
+
+/**
+ * Describes which tiles other entities stand on or are stepping to, so a plan made around
+ * them can tell when they have moved.
+ * @param {Object|Array|null} otherEntities - Entities that block movement
+ * @param {number} tileSize - Size of a tile in pixels
+ * @returns {string} The occupied tiles, in entity order
+ */
+function blockerSignature(otherEntities, tileSize) {
+    if (!otherEntities) return '';
+    const entities = Array.isArray(otherEntities) ? otherEntities : [otherEntities];
+    return entities.map(entity => {
+        const tile = `${Math.floor(entity.x / tileSize)},${Math.floor(entity.y / tileSize)}`;
+        return entity.isMoving ? `${tile}>${Math.floor(entity.targetX / tileSize)},${Math.floor(entity.targetY / tileSize)}` : tile;
+    }).join(';');
+}
@@ -0,0 +1,66 @@
+/**
+ * BossHealthBar.js
+ * Draws a wide health bar across the top of the canvas while the player is fighting a boss,
+ * with the boss's name, its current phase and a notch at each phase threshold.
+ */
+export class BossHealthBar {
+    /**
+     * Creates a new BossHealthBar instance.
+     * @param {Object} [config] - Configuration for the boss health bar
+     * @param {number} [config.width=360] - Width of the bar in pixels
+     * @param {number} [config.height=10] - Height of the bar in pixels
+     * @param {number} [config.y=48] - Distance from the top of the canvas (below the map name)
+     */
+    constructor(config = {}) {
+        this.width = config.width || 360;
+        this.height = config.height || 10;
+        this.y = config.y || 48;
+    }
+
+    /**
+     * Draws the health bar of a boss, if there is one.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {import('../npcs/BaseNPC.js').BaseNPC} [boss] - The boss being fought
+     */
+    render(ctx, boss) {
+        if (!boss) return;
+
+        const { currentHealth, maxHealth } = boss.combatSystem;
+        const fraction = Math.max(0, Math.min(1, currentHealth / maxHealth));
+        const x = (ctx.canvas.width - this.width) / 2;
+        const y = this.y;
+        const phase = boss.getPhase?.();
+
+        ctx.save();
+
+        // Frame and empty bar
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(x - 2, y - 2, this.width + 4, this.height + 4);
+        ctx.fillStyle = 'rgba(60, 10, 10, 0.9)';
+        ctx.fillRect(x, y, this.width, this.height);
+
+        // Remaining health, brighter as the boss enrages
+        ctx.fillStyle = boss.isEnraged ? 'rgba(255, 40, 0, 1)' : 'rgba(190, 20, 20, 1)';
+        ctx.fillRect(x, y, this.width * fraction, this.height);
+
+        // Notches where later phases begin
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.9)';
+        (boss.phases || [])
+            .filter(({ threshold }) => threshold < 1)
+            .forEach(({ threshold }) => ctx.fillRect(x + this.width * threshold - 1, y, 2, this.height));
+
+        // Name on the left, phase on the right
+        ctx.font = 'bold 12px Arial';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'left';
+        ctx.fillText(boss.name, x, y - 4);
+        if (phase) {
+            ctx.fillStyle = 'rgba(255, 180, 80, 1)';
+            ctx.textAlign = 'right';
+            ctx.fillText(phase.name, x + this.width, y - 4);
+        }
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Hotbar.js
+ * Quick-use slots for consumables, drawn along the bottom of the canvas and
+ * triggered with the number keys 1-4.
+ */
+import { getItem } from '../items/items.js';
+
+export class Hotbar {
+    /**
+     * Creates a new Hotbar instance.
+     * @param {Object} player - Reference to the player object
+     * @param {Object} [config] - Configuration for the hotbar
+     * @param {number} [config.size=4] - Number of slots
+     * @param {number} [config.slotSize=36] - Width and height of a slot in pixels
+     * @param {number} [config.gap=6] - Space between slots in pixels
+     * @param {number} [config.bottomMargin=10] - Distance from the bottom of the canvas
+     */
+    constructor(player, config = {}) {
+        this.player = player;
+        this.size = config.size || 4;
+        this.slotSize = config.slotSize || 36;
+        this.gap = config.gap || 6;
+        this.bottomMargin = config.bottomMargin || 10;
+
+        /** @type {Array<string|null>} Item id assigned to each slot */
+        this.slots = new Array(this.size).fill(null);
+
+        /** @private @type {Set<string>} Number keys held down last frame (so holding a key uses one item) */
+        this._keysDown = new Set();
+        /** @private @type {number} Slot highlighted after use */
+        this._flashIndex = -1;
+        /** @private @type {number} Timestamp when the highlight ends */
+        this._flashEndTime = 0;
+
+        // Newly picked up consumables fill empty slots automatically
+        this.player.inventory?.onChange(() => this._autoAssign());
+    }
+
+    /**
+     * Assigns an item to a slot. The item is removed from any other slot.
+     * @param {number} index - Slot index (0-based)
+     * @param {string|null} itemId - Item id, or null to clear the slot
+     */
+    assign(index, itemId) {
+        if (index < 0 || index >= this.size) return;
+
+        if (itemId) {
+            const currentIndex = this.slots.indexOf(itemId);
+            if (currentIndex !== -1) {
+                this.slots[currentIndex] = null;
+            }
+        }
+        this.slots[index] = itemId;
+    }
+
+    /**
+     * Clears every slot.
+     */
+    clear() {
+        this.slots.fill(null);
+    }
+
+    /**
+     * Uses one of the item assigned to a slot.
+     * @param {number} index - Slot index (0-based)
+     * @returns {boolean} Whether an item was used
+     */
+    use(index) {
+        const itemId = this.slots[index];
+        if (!itemId) return false;
+
+        const slotIndex = this.player.inventory.findSlot(itemId);
+        if (slotIndex === -1) return false;
+
+        const used = this.player.useItem(slotIndex);
+        if (used) {
+            this._flashIndex = index;
+            this._flashEndTime = Date.now() + 200;
+        }
+        return used;
+    }
+
+    /**
+     * Uses items when their number key is pressed.
+     * @param {InputHandler} input - The input handler
+     */
+    update(input) {
+        for (let i = 0; i < this.size; i++) {
+            const key = String(i + 1);
+
+            if (input.isPressed(key)) {
+                if (!this._keysDown.has(key)) {
+                    this._keysDown.add(key);
+                    this.use(i);
+                }
+            } else {
+                this._keysDown.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Puts usable items that are not on the hotbar yet into empty slots.
+     * @private
+     */
+    _autoAssign() {
+        for (const stack of this.player.inventory.getItems()) {
+            if (!stack.item.isUsable() || this.slots.includes(stack.id)) continue;
+
+            const emptyIndex = this.slots.indexOf(null);
+            if (emptyIndex === -1) return;
+            this.slots[emptyIndex] = stack.id;
+        }
+    }
+
+    /**
+     * Draws the hotbar centered along the bottom of the canvas.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    render(ctx) {
+        const totalWidth = this.size * this.slotSize + (this.size - 1) * this.gap;
+        const startX = (ctx.canvas.width - totalWidth) / 2;
+        const y = ctx.canvas.height - this.slotSize - this.bottomMargin;
+        const now = Date.now();
+
+        ctx.save();
+
+        for (let i = 0; i < this.size; i++) {
+            const x = startX + i * (this.slotSize + this.gap);
+            const itemId = this.slots[i];
+            const item = itemId ? getItem(itemId) : null;
+            const count = itemId ? this.player.inventory.countItem(itemId) : 0;
+            const isFlashing = i === this._flashIndex && now < this._flashEndTime;
+
+            // Slot background and border
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = 'rgba(30, 16, 6, 0.85)';
+            ctx.fillRect(x, y, this.slotSize, this.slotSize);
+            ctx.strokeStyle = isFlashing ? '#ffcc88' : '#6B4226';
+            ctx.lineWidth = isFlashing ? 2 : 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, this.slotSize - 1, this.slotSize - 1);
+
+            // Key number
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = '#BF9E7D';
+            ctx.fillText(String(i + 1), x + 3, y + 2);
+
+            if (!item) continue;
+
+            // Item icon, faded when none are left
+            ctx.globalAlpha = count > 0 ? 1 : 0.35;
+            ctx.font = `${Math.floor(this.slotSize * 0.55)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(item.icon, x + this.slotSize / 2, y + this.slotSize / 2 + 2);
+
+            // Quantity
+            ctx.globalAlpha = 1;
+            ctx.font = 'bold 10px Arial';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillStyle = count > 0 ? '#ffcc88' : '#ff3333';
+            ctx.fillText(String(count), x + this.slotSize - 3, y + this.slotSize - 2);
+        }
+
+        ctx.restore();
+    }
+}
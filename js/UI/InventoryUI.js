@@ -1,3 +1,6 @@
+import { ATTRIBUTES } from '../combat/stats.js';
+import { getDamageType } from '../combat/damageTypes.js';
+
 /**
  * Manages the Diablo 2 style inventory UI with grid-based inventory slots.
  */
@@ -12,8 +15,17 @@ export class InventoryUI {
     _totalSlots = 40; // 4 rows x 10 columns
     /** @private @type {number} Currently selected slot index */
     _selectedSlotIndex = 0;
+    /** @private @type {number|null} Index of the slot picked up for moving, or null */
+    _heldSlotIndex = null;
     /** @private @type {Object} Reference to the player object */
     _player = null;
+    /** @private @type {Object.<string, number>} Stat points placed with +/- but not confirmed yet */
+    _pendingStatPoints = {};
+    /** @private @type {Object.<string, {icon: string, label: string}>} What empty equipment slots show */
+    _equipmentPlaceholders = {
+        weapon: { icon: '⚔️', label: 'Weapon' },
+        armor: { icon: '🛡️', label: 'Armor' }
+    };
 
     /**
      * Creates a new InventoryUI instance.
@@ -35,12 +47,21 @@ export class InventoryUI {
                         <button class="inventory-close">X</button>
                     </div>
                     <div class="player-stats">
-                        <div class="player-hp-container">
-                            <div class="player-stat-label">HP:</div>
-                            <div class="player-hp-bar">
-                                <div class="player-hp-fill"></div>
+                        <div class="player-bars">
+                            <div class="player-hp-container">
+                                <div class="player-stat-label">HP:</div>
+                                <div class="player-hp-bar">
+                                    <div class="player-hp-fill"></div>
+                                </div>
+                                <div class="player-hp-text">0/0</div>
+                            </div>
+                            <div class="player-sp-container">
+                                <div class="player-stat-label">SP:</div>
+                                <div class="player-sp-bar">
+                                    <div class="player-sp-fill"></div>
+                                </div>
+                                <div class="player-sp-text">0/0</div>
                             </div>
-                            <div class="player-hp-text">0/0</div>
                         </div>
                         <div class="player-gold">
                             <span class="gold-icon">🪙</span>
@@ -49,30 +70,61 @@ export class InventoryUI {
                     </div>
                     <div class="player-stats-panel">
                         <div class="stats-header">
-                            <div class="stats-title">Character Stats</div>
+                            <div class="stats-title">Character Stats <span class="stats-points-badge hidden"></span></div>
                             <button class="stats-toggle" title="Toggle Stats">▼</button>
                         </div>
-                        <div class="stats-grid collapsed">
-                            <div class="stat-row">
-                                <div class="stat-label">Strength:</div>
-                                <div class="stat-value" id="stat-strength">0</div>
+                        <div class="player-xp-container">
+                            <div class="player-stat-label">Lv <span class="player-level">1</span></div>
+                            <div class="player-xp-bar">
+                                <div class="player-xp-fill"></div>
                             </div>
-                            <div class="stat-row">
-                                <div class="stat-label">Vitality:</div>
-                                <div class="stat-value" id="stat-vitality">0</div>
+                            <div class="player-xp-text">0/0 XP</div>
+                        </div>
+                        <div class="stats-grid collapsed">
+                            <div class="stat-attributes">${this._generateAttributeRows()}</div>
+                            <div class="stat-derived">
+                                <div class="stat-row">
+                                    <div class="stat-label">Damage:</div>
+                                    <div class="stat-value" id="stat-damage">0</div>
+                                </div>
+                                <div class="stat-row">
+                                    <div class="stat-label">Attack:</div>
+                                    <div class="stat-value" id="stat-cooldown">0s</div>
+                                </div>
+                                <div class="stat-row">
+                                    <div class="stat-label">Dodge:</div>
+                                    <div class="stat-value" id="stat-dodge">0%</div>
+                                </div>
+                                <div class="stat-row">
+                                    <div class="stat-label">Block:</div>
+                                    <div class="stat-value" id="stat-reduction">0%</div>
+                                </div>
+                                <div class="stat-row">
+                                    <div class="stat-label">Crit:</div>
+                                    <div class="stat-value" id="stat-crit">0%</div>
+                                </div>
+                                <div class="stat-row">
+                                    <div class="stat-label">Loot:</div>
+                                    <div class="stat-value" id="stat-loot">+0%</div>
+                                </div>
+                                <div class="stat-row">
+                                    <div class="stat-label">SP Regen:</div>
+                                    <div class="stat-value" id="stat-stamina-regen">0/s</div>
+                                </div>
                             </div>
-                            <div class="stat-row">
-                                <div class="stat-label">Damage:</div>
-                                <div class="stat-value" id="stat-damage">0</div>
+                            <div class="stat-allocation">
+                                <div class="stat-points">Points: <span class="stat-points-value">0</span></div>
+                                <button class="stat-reset">Reset</button>
+                                <button class="stat-confirm">Confirm</button>
                             </div>
                         </div>
                     </div>
                     <div class="player-equipment">
-                        <div class="equipment-slot weapon-slot" title="Weapon Slot">
+                        <div class="equipment-slot weapon-slot" data-equip-slot="weapon" title="Weapon Slot">
                             <div class="equipment-icon">⚔️</div>
                             <div class="equipment-label">Weapon</div>
                         </div>
-                        <div class="equipment-slot armor-slot" title="Armor Slot">
+                        <div class="equipment-slot armor-slot" data-equip-slot="armor" title="Armor Slot">
                             <div class="equipment-icon">🛡️</div>
                             <div class="equipment-label">Armor</div>
                         </div>
@@ -82,7 +134,8 @@ export class InventoryUI {
                             <div class="inventory-slots">${this._generateInventorySlots()}</div>
                         </div>
                     </div>
-                    <div class="inventory-nav-hint">Use Arrow Keys or Touch to Navigate</div>
+                    <div class="inventory-item-info"></div>
+                    <div class="inventory-nav-hint">Arrows: Navigate · Enter: Move · Shift+Enter: Split · E: Equip/Use · 1-4: Hotbar</div>
                 </div>
             `;
             document.getElementById('game-container').appendChild(container);
@@ -92,6 +145,10 @@ export class InventoryUI {
         
         // Setup event listeners
         this._setupEventListeners();
+        
+        // Redraw the grid whenever the player's items change
+        this._player?.inventory?.onChange(() => this._renderSlots());
+        this._renderSlots();
     }
 
     /**
@@ -108,6 +165,22 @@ export class InventoryUI {
         return slotsHTML;
     }
 
+    /**
+     * Generates HTML for the attribute rows with their +/- allocation buttons
+     * @private
+     * @returns {string} HTML string with one row per attribute
+     */
+    _generateAttributeRows() {
+        return ATTRIBUTES.map(name => `
+            <div class="stat-row">
+                <div class="stat-label">${this._capitalize(name)}:</div>
+                <button class="stat-button" data-stat="${name}" data-change="-1">-</button>
+                <div class="stat-value" id="stat-${name}">0</div>
+                <button class="stat-button" data-stat="${name}" data-change="1">+</button>
+            </div>
+        `).join('');
+    }
+
     /**
      * Sets up event listeners for the inventory UI
      * @private
@@ -149,6 +222,19 @@ export class InventoryUI {
             });
         }
 
+        // Stat point allocation: +/- adjust pending points, confirm spends them, reset discards them
+        const statsGrid = this._container.querySelector('.stats-grid');
+        statsGrid?.addEventListener('click', (e) => {
+            const statButton = e.target.closest('.stat-button');
+            if (statButton) {
+                this._changePendingStat(statButton.getAttribute('data-stat'), parseInt(statButton.getAttribute('data-change')));
+            } else if (e.target.closest('.stat-confirm')) {
+                this._confirmStatPoints();
+            } else if (e.target.closest('.stat-reset')) {
+                this._resetPendingStats();
+            }
+        });
+
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (!this._visible) return;
@@ -168,6 +254,24 @@ export class InventoryUI {
                 case 'ArrowRight':
                     newIndex += 1;
                     break;
+                case 'Enter':
+                    if (e.shiftKey) {
+                        this._splitSelectedSlot();
+                    } else {
+                        this._toggleHeldSlot();
+                    }
+                    e.preventDefault();
+                    return;
+                case 'e':
+                case 'E':
+                    this._useSelectedSlot();
+                    return;
+                case '1':
+                case '2':
+                case '3':
+                case '4':
+                    this._assignSelectedToHotbar(parseInt(e.key) - 1);
+                    return;
                 case 'Escape':
                     this.hide();
                     return;
@@ -184,16 +288,341 @@ export class InventoryUI {
             }
         });
 
-        // Touch/click selection
+        // Clicking an equipment slot equips the selected item or unequips
+        const equipmentSlots = this._container.querySelectorAll('.equipment-slot');
+        equipmentSlots.forEach(slotEl => {
+            slotEl.addEventListener('click', () => {
+                this._onEquipmentSlotClick(slotEl.getAttribute('data-equip-slot'));
+            });
+        });
+
+        // Touch/click selection: click selects, clicking the selected slot picks it up,
+        // clicking another slot while holding drops the held stack there
         const slots = this._container.querySelectorAll('.inventory-slot');
         slots.forEach(slot => {
-            slot.addEventListener('click', () => {
+            slot.addEventListener('click', (e) => {
                 const index = parseInt(slot.getAttribute('data-slot-index'));
-                this._selectSlot(index);
+                if (e.shiftKey) {
+                    this._selectSlot(index);
+                    this._splitSelectedSlot();
+                } else if (this._heldSlotIndex !== null || index === this._selectedSlotIndex) {
+                    this._selectSlot(index);
+                    this._toggleHeldSlot();
+                } else {
+                    this._selectSlot(index);
+                }
             });
         });
     }
 
+    /**
+     * Equips the item in the selected slot, or uses it if it is a consumable.
+     * @private
+     */
+    _useSelectedSlot() {
+        const stack = this._player?.inventory?.getSlot(this._selectedSlotIndex);
+        if (!stack) return;
+        
+        this._heldSlotIndex = null;
+        if (stack.item.isEquippable()) {
+            this._player.equip(this._selectedSlotIndex);
+        } else if (stack.item.isUsable()) {
+            this._player.useItem(this._selectedSlotIndex);
+        }
+        this._renderSlots();
+    }
+
+    /**
+     * Puts the selected consumable on a hotbar slot.
+     * @private
+     * @param {number} hotbarIndex - Hotbar slot index (0-based)
+     */
+    _assignSelectedToHotbar(hotbarIndex) {
+        const stack = this._player?.inventory?.getSlot(this._selectedSlotIndex);
+        if (!stack || !stack.item.isUsable() || !this._player.hotbar) return;
+        
+        this._player.hotbar.assign(hotbarIndex, stack.id);
+        this._updateItemInfo();
+    }
+
+    /**
+     * Handles a click on an equipment slot: equips the selected item if it fits
+     * the slot, otherwise takes off whatever is in the slot.
+     * @private
+     * @param {'weapon'|'armor'} slot - The clicked equipment slot
+     */
+    _onEquipmentSlotClick(slot) {
+        const selected = this._player?.inventory?.getSlot(this._selectedSlotIndex);
+        
+        if (selected && selected.item.getEquipSlot() === slot) {
+            this._useSelectedSlot();
+        } else {
+            this._player?.unequip?.(slot);
+        }
+        this._updatePlayerStats();
+    }
+
+    /**
+     * Gets the total number of points placed but not confirmed.
+     * @private
+     * @returns {number} Pending points
+     */
+    _getPendingPointTotal() {
+        return Object.values(this._pendingStatPoints).reduce((total, points) => total + points, 0);
+    }
+
+    /**
+     * Adds or removes a pending point on an attribute.
+     * Can't go below the confirmed value or spend more points than are available.
+     * @private
+     * @param {string} statName - Attribute name
+     * @param {number} change - +1 or -1
+     */
+    _changePendingStat(statName, change) {
+        const current = this._pendingStatPoints[statName] || 0;
+        const available = (this._player?.combat?.unspentStatPoints || 0) - this._getPendingPointTotal();
+        if (change > 0 && available <= 0) return;
+        if (change < 0 && current <= 0) return;
+        
+        this._pendingStatPoints[statName] = current + change;
+        this._updatePlayerStats();
+    }
+
+    /**
+     * Spends the pending points.
+     * @private
+     */
+    _confirmStatPoints() {
+        if (this._player?.combat?.allocateStatPoints(this._pendingStatPoints)) {
+            this._pendingStatPoints = {};
+            this._updatePlayerStats();
+        }
+    }
+
+    /**
+     * Discards the pending points.
+     * @private
+     */
+    _resetPendingStats() {
+        this._pendingStatPoints = {};
+        this._updatePlayerStats();
+    }
+
+    /**
+     * Picks up the selected stack, or drops the held stack onto the selected slot.
+     * @private
+     */
+    _toggleHeldSlot() {
+        const inventory = this._player?.inventory;
+        if (!inventory) return;
+        
+        if (this._heldSlotIndex === null) {
+            // Only occupied slots can be picked up
+            if (inventory.getSlot(this._selectedSlotIndex)) {
+                this._heldSlotIndex = this._selectedSlotIndex;
+            }
+        } else {
+            const fromIndex = this._heldSlotIndex;
+            this._heldSlotIndex = null;
+            inventory.moveItem(fromIndex, this._selectedSlotIndex);
+        }
+        
+        this._renderSlots();
+    }
+
+    /**
+     * Splits half of the selected stack into the first empty slot.
+     * @private
+     */
+    _splitSelectedSlot() {
+        const inventory = this._player?.inventory;
+        if (!inventory) return;
+        
+        this._heldSlotIndex = null;
+        inventory.splitStack(this._selectedSlotIndex);
+        this._renderSlots();
+    }
+
+    /**
+     * Draws the player's item stacks into the inventory grid.
+     * @private
+     */
+    _renderSlots() {
+        const inventory = this._player?.inventory;
+        if (!inventory || !this._container) return;
+        
+        // The game is paused while the inventory is open, so refresh stats that items may have changed
+        if (this._visible) {
+            this._updatePlayerStats();
+        }
+        
+        const slots = this._container.querySelectorAll('.inventory-slot');
+        slots.forEach(slotEl => {
+            const index = parseInt(slotEl.getAttribute('data-slot-index'));
+            const stack = inventory.getSlot(index);
+            
+            slotEl.classList.toggle('has-item', !!stack);
+            slotEl.classList.toggle('held', index === this._heldSlotIndex);
+            
+            if (stack) {
+                const quantity = stack.quantity > 1 ? `<span class="slot-quantity">${stack.quantity}</span>` : '';
+                slotEl.innerHTML = `<span class="slot-icon">${stack.item.icon}</span>${quantity}`;
+                slotEl.dataset.category = stack.item.category;
+                slotEl.title = stack.item.name;
+            } else {
+                slotEl.innerHTML = '';
+                delete slotEl.dataset.category;
+                slotEl.removeAttribute('title');
+            }
+        });
+        
+        this._updateItemInfo();
+    }
+
+    /**
+     * Shows the name and description of the selected item below the grid.
+     * @private
+     */
+    _updateItemInfo() {
+        const info = this._container.querySelector('.inventory-item-info');
+        if (!info) return;
+        
+        const stack = this._player?.inventory?.getSlot(this._selectedSlotIndex);
+        if (!stack) {
+            info.textContent = '';
+            return;
+        }
+        
+        const quantity = stack.quantity > 1 ? ` x${stack.quantity}` : '';
+        const hotbarIndex = this._player.hotbar?.slots.indexOf(stack.id) ?? -1;
+        const hotbarKey = hotbarIndex !== -1 ? ` [${hotbarIndex + 1}]` : '';
+        const weaponType = stack.item.weaponType ? this._formatWeapon(stack.item) : '';
+        const bonuses = this._formatStatBonuses(stack.item.stats);
+        const effect = this._formatEffect(stack.item.effect);
+        info.innerHTML = `<span class="item-info-name">${stack.item.name}${quantity}${hotbarKey}</span>` +
+            (weaponType ? `<span class="item-info-stats">${weaponType}</span>` : '') +
+            (bonuses ? `<span class="item-info-stats">${bonuses}</span>` : '') +
+            (effect ? `<span class="item-info-stats">${effect}</span>` : '') +
+            `<span class="item-info-description">${stack.item.description}</span>`;
+    }
+
+    /**
+     * Formats a weapon's type, with its damage type and blessing when it has them (e.g. "Spear, Ice").
+     * @private
+     * @param {import('../items/Item.js').Item} item - The weapon
+     * @returns {string} Formatted weapon description
+     */
+    _formatWeapon(item) {
+        const parts = [this._capitalize(item.weaponType)];
+        if (item.damageType !== 'physical') parts.push(getDamageType(item.damageType).name);
+        if (item.blessed) parts.push('Blessed');
+        return parts.join(', ');
+    }
+
+    /**
+     * Formats stat bonuses as readable text (e.g. "+3 Strength, -1 Vitality").
+     * @private
+     * @param {Object.<string, number>} stats - Stat bonuses
+     * @returns {string} Formatted bonuses, or an empty string if there are none
+     */
+    _formatStatBonuses(stats = {}) {
+        return Object.entries(stats)
+            .map(([name, value]) => `${this._formatSigned(value)} ${this._capitalize(name)}`)
+            .join(', ');
+    }
+
+    /**
+     * Describes what a consumable does (e.g. "Restores 40 HP").
+     * @private
+     * @param {Object|null} effect - The item's use effect
+     * @returns {string} Description, or an empty string if the item has no effect
+     */
+    _formatEffect(effect) {
+        if (!effect) return '';
+        
+        const parts = [];
+        if (effect.heal) parts.push(`Restores ${effect.heal} HP`);
+        if (effect.stamina) parts.push(`Restores ${effect.stamina} SP`);
+        if (effect.buffs) parts.push(`${this._formatStatBonuses(effect.buffs)} for ${Math.round(effect.duration / 1000)}s`);
+        if (effect.cleanse) parts.push('Removes debuffs');
+        return parts.join(', ');
+    }
+
+    /**
+     * Formats a number with an explicit sign.
+     * @private
+     * @param {number} value - Number to format
+     * @returns {string} e.g. "+3", "-1" or "±0"
+     */
+    _formatSigned(value) {
+        if (value > 0) return `+${value}`;
+        if (value < 0) return `${value}`;
+        return '±0';
+    }
+
+    /**
+     * Capitalizes the first letter of a word.
+     * @private
+     * @param {string} word - Word to capitalize
+     * @returns {string} Capitalized word
+     */
+    _capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+
+    /**
+     * Shows the equipped item in an equipment slot, or the slot placeholder when empty.
+     * @private
+     * @param {HTMLElement} slotEl - The equipment slot element
+     * @param {'weapon'|'armor'} slot - Equipment slot name
+     */
+    _renderEquipmentSlot(slotEl, slot) {
+        const item = this._player.getEquipped?.(slot) || null;
+        const placeholder = this._equipmentPlaceholders[slot];
+        
+        slotEl.classList.toggle('equipped', !!item);
+        slotEl.querySelector('.equipment-icon').textContent = item ? item.icon : placeholder.icon;
+        slotEl.querySelector('.equipment-label').textContent = item ? item.name : placeholder.label;
+        slotEl.title = this._getEquipmentTooltip(slot, item);
+    }
+
+    /**
+     * Builds the tooltip of an equipment slot. When the selected inventory item fits the
+     * slot, each of its stats is compared against the equipped item.
+     * @private
+     * @param {'weapon'|'armor'} slot - Equipment slot name
+     * @param {Object|null} equipped - The equipped item
+     * @returns {string} Tooltip text
+     */
+    _getEquipmentTooltip(slot, equipped) {
+        const lines = [];
+        
+        if (equipped) {
+            lines.push(`Equipped: ${equipped.name}`);
+            const bonuses = this._formatStatBonuses(equipped.stats);
+            if (bonuses) lines.push(bonuses);
+        } else {
+            lines.push(`${this._equipmentPlaceholders[slot].label} Slot (empty)`);
+        }
+        
+        const selected = this._player.inventory?.getSlot(this._selectedSlotIndex)?.item;
+        if (selected && selected.getEquipSlot() === slot) {
+            lines.push('', `Selected: ${selected.name}`);
+            
+            const statNames = new Set([...Object.keys(selected.stats), ...Object.keys(equipped?.stats || {})]);
+            statNames.forEach(name => {
+                const newValue = selected.stats[name] || 0;
+                const change = newValue - (equipped?.stats[name] || 0);
+                lines.push(`${this._capitalize(name)}: ${this._formatSigned(newValue)} (${this._formatSigned(change)})`);
+            });
+            lines.push('', 'Click to equip the selected item');
+        } else if (equipped) {
+            lines.push('', 'Click to unequip');
+        }
+        
+        return lines.join('\n');
+    }
+
     /**
      * Selects an inventory slot by index
      * @private
@@ -215,6 +644,8 @@ export class InventoryUI {
             // Ensure the selected slot is visible (auto-scroll)
             newSlot.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
         }
+        
+        this._updateItemInfo();
     }
 
     /**
@@ -230,6 +661,8 @@ export class InventoryUI {
         this._updatePlayerStats();
         
         // Reset selection to first slot
+        this._heldSlotIndex = null;
+        this._renderSlots();
         this._selectSlot(0);
     }
 
@@ -241,6 +674,9 @@ export class InventoryUI {
         
         this._visible = false;
         this._container.classList.add('hidden');
+        
+        // Unconfirmed stat points are discarded when the panel closes
+        this._pendingStatPoints = {};
     }
 
     /**
@@ -268,6 +704,8 @@ export class InventoryUI {
      */
     setPlayer(player) {
         this._player = player;
+        this._player?.inventory?.onChange(() => this._renderSlots());
+        this._renderSlots();
     }
     
     /**
@@ -315,44 +753,97 @@ export class InventoryUI {
             }
         }
         
+        // Update stamina display
+        const spFill = this._container.querySelector('.player-sp-fill');
+        const spText = this._container.querySelector('.player-sp-text');
+        
+        if (spFill && spText && this._player.combat) {
+            const currentStamina = Math.floor(this._player.combat.currentStamina);
+            const maxStamina = this._player.combat.maxStamina;
+            
+            spFill.style.width = `${(currentStamina / maxStamina) * 100}%`;
+            spText.textContent = `${currentStamina}/${maxStamina}`;
+        }
+        
+        // Update level and XP progress
+        const experience = this._player.combat?.experience;
+        if (experience) {
+            const levelEl = this._container.querySelector('.player-level');
+            const xpFill = this._container.querySelector('.player-xp-fill');
+            const xpText = this._container.querySelector('.player-xp-text');
+            const xpToNext = experience.getXpToNextLevel();
+            
+            if (levelEl) levelEl.textContent = experience.level;
+            if (xpFill) xpFill.style.width = `${experience.getProgress() * 100}%`;
+            if (xpText) xpText.textContent = xpToNext === Infinity ? 'MAX' : `${experience.xp}/${xpToNext} XP`;
+        }
+        
         // Update character stats display
         if (this._player.combat?.stats) {
-            const stats = this._player.combat.stats;
+            const combat = this._player.combat;
+            const stats = combat.stats;
+            const availablePoints = (combat.unspentStatPoints || 0) - this._getPendingPointTotal();
             
-            // Update strength stat
-            const strengthEl = this._container.querySelector('#stat-strength');
-            if (strengthEl) {
-                const strengthValue = stats.getStat('strength');
-                strengthEl.textContent = strengthValue;
-            }
+            // Attributes, with points placed but not confirmed shown separately
+            ATTRIBUTES.forEach(name => {
+                const valueEl = this._container.querySelector(`#stat-${name}`);
+                if (!valueEl) return;
+                
+                const pending = this._pendingStatPoints[name] || 0;
+                valueEl.textContent = stats.getStat(name) + (pending > 0 ? ` (+${pending})` : '');
+                valueEl.classList.toggle('pending', pending > 0);
+            });
             
-            // Update vitality stat
-            const vitalityEl = this._container.querySelector('#stat-vitality');
-            if (vitalityEl) {
-                const vitalityValue = stats.getStat('vitality');
-                vitalityEl.textContent = vitalityValue;
+            // Derived stats
+            const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+            const derived = {
+                '#stat-damage': stats.calculateDamage(),
+                '#stat-cooldown': `${(combat.getAttackCooldown() / 1000).toFixed(2)}s`,
+                '#stat-dodge': percent(stats.calculateDodgeChance()),
+                '#stat-reduction': percent(stats.calculateDamageReduction()),
+                '#stat-crit': percent(stats.calculateCritChance()),
+                '#stat-loot': `+${percent(stats.calculateLootBonus())}`,
+                '#stat-stamina-regen': `${stats.calculateStaminaRegen().toFixed(1)}/s`
+            };
+            for (const [selector, value] of Object.entries(derived)) {
+                const el = this._container.querySelector(selector);
+                if (el) el.textContent = value;
             }
             
-            // Update damage calculation
-            const damageEl = this._container.querySelector('#stat-damage');
-            if (damageEl) {
-                const calculatedDamage = stats.calculateDamage();
-                damageEl.textContent = calculatedDamage;
+            // Allocation controls only show while there are points to spend
+            const statsGrid = this._container.querySelector('.stats-grid');
+            statsGrid?.classList.toggle('can-allocate', availablePoints > 0 || this._getPendingPointTotal() > 0);
+            
+            const pointsEl = this._container.querySelector('.stat-points-value');
+            if (pointsEl) pointsEl.textContent = availablePoints;
+            
+            // Let the player know about unspent points even while the panel is collapsed
+            const badge = this._container.querySelector('.stats-points-badge');
+            if (badge) {
+                badge.textContent = `+${combat.unspentStatPoints}`;
+                badge.classList.toggle('hidden', !combat.unspentStatPoints);
             }
             
-            // Buffs/effects section removed as requested
+            this._container.querySelectorAll('.stat-button').forEach(button => {
+                const change = parseInt(button.getAttribute('data-change'));
+                const pending = this._pendingStatPoints[button.getAttribute('data-stat')] || 0;
+                button.disabled = change > 0 ? availablePoints <= 0 : pending <= 0;
+            });
+            this._container.querySelectorAll('.stat-confirm, .stat-reset').forEach(button => {
+                button.disabled = this._getPendingPointTotal() === 0;
+            });
         }
         
-        // Update equipment slots (placeholders for now)
+        // Update equipment slots
         const weaponSlot = this._container.querySelector('.weapon-slot');
         const armorSlot = this._container.querySelector('.armor-slot');
         
-        if (weaponSlot && this._player.equippedWeapon) {
-            // Logic for displaying equipped weapon - will be implemented later
+        if (weaponSlot) {
+            this._renderEquipmentSlot(weaponSlot, 'weapon');
         }
         
-        if (armorSlot && this._player.equippedArmor) {
-            // Logic for displaying equipped armor - will be implemented later
+        if (armorSlot) {
+            this._renderEquipmentSlot(armorSlot, 'armor');
         }
     }
 }
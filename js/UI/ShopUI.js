@@ -0,0 +1,296 @@
+/**
+ * Manages the merchant shop panel with buy and sell tabs.
+ * Shares the look of the InventoryUI panel.
+ */
+export class ShopUI {
+    /** @private @type {HTMLElement} The main container for the shop UI */
+    _container;
+    /** @private @type {boolean} Whether the shop is visible */
+    _visible = false;
+    /** @private @type {'buy'|'sell'} Active tab */
+    _tab = 'buy';
+    /** @private @type {number} Index of the selected row in the active tab */
+    _selectedRowIndex = 0;
+    /** @private @type {import('../items/Shop.js').Shop|null} The shop being browsed */
+    _shop = null;
+    /** @private @type {Object|null} The player browsing the shop */
+    _player = null;
+    /** @private @type {Function|null} Callback run when the shop closes */
+    _onClose = null;
+    /** @private @type {Function|null} Inventory change listener bound to the current player */
+    _inventoryListener = null;
+
+    /**
+     * Creates a new ShopUI instance.
+     */
+    constructor() {
+        // Create shop container if it doesn't exist
+        let container = document.getElementById('shop-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'shop-container';
+            container.classList.add('hidden');
+            container.innerHTML = `
+                <div class="inventory-panel shop-panel">
+                    <div class="inventory-header">
+                        <div class="inventory-title shop-title">Shop</div>
+                        <button class="inventory-close">X</button>
+                    </div>
+                    <div class="player-stats">
+                        <div class="shop-tabs">
+                            <button class="shop-tab active" data-tab="buy">Buy</button>
+                            <button class="shop-tab" data-tab="sell">Sell</button>
+                        </div>
+                        <div class="player-gold">
+                            <span class="gold-icon">🪙</span>
+                            <span class="gold-amount">0</span>
+                        </div>
+                    </div>
+                    <div class="shop-list"></div>
+                    <div class="shop-message"></div>
+                    <div class="inventory-nav-hint">Up/Down: Select · Left/Right: Buy/Sell · Enter: Confirm · Esc: Leave</div>
+                </div>
+            `;
+            document.getElementById('game-container').appendChild(container);
+        }
+
+        this._container = container;
+
+        // Inventory changes (e.g. selling) refresh the sell list
+        this._inventoryListener = () => {
+            if (this._visible) this._render();
+        };
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up event listeners for the shop UI
+     * @private
+     */
+    _setupEventListeners() {
+        // Close button
+        const closeButton = this._container.querySelector('.inventory-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.hide());
+        }
+
+        // Tabs
+        this._container.querySelectorAll('.shop-tab').forEach(tab => {
+            tab.addEventListener('click', () => this._setTab(tab.getAttribute('data-tab')));
+        });
+
+        // Rows are rebuilt on every render, so listen on the list itself
+        const list = this._container.querySelector('.shop-list');
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.shop-row');
+            if (!row) return;
+
+            this._selectRow(parseInt(row.getAttribute('data-row-index')));
+            if (e.target.closest('.shop-action')) {
+                this._confirmSelected();
+            }
+        });
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => {
+            if (!this._visible) return;
+
+            switch (e.key) {
+                case 'ArrowUp':
+                    this._selectRow(this._selectedRowIndex - 1);
+                    break;
+                case 'ArrowDown':
+                    this._selectRow(this._selectedRowIndex + 1);
+                    break;
+                case 'ArrowLeft':
+                    this._setTab('buy');
+                    break;
+                case 'ArrowRight':
+                    this._setTab('sell');
+                    break;
+                case 'Enter':
+                    this._confirmSelected();
+                    break;
+                case 'Escape':
+                    this.hide();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    /**
+     * Opens the shop panel.
+     * @param {import('../items/Shop.js').Shop} shop - The shop to browse
+     * @param {Object} player - The player doing business
+     * @param {Function} [onClose] - Callback run when the panel closes
+     */
+    show(shop, player, onClose = null) {
+        if (this._visible) return;
+
+        this._shop = shop;
+        this._player = player;
+        this._onClose = onClose;
+        this._visible = true;
+
+        // Bring the shelves up to date before showing them
+        this._shop.update();
+        this._player.inventory.onChange(this._inventoryListener);
+
+        this._container.querySelector('.shop-title').textContent = shop.name;
+        this._showMessage('');
+        this._setTab('buy');
+        this._container.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the shop panel
+     */
+    hide() {
+        if (!this._visible) return;
+
+        this._visible = false;
+        this._container.classList.add('hidden');
+        this._player?.inventory.offChange(this._inventoryListener);
+
+        const onClose = this._onClose;
+        this._onClose = null;
+        onClose?.();
+    }
+
+    /**
+     * Checks if the shop is visible
+     * @returns {boolean} Whether the shop is visible
+     */
+    isVisible() {
+        return this._visible;
+    }
+
+    /**
+     * Switches between the buy and sell tabs.
+     * @private
+     * @param {'buy'|'sell'} tab - Tab to show
+     */
+    _setTab(tab) {
+        this._tab = tab;
+        this._selectedRowIndex = 0;
+
+        this._container.querySelectorAll('.shop-tab').forEach(tabEl => {
+            tabEl.classList.toggle('active', tabEl.getAttribute('data-tab') === tab);
+        });
+        this._render();
+    }
+
+    /**
+     * Builds the rows of the active tab.
+     * @private
+     * @returns {Array<{item: Object, price: number, quantity: number, available: boolean, slotIndex?: number}>} Rows
+     */
+    _getRows() {
+        if (this._tab === 'buy') {
+            const gold = this._player.getGold();
+            return this._shop.entries.map(entry => ({
+                item: entry.item,
+                price: entry.price,
+                quantity: entry.quantity,
+                available: entry.quantity > 0 && gold >= entry.price
+            }));
+        }
+
+        // Sell tab lists every occupied inventory slot so players can see what the shop refuses
+        const rows = [];
+        this._player.inventory.slots.forEach((stack, slotIndex) => {
+            if (!stack) return;
+            rows.push({
+                item: stack.item,
+                price: this._shop.getSellPrice(stack.item),
+                quantity: stack.quantity,
+                available: this._shop.canSell(stack.item),
+                slotIndex
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Renders the gold amount and the rows of the active tab.
+     * @private
+     */
+    _render() {
+        const goldAmount = this._container.querySelector('.gold-amount');
+        if (goldAmount) {
+            goldAmount.textContent = this._player.getGold();
+        }
+
+        const rows = this._getRows();
+        this._selectedRowIndex = Math.max(0, Math.min(this._selectedRowIndex, rows.length - 1));
+
+        const list = this._container.querySelector('.shop-list');
+        if (rows.length === 0) {
+            list.innerHTML = `<div class="shop-empty">${this._tab === 'buy' ? 'Nothing for sale.' : 'You have nothing to sell.'}</div>`;
+            return;
+        }
+
+        const actionLabel = this._tab === 'buy' ? 'Buy' : 'Sell';
+        list.innerHTML = rows.map((row, index) => {
+            const stock = row.quantity === Infinity ? '' : `x${row.quantity}`;
+            const price = row.price > 0 ? `${row.price} 🪙` : '—';
+            return `
+                <div class="shop-row ${index === this._selectedRowIndex ? 'selected' : ''} ${row.available ? '' : 'unavailable'}"
+                     data-row-index="${index}" title="${row.item.description}">
+                    <span class="shop-item-icon">${row.item.icon}</span>
+                    <span class="shop-item-name">${row.item.name}</span>
+                    <span class="shop-item-quantity">${stock}</span>
+                    <span class="shop-item-price">${price}</span>
+                    <button class="shop-action" ${row.available ? '' : 'disabled'}>${actionLabel}</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Selects a row in the active tab.
+     * @private
+     * @param {number} index - Row index
+     */
+    _selectRow(index) {
+        const rows = this._container.querySelectorAll('.shop-row');
+        if (index < 0 || index >= rows.length) return;
+
+        rows[this._selectedRowIndex]?.classList.remove('selected');
+        rows[index].classList.add('selected');
+        rows[index].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        this._selectedRowIndex = index;
+    }
+
+    /**
+     * Buys or sells one of the selected row's item.
+     * @private
+     */
+    _confirmSelected() {
+        const row = this._getRows()[this._selectedRowIndex];
+        if (!row) return;
+
+        const result = this._tab === 'buy'
+            ? this._shop.buy(this._player, row.item.id)
+            : this._shop.sell(this._player, row.slotIndex);
+
+        this._showMessage(result.message, !result.success);
+        this._render();
+    }
+
+    /**
+     * Shows the outcome of the last transaction.
+     * @private
+     * @param {string} text - Message text
+     * @param {boolean} [isError=false] - Whether to style the message as a failure
+     */
+    _showMessage(text, isError = false) {
+        const message = this._container.querySelector('.shop-message');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * SkillBar.js
+ * Draws the player's skills in the bottom-right corner of the canvas with
+ * their key binding, stamina cost and a sweep showing the remaining cooldown.
+ */
+export class SkillBar {
+    /**
+     * Creates a new SkillBar instance.
+     * @param {import('../skills/SkillSet.js').SkillSet} skillSet - The skills to show
+     * @param {Object} [config] - Configuration for the skill bar
+     * @param {number} [config.slotSize=36] - Width and height of a slot in pixels
+     * @param {number} [config.gap=6] - Space between slots in pixels
+     * @param {number} [config.margin=10] - Distance from the right and bottom of the canvas
+     */
+    constructor(skillSet, config = {}) {
+        this.skillSet = skillSet;
+        this.slotSize = config.slotSize || 36;
+        this.gap = config.gap || 6;
+        this.margin = config.margin || 10;
+    }
+
+    /**
+     * Draws the skill bar.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     */
+    render(ctx) {
+        const skills = this.skillSet.skills;
+        const totalWidth = skills.length * this.slotSize + (skills.length - 1) * this.gap;
+        const startX = ctx.canvas.width - totalWidth - this.margin;
+        const y = ctx.canvas.height - this.slotSize - this.margin;
+
+        ctx.save();
+
+        skills.forEach((skill, i) => {
+            const x = startX + i * (this.slotSize + this.gap);
+            const remaining = this.skillSet.getCooldownRemaining(skill.id);
+            const affordable = this.skillSet.canAfford(skill.id);
+            const centerX = x + this.slotSize / 2;
+            const centerY = y + this.slotSize / 2;
+
+            // Slot background and border
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = 'rgba(10, 20, 40, 0.85)';
+            ctx.fillRect(x, y, this.slotSize, this.slotSize);
+            ctx.strokeStyle = remaining > 0 ? '#3a4a66' : '#7fa8d9';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, this.slotSize - 1, this.slotSize - 1);
+
+            // Skill icon, faded while cooling down or short on stamina
+            ctx.globalAlpha = remaining > 0 || !affordable ? 0.4 : 1;
+            ctx.font = `${Math.floor(this.slotSize * 0.55)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(skill.icon, centerX, centerY + 2);
+
+            if (remaining > 0) {
+                // Dark sweep over the part of the cooldown still to go, clipped to the slot
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(x, y, this.slotSize, this.slotSize);
+                ctx.clip();
+                ctx.globalAlpha = 0.6;
+                ctx.fillStyle = '#000000';
+                ctx.beginPath();
+                ctx.moveTo(centerX, centerY);
+                ctx.arc(centerX, centerY, this.slotSize, -Math.PI / 2,
+                    -Math.PI / 2 + (remaining / skill.cooldown) * Math.PI * 2);
+                ctx.closePath();
+                ctx.fill();
+                ctx.restore();
+
+                // Seconds left
+                ctx.globalAlpha = 1;
+                ctx.font = 'bold 12px Arial';
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(String(Math.ceil(remaining / 1000)), centerX, centerY + 1);
+            }
+
+            // Stamina cost, red when there isn't enough
+            if (skill.cost > 0) {
+                ctx.globalAlpha = 1;
+                ctx.font = 'bold 10px Arial';
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'bottom';
+                ctx.fillStyle = affordable ? '#50dcdc' : '#ff3333';
+                ctx.fillText(String(skill.cost), x + this.slotSize - 3, y + this.slotSize - 2);
+            }
+
+            // Key binding
+            const key = this.skillSet.bindings[skill.id];
+            if (key) {
+                ctx.globalAlpha = 1;
+                ctx.font = '10px Arial';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'top';
+                ctx.fillStyle = '#9fb8d9';
+                ctx.fillText(key.toUpperCase(), x + 3, y + 2);
+            }
+        });
+
+        ctx.restore();
+    }
+}
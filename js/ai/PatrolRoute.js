@@ -0,0 +1,107 @@
+/**
+ * PatrolRoute.js
+ * A named list of waypoint tiles that NPCs walk in the 'patrol' AI state.
+ * Routes are declared by maps (BaseMap.addPatrolRoute) and can be shared by several NPCs;
+ * each NPC keeps its own progress along the route.
+ */
+
+/**
+ * How a route continues after its last waypoint.
+ * @readonly
+ * @enum {string}
+ */
+export const PATROL_MODES = {
+    LOOP: 'loop',           // Back to the first waypoint and round again
+    PING_PONG: 'pingPong',  // Turn around and walk the route backwards
+    ONCE: 'once'            // Stop at the last waypoint
+};
+
+export class PatrolRoute {
+    /**
+     * Creates a new patrol route.
+     * @param {Object} config - Configuration object
+     * @param {string} config.name - Name the map knows the route by
+     * @param {Array<{x: number, y: number, wait?: number}>} config.points - Waypoint tiles, in order;
+     *     `wait` overrides the route's wait at that waypoint
+     * @param {string} [config.mode=PATROL_MODES.LOOP] - One of PATROL_MODES
+     * @param {number} [config.wait=0] - Milliseconds to pause at each waypoint
+     * @param {string} [config.color='rgba(255, 200, 0, 0.7)'] - Color of the route in debug mode
+     */
+    constructor({ name, points, mode = PATROL_MODES.LOOP, wait = 0, color = 'rgba(255, 200, 0, 0.7)' }) {
+        this.name = name;
+        this.points = points;
+        this.mode = mode;
+        this.wait = wait;
+        this.color = color;
+    }
+
+    /**
+     * Gets how long to pause on reaching a waypoint.
+     * @param {number} index - Waypoint index
+     * @returns {number} Milliseconds
+     */
+    getWait(index) {
+        return this.points[index]?.wait ?? this.wait;
+    }
+
+    /**
+     * Works out which waypoint comes after another.
+     * @param {number} index - Index of the waypoint just reached
+     * @param {number} step - Direction of travel along the route (1 forwards, -1 backwards)
+     * @returns {{index: number, step: number}|null} The next waypoint and direction, or null once a one-shot route is done
+     */
+    getNext(index, step) {
+        const last = this.points.length - 1;
+
+        switch (this.mode) {
+            case PATROL_MODES.PING_PONG: {
+                if (last === 0) return { index, step };
+                const nextStep = index + step > last || index + step < 0 ? -step : step;
+                return { index: index + nextStep, step: nextStep };
+            }
+            case PATROL_MODES.ONCE:
+                return index < last ? { index: index + 1, step: 1 } : null;
+            default:
+                return { index: (index + 1) % this.points.length, step: 1 };
+        }
+    }
+
+    /**
+     * Draws the route over the map for debug mode: a line through the waypoints
+     * (closed for loops) with each waypoint numbered.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
+     * @param {number} tileSize - Size of a tile in pixels
+     */
+    render(ctx, mapOffset, tileSize) {
+        if (this.points.length === 0) return;
+
+        const toScreen = ({ x, y }) => ({
+            x: x * tileSize + tileSize / 2 + mapOffset.x,
+            y: y * tileSize + tileSize / 2 + mapOffset.y
+        });
+        const screenPoints = this.points.map(toScreen);
+
+        ctx.save();
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        screenPoints.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        if (this.mode === PATROL_MODES.LOOP) ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = this.color;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        screenPoints.forEach(({ x, y }, i) => {
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillText(`${i + 1}`, x, y - 7);
+        });
+        ctx.fillText(this.name, screenPoints[0].x, screenPoints[0].y + 16);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Perception.js
+ * What an NPC notices of the player: sight limited by range, a vision cone in front of it
+ * and walls in the way, plus a memory of where the player was last seen.
+ */
+
+/** @type {number} Share of the sight range left against a sneaking player */
+const SNEAK_RANGE_MULTIPLIER = 0.5;
+
+/** @type {Object.<string, number>} Angle the NPC looks along for each facing direction, in radians */
+const FACING_ANGLES = {
+    right: 0,
+    down: Math.PI / 2,
+    left: Math.PI,
+    up: -Math.PI / 2
+};
+
+export class Perception {
+    /**
+     * Creates a new Perception for an NPC. The sight range is the NPC's `aggroRange`.
+     * @param {import('../npcs/BaseNPC.js').BaseNPC} npc - The NPC doing the looking
+     * @param {Object} [config] - Configuration object
+     * @param {number} [config.fieldOfView=120] - Width of the vision cone in degrees (360 sees all around)
+     * @param {number} [config.awarenessRange=48] - Distance in pixels within which the NPC notices the player
+     *     whichever way it faces
+     * @param {number} [config.memoryDuration=8000] - How long in ms the NPC remembers where it last saw the player
+     * @param {boolean} [config.seesThroughWalls=false] - Whether walls fail to block its sight (ghosts)
+     */
+    constructor(npc, { fieldOfView = 120, awarenessRange = 48, memoryDuration = 8000, seesThroughWalls = false } = {}) {
+        this.npc = npc;
+        this.fieldOfView = fieldOfView;
+        this.awarenessRange = awarenessRange;
+        this.memoryDuration = memoryDuration;
+        this.seesThroughWalls = seesThroughWalls;
+        /** @type {boolean} Whether the player was in sight on the last update */
+        this.canSeeTarget = false;
+        /** @type {{x: number, y: number, time: number}|null} Tile the player was last seen on, and when */
+        this.lastSeen = null;
+    }
+
+    /**
+     * Looks for the player and remembers where they were if they are in sight.
+     * @param {Player} target - The player
+     * @param {BaseMap} map - The NPC's map
+     */
+    update(target, map) {
+        this.canSeeTarget = this.canSee(target, map);
+        if (this.canSeeTarget) {
+            this.lastSeen = {
+                x: Math.floor((target.x + target.width / 2) / this.npc.tileSize),
+                y: Math.floor((target.y + target.height / 2) / this.npc.tileSize),
+                time: Date.now()
+            };
+        }
+    }
+
+    /**
+     * Checks whether the NPC sees a target: within sight range, inside the vision cone (or close enough
+     * to notice anyway) and not behind a wall. Aggressive NPCs are on the alert and look all around.
+     * @param {Player} target - The player
+     * @param {BaseMap} map - The NPC's map
+     * @returns {boolean} Whether the target is in sight
+     */
+    canSee(target, map) {
+        const fromX = this.npc.x + this.npc.width / 2;
+        const fromY = this.npc.y + this.npc.height / 2;
+        const toX = target.x + target.width / 2;
+        const toY = target.y + target.height / 2;
+        const distance = Math.hypot(toX - fromX, toY - fromY);
+        const sneakMultiplier = target.isSneaking ? SNEAK_RANGE_MULTIPLIER : 1;
+
+        if (distance > this.npc.aggroRange * sneakMultiplier) return false;
+
+        const isNoticed = this.npc.isAggressive ||
+            distance <= this.awarenessRange * sneakMultiplier ||
+            this._isInCone(toX - fromX, toY - fromY);
+        if (!isNoticed) return false;
+
+        return this.seesThroughWalls || map.hasLineOfSight(fromX, fromY, toX, toY);
+    }
+
+    /**
+     * Checks whether the NPC still remembers where it last saw the player.
+     * @returns {boolean} Whether there is a last seen position that hasn't faded yet
+     */
+    remembers() {
+        return !!this.lastSeen && Date.now() - this.lastSeen.time < this.memoryDuration;
+    }
+
+    /**
+     * Forgets the last seen position.
+     */
+    forget() {
+        this.lastSeen = null;
+    }
+
+    /**
+     * Draws the vision cone, the awareness circle and the last seen position for debug mode.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {number} screenX - Screen X of the NPC
+     * @param {number} screenY - Screen Y of the NPC
+     */
+    render(ctx, screenX, screenY) {
+        const centerX = screenX + this.npc.width / 2;
+        const centerY = screenY + this.npc.height / 2;
+        const range = this.npc.aggroRange;
+
+        ctx.save();
+        ctx.fillStyle = this.canSeeTarget ? 'rgba(255, 0, 0, 0.15)' : 'rgba(255, 255, 0, 0.1)';
+        ctx.strokeStyle = this.canSeeTarget ? 'rgba(255, 0, 0, 0.5)' : 'rgba(255, 255, 0, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        if (this.npc.isAggressive || this.fieldOfView >= 360) {
+            ctx.arc(centerX, centerY, range, 0, Math.PI * 2);
+        } else {
+            const facing = FACING_ANGLES[this.npc.direction] ?? 0;
+            const halfCone = (this.fieldOfView * Math.PI / 180) / 2;
+            ctx.moveTo(centerX, centerY);
+            ctx.arc(centerX, centerY, range, facing - halfCone, facing + halfCone);
+            ctx.closePath();
+        }
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.awarenessRange, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Cross on the tile the player was last seen on
+        if (this.remembers()) {
+            const seenX = screenX + (this.lastSeen.x * this.npc.tileSize - this.npc.x) + this.npc.tileSize / 2;
+            const seenY = screenY + (this.lastSeen.y * this.npc.tileSize - this.npc.y) + this.npc.tileSize / 2;
+            ctx.strokeStyle = 'orange';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(seenX - 5, seenY - 5);
+            ctx.lineTo(seenX + 5, seenY + 5);
+            ctx.moveTo(seenX + 5, seenY - 5);
+            ctx.lineTo(seenX - 5, seenY + 5);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Checks whether a direction lies inside the vision cone around the way the NPC faces.
+     * @param {number} dx - Horizontal offset to the target
+     * @param {number} dy - Vertical offset to the target
+     * @returns {boolean} Whether the direction is inside the cone
+     * @private
+     */
+    _isInCone(dx, dy) {
+        if (this.fieldOfView >= 360) return true;
+
+        const facing = FACING_ANGLES[this.npc.direction] ?? 0;
+        let offset = Math.abs(Math.atan2(dy, dx) - facing);
+        if (offset > Math.PI) offset = Math.PI * 2 - offset;
+        return offset <= (this.fieldOfView * Math.PI / 180) / 2;
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * StateMachine.js
+ * Runs an NPC's AI as a finite state machine: one state at a time (states.js),
+ * switched by the transitions of the NPC's behavior (behaviors.js).
+ */
+import { getAIState } from './states.js';
+import { getAIBehavior } from './behaviors.js';
+
+export class StateMachine {
+    /**
+     * Creates a new StateMachine and enters the behavior's initial state.
+     * @param {import('../npcs/BaseNPC.js').BaseNPC} npc - The NPC being driven
+     * @param {string|Object} behavior - Behavior id from AI_BEHAVIORS, or a behavior object
+     */
+    constructor(npc, behavior) {
+        this.npc = npc;
+        /** @type {string|null} Id of the current state */
+        this.currentState = null;
+        /** @type {number} Timestamp when the current state was entered */
+        this.stateStartTime = 0;
+        this.setBehavior(behavior);
+    }
+
+    /**
+     * Switches to another behavior, starting over from its initial state.
+     * @param {string|Object} behavior - Behavior id from AI_BEHAVIORS, or a behavior object
+     */
+    setBehavior(behavior) {
+        const definition = typeof behavior === 'string' ? getAIBehavior(behavior) : behavior;
+        if (!definition) {
+            console.warn(`${this.npc.name} has unknown AI behavior '${behavior}'`);
+            return;
+        }
+
+        this.behavior = definition;
+        this.setState(definition.initial);
+    }
+
+    /**
+     * Gets the definition of the current state.
+     * @returns {Object|null} The state (see AI_STATES)
+     */
+    getState() {
+        return getAIState(this.currentState);
+    }
+
+    /**
+     * Gets the display name of the current state, e.g. for debug mode.
+     * @returns {string} State name
+     */
+    getStateName() {
+        return this.getState()?.name ?? 'None';
+    }
+
+    /**
+     * Checks whether the machine is in a state.
+     * @param {string} id - State id
+     * @returns {boolean} Whether it is the current state
+     */
+    isIn(id) {
+        return this.currentState === id;
+    }
+
+    /**
+     * Leaves the current state and enters another.
+     * @param {string} id - Id of the state to enter
+     * @param {Object} [context] - This frame's context (see update), when switching on a transition
+     */
+    setState(id, context) {
+        const next = getAIState(id);
+        if (!next) {
+            console.warn(`${this.npc.name} tried to enter unknown AI state '${id}'`);
+            return;
+        }
+
+        this.getState()?.exit?.(this.npc);
+        this.currentState = id;
+        this.stateStartTime = Date.now();
+        this.npc.isAggressive = !!next.aggressive;
+        next.enter?.(this.npc, context);
+    }
+
+    /**
+     * Takes the first transition that applies, then runs the current state.
+     * @param {Object} context - What the states and conditions need to know this frame
+     * @param {Player} context.player - The player
+     * @param {BaseMap} context.map - The NPC's map
+     * @param {number} context.deltaTime - Time passed since last update in ms
+     * @param {number} context.distanceToPlayer - Distance to the player in pixels
+     * @param {number} context.distanceFromSpawn - Distance from the spawn tile in pixels
+     * @param {boolean} context.canSeePlayer - Whether the player is in sight (see Perception)
+     */
+    update(context) {
+        const transition = this.behavior.transitions.find(({ from, to, when }) =>
+            to !== this.currentState && this._matches(from) && when(this.npc, context));
+        if (transition) {
+            this.setState(transition.to, context);
+        }
+
+        this.getState()?.update?.(this.npc, context);
+    }
+
+    /**
+     * Checks whether a transition's `from` covers the current state.
+     * @param {string|string[]} from - A state id, a list of ids, or '*' for any state
+     * @returns {boolean} Whether the transition can be taken from the current state
+     * @private
+     */
+    _matches(from) {
+        if (from === '*') return true;
+        return Array.isArray(from) ? from.includes(this.currentState) : from === this.currentState;
+    }
+}
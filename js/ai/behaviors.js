@@ -0,0 +1,128 @@
+/**
+ * behaviors.js
+ * Catalog of AI behaviors, keyed by id: the starting state of an NPC type and the
+ * transitions between its states (see states.js for what each state does).
+ */
+
+// Conditions shared by the behaviors. Each gets the NPC and the StateMachine.update context.
+
+const isTalking = npc => npc.isInConversation;
+const canSeePlayer = (npc, { canSeePlayer }) => canSeePlayer;
+// Provoked NPCs (talked into a rage or summoned) come for the player even before spotting them
+const isProvoked = (npc, context) => npc.isAggressive || canSeePlayer(npc, context);
+const hasLostTrail = npc => !npc.perception.remembers();
+const hasLeader = npc => npc.hasLeader();
+const isPlayerInAttackRange = (npc, { player }) => npc.combatSystem.isTargetInAttackRange(player);
+const isAtSpawn = (npc, { distanceFromSpawn }) => distanceFromSpawn <= 10;
+
+/** Opening and closing a conversation, shared by every behavior */
+const TALK_TRANSITIONS = [
+    { from: '*', to: 'talk', when: isTalking }
+];
+
+/**
+ * Definition of each behavior.
+ * - `initial`: state the NPC starts in
+ * - `transitions`: checked in order every frame; the first whose `from` matches the current state
+ *   (a state id, a list of ids or '*' for any) and whose `when(npc, context)` holds switches to `to`
+ * @readonly
+ * @type {Object.<string, {initial: string, transitions: Array<{from: string|string[], to: string, when: Function}>}>}
+ */
+export const AI_BEHAVIORS = {
+    // Never moves; only turns to talk (merchants, fountains)
+    stationary: {
+        initial: 'idle',
+        transitions: [
+            ...TALK_TRANSITIONS,
+            { from: 'talk', to: 'idle', when: npc => !isTalking(npc) }
+        ]
+    },
+
+    // Friendly NPC strolling around its spawn
+    wanderer: {
+        initial: 'wander',
+        transitions: [
+            ...TALK_TRANSITIONS,
+            { from: 'talk', to: 'wander', when: npc => !isTalking(npc) }
+        ]
+    },
+
+    // Friendly NPC that keeps up with the player wherever they go (guides)
+    follower: {
+        initial: 'follow',
+        transitions: [
+            ...TALK_TRANSITIONS,
+            { from: 'talk', to: 'follow', when: npc => !isTalking(npc) }
+        ]
+    },
+
+    // Friendly NPC walking a patrol route (town guards)
+    guard: {
+        initial: 'patrol',
+        transitions: [
+            ...TALK_TRANSITIONS,
+            { from: 'talk', to: 'patrol', when: npc => !isTalking(npc) }
+        ]
+    },
+
+    // Hostile NPC: wanders until it spots the player or is provoked, chases and attacks, searches
+    // where it last saw the player once they slip out of sight, then heads home
+    monster: {
+        initial: 'wander',
+        transitions: [
+            ...TALK_TRANSITIONS,
+            { from: 'talk', to: 'chase', when: (npc, context) => !isTalking(npc) && isProvoked(npc, context) },
+            { from: 'talk', to: 'wander', when: npc => !isTalking(npc) },
+            { from: ['idle', 'wander', 'patrol', 'search', 'returnHome'], to: 'chase', when: isProvoked },
+            { from: 'chase', to: 'attack', when: isPlayerInAttackRange },
+            { from: 'attack', to: 'chase', when: (npc, context) => !isPlayerInAttackRange(npc, context) },
+            { from: ['chase', 'attack'], to: 'search', when: (npc, context) => !canSeePlayer(npc, context) },
+            { from: 'search', to: 'returnHome', when: hasLostTrail },
+            { from: 'returnHome', to: 'wander', when: isAtSpawn }
+        ]
+    },
+
+    // Hostile NPC in a leader's formation (see BaseNPC.setLeader): fights like a monster, then falls
+    // back in with its leader; once the leader falls it wanders on its own
+    escort: {
+        initial: 'formation',
+        transitions: [
+            ...TALK_TRANSITIONS,
+            { from: 'talk', to: 'chase', when: (npc, context) => !isTalking(npc) && isProvoked(npc, context) },
+            { from: 'talk', to: 'formation', when: npc => !isTalking(npc) },
+            { from: ['formation', 'wander', 'search'], to: 'chase', when: isProvoked },
+            { from: 'chase', to: 'attack', when: isPlayerInAttackRange },
+            { from: 'attack', to: 'chase', when: (npc, context) => !isPlayerInAttackRange(npc, context) },
+            { from: ['chase', 'attack'], to: 'search', when: (npc, context) => !canSeePlayer(npc, context) },
+            { from: 'search', to: 'formation', when: npc => hasLostTrail(npc) && hasLeader(npc) },
+            { from: 'search', to: 'wander', when: hasLostTrail },
+            { from: 'formation', to: 'wander', when: npc => !hasLeader(npc) },
+            { from: 'wander', to: 'formation', when: hasLeader }
+        ]
+    },
+
+    // Hostile NPC walking a patrol route: breaks off to chase and attack the player it spots,
+    // searches for them when they slip away, then picks the route up again where it left off
+    prowler: {
+        initial: 'patrol',
+        transitions: [
+            ...TALK_TRANSITIONS,
+            { from: 'talk', to: 'chase', when: (npc, context) => !isTalking(npc) && isProvoked(npc, context) },
+            { from: 'talk', to: 'patrol', when: npc => !isTalking(npc) },
+            { from: ['patrol', 'search'], to: 'chase', when: isProvoked },
+            { from: 'chase', to: 'attack', when: isPlayerInAttackRange },
+            { from: 'attack', to: 'chase', when: (npc, context) => !isPlayerInAttackRange(npc, context) },
+            { from: ['chase', 'attack'], to: 'search', when: (npc, context) => !canSeePlayer(npc, context) },
+            { from: 'search', to: 'patrol', when: hasLostTrail }
+        ]
+    }
+};
+
+/**
+ * Looks up an AI behavior.
+ * @param {string} id - Behavior id, e.g. 'monster'
+ * @returns {Object|null} The behavior or null if it doesn't exist
+ */
+export function getAIBehavior(id) {
+    return AI_BEHAVIORS[id] || null;
+}
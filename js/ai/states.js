@@ -0,0 +1,178 @@
+/**
+ * states.js
+ * Catalog of AI states, keyed by id. A state only says what an NPC does while in it;
+ * when to switch states is declared per NPC type in behaviors.js.
+ */
+import { alertAllies, claimAttackSlot, getFormationTile } from './tactics.js';
+
+/**
+ * Definition of each AI state.
+ * - `name`: shown above the NPC in debug mode
+ * - `aggressive`: whether the NPC attacks the player while in this state (sets `npc.isAggressive` on entry)
+ * - `enter(npc, context)` / `exit(npc)`: called when the NPC switches into or out of the state; `context`
+ *   is only given when a transition switched state (see StateMachine.update)
+ * - `update(npc, context)`: called every frame; `context` holds the player, map, deltaTime, the
+ *   NPC's distances to the player and its spawn, and whether it sees the player (see StateMachine.update)
+ * @readonly
+ * @type {Object.<string, Object>}
+ */
+export const AI_STATES = {
+    // Stands still (shopkeepers, fountains, anything that can't move)
+    idle: {
+        name: 'Idle'
+    },
+
+    // Takes a random step now and then, within its move range
+    wander: {
+        name: 'Wander',
+        enter(npc) {
+            npc.moveTimer = 0;
+        },
+        update(npc, { player, map }) {
+            npc.moveTimer += 1;
+            if (npc.moveTimer < npc.moveInterval) return;
+            npc.moveTimer = 0;
+
+            // 50% chance to move randomly
+            if (Math.random() > 0.5) {
+                npc._moveRandomly(player, map);
+            }
+        }
+    },
+
+    // Walks its patrol route (npc.patrol), pausing at waypoints that ask for it
+    patrol: {
+        name: 'Patrol',
+        update(npc, { player, map }) {
+            const patrol = npc.patrol;
+            if (!patrol || patrol.isFinished || Date.now() < patrol.waitUntil) return;
+
+            const waypoint = patrol.route.points[patrol.index];
+            if (!npc.isOnTile(waypoint.x, waypoint.y)) {
+                npc._moveToTile(waypoint.x, waypoint.y, player, map);
+                return;
+            }
+
+            // Arrived: wait if asked to, then head for the next waypoint
+            patrol.waitUntil = Date.now() + patrol.route.getWait(patrol.index);
+            const next = patrol.route.getNext(patrol.index, patrol.step);
+            if (next) {
+                patrol.index = next.index;
+                patrol.step = next.step;
+            } else {
+                patrol.isFinished = true;
+            }
+        }
+    },
+
+    // Keeps its place in its leader's formation (npc.formation), looking the way the leader looks
+    formation: {
+        name: 'Formation',
+        update(npc, { player, map }) {
+            if (!npc.hasLeader()) return;
+
+            const tile = getFormationTile(npc);
+            if (!npc.isOnTile(tile.x, tile.y)) {
+                npc._moveToTile(tile.x, tile.y, player, map);
+                return;
+            }
+
+            npc.direction = npc.formation.leader.direction;
+            npc.movementSystem.direction = npc.direction;
+        }
+    },
+
+    // Follows the player without hostility (guides)
+    follow: {
+        name: 'Follow',
+        update(npc, { player, map }) {
+            npc._followTarget(player, map);
+        }
+    },
+
+    // Runs at the player until it is within attack range, heading for a free tile around them
+    // (see claimAttackSlot). Spotting the player raises the alarm among nearby allies
+    chase: {
+        name: 'Chase',
+        aggressive: true,
+        enter(npc, context) {
+            npc.attackSlot = null;
+            if (context?.canSeePlayer) {
+                alertAllies(npc, context.map);
+            }
+        },
+        update(npc, { player, map }) {
+            const slot = claimAttackSlot(npc, player, map);
+            if (slot) {
+                npc._moveToTile(slot.x, slot.y, player, map);
+            } else {
+                npc._followTarget(player, map);
+            }
+        }
+    },
+
+    // Holds its ground facing the player; the combat system lands the blows
+    attack: {
+        name: 'Attack',
+        aggressive: true,
+        update(npc, { player }) {
+            if (!npc.isMoving) npc.faceTowards(player);
+        }
+    },
+
+    // Goes to where the player was last seen and looks around there; behaviors give up once the
+    // memory of it fades (npc.perception.remembers())
+    search: {
+        name: 'Search',
+        enter(npc) {
+            npc.moveTimer = 0;
+        },
+        update(npc, { player, map }) {
+            const lastSeen = npc.perception.lastSeen;
+            if (!lastSeen) return;
+
+            if (!npc.isOnTile(lastSeen.x, lastSeen.y)) {
+                npc._moveToTile(lastSeen.x, lastSeen.y, player, map);
+                return;
+            }
+
+            npc.moveTimer += 1;
+            if (npc.moveTimer < npc.moveInterval / 2) return;
+            npc.moveTimer = 0;
+            npc._lookAround();
+        }
+    },
+
+    // Backs away from the player, one tile at a time
+    flee: {
+        name: 'Flee',
+        update(npc, { player, map }) {
+            npc._moveAwayFrom(player, map);
+        }
+    },
+
+    // Walks back to its spawn tile after losing the player
+    returnHome: {
+        name: 'Return Home',
+        update(npc, { map }) {
+            npc._returnToSpawn(map);
+        }
+    },
+
+    // Stands still facing the player while a conversation is open
+    talk: {
+        name: 'Talk',
+        update(npc, { player }) {
+            npc.faceTowards(player);
+        }
+    }
+};
+
+/**
+ * Looks up an AI state definition.
+ * @param {string} id - State id, e.g. 'chase'
+ * @returns {Object|null} The state or null if it doesn't exist
+ */
+export function getAIState(id) {
+    return AI_STATES[id] || null;
+}
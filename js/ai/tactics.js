@@ -0,0 +1,87 @@
+/**
+ * tactics.js
+ * Group tactics for NPCs of the same faction: raising the alarm among allies, spreading out
+ * over the tiles around the player, and keeping formation around a leader.
+ */
+
+/** @type {Array<number[]>} Offsets of the tiles an attacker can strike from (attack range is one tile) */
+const ATTACK_SLOT_OFFSETS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * Finds the NPC's allies: NPCs of the same faction, still standing, within a radius.
+ * @param {import('../npcs/BaseNPC.js').BaseNPC} npc - The NPC looking for allies
+ * @param {BaseMap} map - The NPC's map
+ * @param {number} [radius=npc.alertRadius] - Radius in pixels
+ * @returns {Array<import('../npcs/BaseNPC.js').BaseNPC>} The allies
+ */
+export function getAllies(npc, map, radius = npc.alertRadius) {
+    if (!npc.faction) return [];
+
+    return (map.npcs || []).filter(other => other !== npc && !other.isDefeated &&
+        other.faction === npc.faction && Math.hypot(other.x - npc.x, other.y - npc.y) <= radius);
+}
+
+/**
+ * Raises the alarm: allies within the NPC's alert radius learn where it saw the player
+ * and come after them.
+ * @param {import('../npcs/BaseNPC.js').BaseNPC} npc - The NPC that spotted the player
+ * @param {BaseMap} map - The NPC's map
+ */
+export function alertAllies(npc, map) {
+    getAllies(npc, map)
+        .filter(ally => !ally.isAggressive)
+        .forEach(ally => {
+            if (npc.perception.lastSeen) {
+                ally.perception.lastSeen = { ...npc.perception.lastSeen };
+            }
+            ally.isAggressive = true;
+        });
+}
+
+/**
+ * Picks the tile next to the target the NPC should attack from, so a pack spreads around
+ * the player instead of queuing behind one another. Tiles claimed by allies that are also
+ * closing in, or with someone standing on them, are left alone; the NPC keeps its claim
+ * while it stays free and otherwise takes the nearest free tile.
+ * @param {import('../npcs/BaseNPC.js').BaseNPC} npc - The attacking NPC
+ * @param {Object} target - The entity under attack (the player)
+ * @param {BaseMap} map - The NPC's map
+ * @returns {{x: number, y: number}|null} The claimed tile (also stored in npc.attackSlot), or null if none is free
+ */
+export function claimAttackSlot(npc, target, map) {
+    const targetTileX = Math.floor(target.x / npc.tileSize);
+    const targetTileY = Math.floor(target.y / npc.tileSize);
+    const tileX = Math.floor(npc.x / npc.tileSize);
+    const tileY = Math.floor(npc.y / npc.tileSize);
+
+    const attackers = getAllies(npc, map, Infinity).filter(ally => ally.ai.isIn('chase') || ally.ai.isIn('attack'));
+    const isTaken = (x, y) =>
+        attackers.some(ally => ally.attackSlot && ally.attackSlot.x === x && ally.attackSlot.y === y) ||
+        map.npcs.some(other => other !== npc && !other.isMoving && other.isOnTile(x, y));
+
+    const freeSlots = ATTACK_SLOT_OFFSETS
+        .map(([dx, dy]) => ({ x: targetTileX + dx, y: targetTileY + dy }))
+        .filter(slot => npc.movementSystem.isValidTileMove(slot.x, slot.y, map) && !isTaken(slot.x, slot.y));
+
+    const current = npc.attackSlot && freeSlots.find(slot => slot.x === npc.attackSlot.x && slot.y === npc.attackSlot.y);
+    const distance = slot => Math.abs(slot.x - tileX) + Math.abs(slot.y - tileY);
+    npc.attackSlot = current || freeSlots.sort((a, b) => distance(a) - distance(b))[0] || null;
+    return npc.attackSlot;
+}
+
+/**
+ * Gets the tile an NPC holds in its leader's formation: the leader's tile (or the one it is
+ * stepping onto) plus the NPC's offset.
+ * @param {import('../npcs/BaseNPC.js').BaseNPC} npc - An NPC with a formation (see BaseNPC.setLeader)
+ * @returns {{x: number, y: number}} The formation tile
+ */
+export function getFormationTile(npc) {
+    const { leader, offset } = npc.formation;
+    const leaderX = leader.isMoving ? leader.movementSystem.targetX : leader.x;
+    const leaderY = leader.isMoving ? leader.movementSystem.targetY : leader.y;
+
+    return {
+        x: Math.floor(leaderX / npc.tileSize) + offset.x,
+        y: Math.floor(leaderY / npc.tileSize) + offset.y
+    };
+}
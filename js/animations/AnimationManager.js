@@ -15,6 +15,7 @@ export class AnimationManager {
         this.entity = entity;
         this.animations = {}; // Stores animations by ID
         this.animationsByType = {}; // Stores animations by type for easier lookup
+        this.typesById = {}; // Type each animation was played as (an animation class may be registered under several names)
         this.registeredAnimationTypes = this._registerDefaultAnimationTypes();
     }
 
@@ -40,6 +41,15 @@ export class AnimationManager {
         this.registeredAnimationTypes[name] = AnimationClass;
     }
 
+    /**
+     * Check if an animation type has been registered
+     * @param {string} type - Animation type name
+     * @returns {boolean} - Whether the type can be played
+     */
+    hasType(type) {
+        return !!this.registeredAnimationTypes[type];
+    }
+
     /**
      * Play an animation by its type name
      * @param {string} type - The type of animation to play
@@ -82,6 +92,7 @@ export class AnimationManager {
             this.animationsByType[type] = [];
         }
         this.animationsByType[type].push(animation.id);
+        this.typesById[animation.id] = type;
 
         return animation.id;
     }
@@ -118,6 +129,7 @@ export class AnimationManager {
         });
         this.animations = {};
         this.animationsByType = {};
+        this.typesById = {};
     }
 
     /**
@@ -152,8 +164,8 @@ export class AnimationManager {
         const animation = this.animations[id];
         if (!animation) return;
 
-        // Remove from type collection
-        const type = animation.type;
+        // Remove from the collection of the type it was played as
+        const type = this.typesById[id];
         if (this.animationsByType[type]) {
             const index = this.animationsByType[type].indexOf(id);
             if (index !== -1) {
@@ -168,6 +180,7 @@ export class AnimationManager {
 
         // Remove from main collection
         delete this.animations[id];
+        delete this.typesById[id];
     }
 
     /**
@@ -203,6 +216,8 @@ export class AnimationManager {
     getAnimationsOfType(type) {
         if (!this.animationsByType[type]) return [];
         
-        return this.animationsByType[type].map(id => this.animations[id]);
+        return this.animationsByType[type]
+            .map(id => this.animations[id])
+            .filter(animation => animation);
     }
 }
@@ -1,13 +1,29 @@
 /**
  * DamageNumber.js
  * Animation that displays a floating damage number above an entity.
+ * Each damage outcome has its own look: critical hits are big, yellow and marked "CRIT!",
+ * dodged hits read "MISS" and hits blocked entirely are grey ("IMMUNE" against an immunity).
+ * Hits against a weakness are red and resisted hits are dull; otherwise the damage type sets the color.
  */
 
 import { Animation } from './Animation.js';
+import { DAMAGE_OUTCOMES } from '../combat/damage.js';
+import { getDamageType } from '../combat/damageTypes.js';
+
+/** Color of hits the defender is weak to */
+const WEAKNESS_COLOR = 'rgba(255, 60, 60, 1)';
+/** Color of hits the defender resists */
+const RESISTED_COLOR = 'rgba(160, 160, 180, 1)';
 
 export class DamageNumberAnimation extends Animation {
     /**
      * @param {Object} config - Configuration for the damage number animation
+     * @param {number} [config.value=0] - Damage (or healing) to show
+     * @param {string} [config.outcome] - One of DAMAGE_OUTCOMES; sets the text, color and size
+     * @param {string} [config.damageType] - Damage type of the hit (see DAMAGE_TYPES)
+     * @param {number} [config.multiplier=1] - How the defender's resistance or weakness scaled the hit
+     * @param {string} [config.text] - Text shown instead of the number, e.g. '+12g' for loot
+     * @param {string} [config.color] - Overrides the color of a hit that wasn't resisted or a weakness
      */
     constructor(config = {}) {
         super({
@@ -17,25 +33,46 @@ export class DamageNumberAnimation extends Animation {
         });
         
         this.value = config.value || 0;
-        this.isCritical = config.isCritical || false;
+        this.outcome = config.outcome || null;
+        this.damageType = config.damageType || null;
+        this.multiplier = config.multiplier ?? 1;
+        this.isCritical = config.isCritical || this.outcome === DAMAGE_OUTCOMES.CRITICAL;
+        this.text = config.text || this.determineText(); // Replaces the number, e.g. '+12g' for loot
         this.isHeal = config.isHeal || false;
         this.color = this.determineColor(config);
-        this.fontSize = config.fontSize || (this.isCritical ? 16 : 12);
-        this.offsetX = config.offsetX || (Math.random() * 20 - 10); // Random X offset
+        this.fontSize = config.fontSize || (this.isCritical ? 16 : this.outcome === DAMAGE_OUTCOMES.BLOCKED ? 10 : 12);
+        this.offsetX = config.offsetX ?? (Math.random() * 20 - 10); // Random X offset
         this.initialY = config.initialY || 0;
         this.verticalSpeed = config.verticalSpeed || 1;
     }
 
     /**
-     * Determines the color for the damage number based on its type
+     * Determines the text shown instead of the plain number for the damage outcome
+     * @returns {string|null} Text to show, or null to show the number
+     */
+    determineText() {
+        switch (this.outcome) {
+            case DAMAGE_OUTCOMES.MISS: return 'MISS';
+            case DAMAGE_OUTCOMES.BLOCKED: return this.multiplier === 0 ? 'IMMUNE' : 'BLOCKED';
+            case DAMAGE_OUTCOMES.CRITICAL: return `CRIT! ${this.value}`;
+            default: return null;
+        }
+    }
+
+    /**
+     * Determines the color for the damage number from its outcome, multiplier and damage type
      * @param {Object} config - Configuration object
      * @returns {string} Color string
      */
     determineColor(config) {
+        if (this.outcome === DAMAGE_OUTCOMES.MISS) return 'rgba(200, 200, 200, 1)';
+        if (this.outcome === DAMAGE_OUTCOMES.BLOCKED) return 'rgba(130, 130, 130, 1)';
+        if (this.multiplier > 1) return WEAKNESS_COLOR;
+        if (this.multiplier < 1) return RESISTED_COLOR;
         if (config.color) return config.color;
         if (this.isHeal) return 'rgba(0, 128, 0, 1)';
         if (this.isCritical) return 'rgba(255, 255, 0, 1)';
-        return 'rgba(255, 255, 255, 1)';
+        return getDamageType(this.damageType).color;
     }
 
     /**
@@ -67,7 +104,7 @@ export class DamageNumberAnimation extends Animation {
         // Add text shadow/outline for critical hits
         if (this.isCritical) {
             ctx.fillStyle = 'rgba(255, 50, 50, ' + alpha + ')';
-            ctx.fillText(this.value.toString(), centerX + 1, yPos + 1);
+            ctx.fillText(this.text || this.value.toString(), centerX + 1, yPos + 1);
             
             // Pulsing effect for criticals
             const scale = 1 + Math.sin(progress * Math.PI * 4) * 0.1;
@@ -75,7 +112,7 @@ export class DamageNumberAnimation extends Animation {
         }
         
         // Draw the damage number
-        const displayValue = this.isHeal ? '+' + this.value : this.value.toString();
+        const displayValue = this.text || (this.isHeal ? '+' + this.value : this.value.toString());
         ctx.fillStyle = this.color.replace('1)', alpha + ')');
         ctx.fillText(displayValue, centerX, yPos);
         
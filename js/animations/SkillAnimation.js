@@ -1,13 +1,34 @@
 /**
  * SkillAnimation.js
  * Animation that displays a skill effect on an entity.
+ * Besides the aura it outlines the skill's target shape (area, cone or line).
  */
 
 import { Animation } from './Animation.js';
 
+/**
+ * Angle in radians of each facing direction, measured clockwise from the right.
+ * @readonly
+ * @type {Object.<string, number>}
+ */
+const DIRECTION_ANGLES = {
+    right: 0,
+    down: Math.PI / 2,
+    left: Math.PI,
+    up: -Math.PI / 2
+};
+
 export class SkillAnimation extends Animation {
     /**
      * @param {Object} config - Configuration for the skill animation
+     * @param {string} [config.color] - Color of the aura and target shape
+     * @param {string} [config.skillName] - Name shown above the entity
+     * @param {string} [config.shape='self'] - Target shape: 'self', 'area', 'cone' or 'line'
+     * @param {number} [config.range=32] - Radius or length of the shape in pixels
+     * @param {number} [config.width=32] - Width of a line in pixels
+     * @param {number} [config.angle=90] - Opening of a cone in degrees
+     * @param {string} [config.direction='down'] - Direction the caster faced
+     * @param {boolean} [config.trail=false] - Draw a line as a streak behind a caster that travels along it
      */
     constructor(config = {}) {
         super({
@@ -15,9 +36,15 @@ export class SkillAnimation extends Animation {
             type: 'skill',
             duration: config.duration || 800
         });
-        
+
         this.color = config.color || 'rgba(0, 255, 255, 0.7)';
         this.skillName = config.skillName || 'generic';
+        this.shape = config.shape || 'self';
+        this.range = config.range || 32;
+        this.width = config.width || 32;
+        this.angle = config.angle || 90;
+        this.direction = config.direction || 'down';
+        this.trail = config.trail || false;
     }
 
     /**
@@ -29,12 +56,14 @@ export class SkillAnimation extends Animation {
      * @param {number} height - Height of the entity
      */
     render(ctx, screenX, screenY, width, height) {
-        const progress = this.getProgress();
+        const progress = 1 - this.getProgress(); // 0 at the start, 1 at the end
         const centerX = screenX + width / 2;
         const centerY = screenY + height / 2;
-        
+
         ctx.save();
-        
+
+        this._renderShape(ctx, centerX, centerY, progress);
+
         // Create a glowing aura effect
         const radius = Math.max(width, height) * (0.5 + progress * 0.5);
         const gradient = ctx.createRadialGradient(
@@ -43,13 +72,13 @@ export class SkillAnimation extends Animation {
         );
         gradient.addColorStop(0, this.color);
         gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        
+
         ctx.globalAlpha = 0.7 * (1 - progress);
         ctx.fillStyle = gradient;
         ctx.beginPath();
         ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
         ctx.fill();
-        
+
         // Add some particle effects
         ctx.fillStyle = this.color;
         const numParticles = 8;
@@ -59,12 +88,12 @@ export class SkillAnimation extends Animation {
             const particleX = centerX + Math.cos(angle) * particleDistance;
             const particleY = centerY + Math.sin(angle) * particleDistance;
             const particleSize = 4 * (1 - progress);
-            
+
             ctx.beginPath();
             ctx.arc(particleX, particleY, particleSize, 0, Math.PI * 2);
             ctx.fill();
         }
-        
+
         // Display skill name if provided
         if (this.skillName !== 'generic') {
             ctx.textAlign = 'center';
@@ -73,7 +102,64 @@ export class SkillAnimation extends Animation {
             ctx.globalAlpha = 1 - progress;
             ctx.fillText(this.skillName, centerX, screenY - 10);
         }
-        
+
+        ctx.restore();
+    }
+
+    /**
+     * Draws the area the skill affected, fading out over the animation.
+     * @private
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {number} centerX - Screen X of the entity's center
+     * @param {number} centerY - Screen Y of the entity's center
+     * @param {number} progress - Animation progress from 0 to 1
+     */
+    _renderShape(ctx, centerX, centerY, progress) {
+        const facing = DIRECTION_ANGLES[this.direction] ?? DIRECTION_ANGLES.down;
+
+        ctx.save();
+        ctx.fillStyle = this.color;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.35 * (1 - progress);
+        ctx.translate(centerX, centerY);
+        ctx.rotate(facing);
+
+        switch (this.shape) {
+            case 'area': {
+                // Expanding ring with a spinning slash
+                ctx.beginPath();
+                ctx.arc(0, 0, this.range * Math.min(1, 0.4 + progress * 1.5), 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1 - progress;
+                ctx.beginPath();
+                ctx.arc(0, 0, this.range, progress * Math.PI * 4, progress * Math.PI * 4 + Math.PI * 1.2);
+                ctx.stroke();
+                break;
+            }
+            case 'cone': {
+                const halfAngle = (this.angle * Math.PI / 180) / 2;
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.arc(0, 0, this.range, -halfAngle, halfAngle);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'line': {
+                if (this.trail) {
+                    // The caster is moving along the line, so it follows them as a shrinking streak
+                    const length = this.range * (1 - progress);
+                    ctx.fillRect(-length, -this.width / 4, length, this.width / 2);
+                } else {
+                    ctx.fillRect(0, -this.width / 2, this.range, this.width);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+
         ctx.restore();
     }
 }
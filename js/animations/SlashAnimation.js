@@ -0,0 +1,101 @@
+/**
+ * SlashAnimation.js
+ * Animation of a melee swing in the attacker's facing direction.
+ * Arc weapons sweep across their hitbox, line weapons thrust along it.
+ */
+
+import { Animation } from './Animation.js';
+
+/**
+ * Angle in radians of each facing direction, measured clockwise from the right.
+ * @readonly
+ * @type {Object.<string, number>}
+ */
+const DIRECTION_ANGLES = {
+    right: 0,
+    down: Math.PI / 2,
+    left: Math.PI,
+    up: -Math.PI / 2
+};
+
+export class SlashAnimation extends Animation {
+    /**
+     * @param {Object} config - Configuration for the slash animation
+     * @param {string} [config.direction='down'] - Direction of the swing
+     * @param {string} [config.shape='arc'] - Hitbox shape: 'arc' sweeps, 'line' thrusts
+     * @param {number} [config.range=32] - Reach of the swing in pixels
+     * @param {number} [config.width=16] - Width of a thrust in pixels
+     * @param {number} [config.angle=90] - Opening of the sweep in degrees
+     * @param {string} [config.color] - Color of the slash trail
+     */
+    constructor(config = {}) {
+        super({
+            ...config,
+            type: 'slash',
+            duration: config.duration || 200
+        });
+
+        this.direction = config.direction || 'down';
+        this.shape = config.shape || 'arc';
+        this.range = config.range || 32;
+        this.width = config.width || 16;
+        this.angle = config.angle || 90;
+        this.color = config.color || 'rgba(255, 255, 255, 0.9)';
+    }
+
+    /**
+     * Renders the slash animation
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {number} screenX - Screen X coordinate of the entity
+     * @param {number} screenY - Screen Y coordinate of the entity
+     * @param {number} width - Width of the entity
+     * @param {number} height - Height of the entity
+     */
+    render(ctx, screenX, screenY, width, height) {
+        const progress = 1 - this.getProgress(); // 0 at the start, 1 at the end
+
+        ctx.save();
+        ctx.translate(screenX + width / 2, screenY + height / 2);
+        ctx.rotate(DIRECTION_ANGLES[this.direction] ?? DIRECTION_ANGLES.down);
+        ctx.strokeStyle = this.color;
+        ctx.fillStyle = this.color;
+        ctx.lineCap = 'round';
+        ctx.globalAlpha = 1 - progress * 0.7;
+
+        if (this.shape === 'line') {
+            // Thrust out to full reach in the first half, then pull back
+            const reach = this.range * (progress < 0.5 ? progress * 2 : 2 - progress * 2);
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(width / 4, 0);
+            ctx.lineTo(reach, 0);
+            ctx.stroke();
+
+            // Point of the weapon
+            ctx.beginPath();
+            ctx.moveTo(reach + 6, 0);
+            ctx.lineTo(reach, -this.width / 4);
+            ctx.lineTo(reach, this.width / 4);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            // Trail that sweeps from one edge of the arc to the other
+            const halfAngle = (this.angle * Math.PI / 180) / 2;
+            const sweepEnd = -halfAngle + progress * halfAngle * 2;
+            const trailStart = Math.max(-halfAngle, sweepEnd - halfAngle);
+
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(0, 0, this.range * 0.8, trailStart, sweepEnd);
+            ctx.stroke();
+
+            // Thin outer edge of the trail
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(0, 0, this.range, trailStart, sweepEnd);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+}
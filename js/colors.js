@@ -18,4 +18,8 @@ export const SPRITES = {
     GRASS: '#3A2A0B',      // Dark earthy brown for terrain
     PATH: '#8B6F4E',       // Medium brown for walkable paths
     BUILDING: '#2A1B0A',   // Very dark brown for buildings
+    WATER: '#1F4E6B',      // Deep murky blue for water
+    LAVA: '#C1370B',       // Glowing orange-red for lava
+    ICE: '#A9D6E5',        // Pale frosty blue for ice
+    DOOR: '#5C3A1A',       // Weathered wood for doors
 };
@@ -1,7 +1,7 @@
 /**
  * BaseCombat.js
  * Base class for combat systems that handles shared functionality between player and NPC combat.
- * Provides common methods and properties for health management, animations, and combat mechanics.
+ * Provides common methods and properties for health and stamina management, status effects, animations, and combat mechanics.
  * Uses Stats class for managing attributes and calculations.
  */
 import { HealthBar } from '../UI/HealthBar.js';
@@ -10,6 +10,8 @@ import { DamageNumberAnimation } from '../animations/DamageNumber.js';
 import { HitAnimation } from '../animations/HitAnimation.js';
 import { BuffAnimation } from '../animations/BuffAnimation.js';
 import { Stats } from './stats.js';
+import { StatusEffectSet } from './StatusEffectSet.js';
+import { resolveDamage, getCombatSystem } from './damage.js';
 
 export class BaseCombat {
     /** @type {number} Maximum health points */
@@ -22,6 +24,16 @@ export class BaseCombat {
     healthBarDisplayTime = 3000;
     /** @type {number} Timestamp when health bar should hide */
     healthBarHideTime = 0;
+    /** @type {number} Maximum stamina points */
+    maxStamina = 50;
+    /** @type {number} Current stamina points (fractional while regenerating) */
+    currentStamina = 50;
+    /** @type {number} Stamina regenerated per second */
+    staminaRegen = 8;
+    /** @type {number} Time in milliseconds after spending stamina before it starts to regenerate */
+    staminaRegenDelay = 1000;
+    /** @type {number} Timestamp when stamina starts regenerating again */
+    staminaRegenResumeTime = 0;
     /** @type {number} Cooldown duration between attacks in milliseconds */
     attackCooldown = 1000;
     /** @type {number} Timestamp when entity can attack again */
@@ -37,6 +49,16 @@ export class BaseCombat {
     /** @type {number} Timer for damage effect */
     damageEffectTimer = 0;
     
+    /** @type {string} Damage type of the entity's own attacks (see DAMAGE_TYPES) */
+    damageType = 'physical';
+    /** @type {Object.<string, number>} Fraction of each damage type ignored, e.g. {physical: 0.2} (1 = immune) */
+    resistances = {};
+    /** @type {Object.<string, number>} Extra fraction of each damage type taken, e.g. {ice: 0.5} for 150% */
+    weaknesses = {};
+    
+    /** @type {Object|null} Entity that dealt the most recent damage (used to reward whoever lands the final blow) */
+    lastAttacker = null;
+    
     /** @type {Object} Reference to the entity object */
     entity = null;
     
@@ -56,17 +78,32 @@ export class BaseCombat {
         if (options.attackDamage) this.attackDamage = options.attackDamage;
         if (options.attackRange) this.attackRange = options.attackRange;
         if (options.attackCooldown) this.attackCooldown = options.attackCooldown;
+        if (options.damageType) this.damageType = options.damageType;
+        if (options.resistances) this.resistances = { ...options.resistances };
+        if (options.weaknesses) this.weaknesses = { ...options.weaknesses };
         
         // Initialize stats system
         this.stats = new Stats({
             strength: options.strength,
             vitality: options.vitality,
+            agility: options.agility,
+            defense: options.defense,
+            luck: options.luck,
+            endurance: options.endurance,
             damage: this.attackDamage,
             health: this.maxHealth,
+            stamina: options.maxStamina,
+            staminaRegen: options.staminaRegen,
         });
 
         this.maxHealth = this.stats.calculateMaxHealth();
         this.currentHealth = this.maxHealth;
+        this.maxStamina = this.stats.calculateMaxStamina();
+        this.currentStamina = this.maxStamina;
+        this.staminaRegen = this.stats.calculateStaminaRegen();
+        
+        /** @private @type {number} Timestamp of the last stamina regeneration tick */
+        this._lastStaminaUpdate = Date.now();
 
         this.healthBarHideTime = Date.now() + this.healthBarDisplayTime;
         
@@ -86,32 +123,130 @@ export class BaseCombat {
         if (typeof BuffAnimation !== 'undefined') {
             this.animations.registerAnimationType('buff', BuffAnimation);
         }
+        
+        /** @type {StatusEffectSet} Burns, poisons, slows and other status effects on the entity */
+        this.statusEffects = new StatusEffectSet(this);
     }
     
     /**
-     * Takes damage and reduces health
-     * @param {number} amount - Amount of damage to take
-     * @returns {boolean} - Whether the entity was defeated
+     * Gets the time between attacks after agility is applied
+     * @returns {number} - Attack cooldown in milliseconds
      */
-    takeDamage(amount) {
-        this.currentHealth = Math.max(0, this.currentHealth - amount);
-        this.healthBarHideTime = Date.now() + this.healthBarDisplayTime;
+    getAttackCooldown() {
+        return this.stats.calculateAttackCooldown(this.attackCooldown);
+    }
+    
+    /**
+     * Gets the entity's resistance to a damage type
+     * @param {string} type - Damage type, e.g. 'physical'
+     * @returns {number} - Fraction of that damage ignored (1 = immune)
+     */
+    getResistance(type) {
+        return Math.min(1, this.resistances[type] ?? 0);
+    }
+    
+    /**
+     * Gets the entity's weakness to a damage type
+     * @param {string} type - Damage type, e.g. 'ice'
+     * @returns {number} - Extra fraction of that damage taken (0 = not weak to it)
+     */
+    getWeakness(type) {
+        return Math.max(0, this.weaknesses[type] ?? 0);
+    }
+    
+    /**
+     * Gets how the entity's attacks deal damage, to pass along to takeDamage
+     * @returns {{type: string, blessed: boolean}} - Damage type and whether it ignores immunities
+     */
+    getDamageOptions() {
+        return { type: this.damageType, blessed: false };
+    }
+    
+    /**
+     * Takes a hit, resolved through the damage pipeline (see damage.js):
+     * the attacker may crit, this entity may dodge, defense and resistances reduce the rest
+     * and weaknesses add to it.
+     * @param {number} amount - Damage before any rolls or reductions
+     * @param {Object} [source] - The entity dealing the damage
+     * @param {Object} [options] - How the damage is dealt
+     * @param {string} [options.type='physical'] - Damage type (see DAMAGE_TYPES)
+     * @param {boolean} [options.blessed=false] - Whether it comes from a blessed weapon
+     * @returns {import('./damage.js').DamageResult} - What became of the hit
+     */
+    takeDamage(amount, source = null, { type = 'physical', blessed = false } = {}) {
+        if (source) this.lastAttacker = source;
         
-        // Visual effects
-        this.isDamaged = true;
-        this.damageEffectTimer = this.damageEffectDuration;
+        const result = resolveDamage(amount, this, { attacker: getCombatSystem(source), source, type, blessed });
+        this._applyDamage(result);
         
-        // Show hit animation
-        this.animations.play('hit');
-        this.animations.play('damage', {value: amount});
+        // Attackers with an onHitEffect (dragons burn, ghosts chill) may inflict it on a landed hit
+        const onHit = source?.onHitEffect;
+        if (onHit && result.amount > 0 && !result.defeated && Math.random() < (onHit.chance ?? 1)) {
+            this.statusEffects.apply(onHit.effect, { source });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Takes damage from a status effect such as burn or poison.
+     * It can't crit or be dodged, ignores defense and doesn't flash the entity; resistances and weaknesses still apply.
+     * @param {number} amount - Damage before resistances
+     * @param {Object} [source] - The entity that inflicted the effect
+     * @param {Object} [options]
+     * @param {string} [options.type='physical'] - Damage type, e.g. 'fire' for burns
+     * @param {string} [options.color] - Color of the damage number
+     * @returns {import('./damage.js').DamageResult|null} - What became of the damage (null if the entity is already down)
+     */
+    takeEffectDamage(amount, source = null, { type = 'physical', color } = {}) {
+        if (amount <= 0 || this.currentHealth <= 0) return null;
+        if (source) this.lastAttacker = source;
+        
+        const result = resolveDamage(amount, this, { source, type, canCrit: false, canDodge: false, ignoresDefense: true });
+        this._applyDamage(result, { flash: false, color });
+        return result;
+    }
+    
+    /**
+     * Applies a resolved hit: shows its damage number, lowers health and handles defeat.
+     * @param {import('./damage.js').DamageResult} result - The resolved hit; `defeated` is set on it
+     * @param {Object} [options]
+     * @param {boolean} [options.flash=true] - Whether to flash the entity and play the hit animation
+     * @param {string} [options.color] - Color of the damage number (defaults to the outcome's or damage type's color)
+     * @protected
+     */
+    _applyDamage(result, { flash = true, color } = {}) {
+        this.animations.play('damage', {
+            value: result.amount,
+            outcome: result.outcome,
+            damageType: result.type,
+            multiplier: result.typeMultiplier,
+            color
+        });
+        if (result.amount <= 0) return;
+        
+        this.currentHealth = Math.max(0, this.currentHealth - result.amount);
+        this.healthBarHideTime = Date.now() + this.healthBarDisplayTime;
+        
+        if (flash) {
+            this.isDamaged = true;
+            this.damageEffectTimer = this.damageEffectDuration;
+            this.animations.play('hit');
+        }
         
         // Check if entity is defeated
         if (this.currentHealth <= 0) {
+            result.defeated = true;
             this._handleDefeat();
-            return true;
         }
-        
-        return false;
+    }
+    
+    /**
+     * Checks whether the entity may attack (a stun prevents it)
+     * @returns {boolean} - Whether the entity can attack
+     */
+    canAttack() {
+        return this.statusEffects.canAttack();
     }
     
     /**
@@ -129,7 +264,7 @@ export class BaseCombat {
         if (this.animations.hasType('heal')) {
             this.animations.play('heal', {value: amount});
         } else if (this.animations.hasType('buff')) {
-            this.animations.play('buff', {value: amount});
+            this.animations.play('buff', {value: amount, name: `+${amount} HP`});
         }
     }
     
@@ -142,6 +277,48 @@ export class BaseCombat {
         this.isDamaged = false;
     }
     
+    /**
+     * Checks whether the entity has enough stamina for an action
+     * @param {number} amount - Stamina the action costs
+     * @returns {boolean} - Whether there is enough stamina
+     */
+    hasStamina(amount) {
+        return this.currentStamina >= amount;
+    }
+    
+    /**
+     * Spends stamina on an action. Nothing is spent if there isn't enough.
+     * Regeneration pauses for staminaRegenDelay afterwards.
+     * @param {number} amount - Stamina to spend
+     * @returns {boolean} - Whether the stamina was spent
+     */
+    spendStamina(amount) {
+        if (!this.hasStamina(amount)) return false;
+        if (amount <= 0) return true;
+        
+        this.currentStamina -= amount;
+        this.staminaRegenResumeTime = Date.now() + this.staminaRegenDelay;
+        return true;
+    }
+    
+    /**
+     * Restores stamina, up to the maximum
+     * @param {number} amount - Stamina to restore
+     */
+    restoreStamina(amount) {
+        this._updateStaminaFromStats();
+        this.currentStamina = Math.min(this.maxStamina, this.currentStamina + amount);
+    }
+    
+    /**
+     * Resets the entity's stamina to maximum
+     */
+    resetStamina() {
+        this._updateStaminaFromStats();
+        this.currentStamina = this.maxStamina;
+        this.staminaRegenResumeTime = 0;
+    }
+    
     /**
      * Handles entity defeat when health reaches zero
      * @protected
@@ -200,14 +377,25 @@ export class BaseCombat {
         
         // Update stats (handles buffs/debuffs)
         this.stats.update();
+        this.refreshStats();
+        
+        this._regenerateStamina();
+        this.statusEffects.update();
         
+        // Update animations
+        this.animations.update();
+    }
+    
+    /**
+     * Recalculates damage, health and stamina from the current stats.
+     * Call after changing stats outside the update loop (e.g. when equipping gear).
+     */
+    refreshStats() {
         this.attackDamage = this.stats.calculateDamage();
         
         // Update health values from stats
         this._updateHealthFromStats();
-        
-        // Update animations
-        this.animations.update();
+        this._updateStaminaFromStats();
     }
     
     /**
@@ -249,6 +437,37 @@ export class BaseCombat {
         }
     }
     
+    /**
+     * Updates max stamina and regeneration from endurance.
+     * Keeps the same fraction of stamina when the maximum changes, like health.
+     * @protected
+     */
+    _updateStaminaFromStats() {
+        this.staminaRegen = this.stats.calculateStaminaRegen();
+        
+        const newMaxStamina = this.stats.calculateMaxStamina();
+        if (newMaxStamina !== this.maxStamina) {
+            const staminaPercentage = this.maxStamina > 0 ? this.currentStamina / this.maxStamina : 1;
+            this.maxStamina = newMaxStamina;
+            this.currentStamina = Math.min(this.maxStamina, this.maxStamina * staminaPercentage);
+        }
+    }
+    
+    /**
+     * Regenerates stamina for the time passed since the last update.
+     * @protected
+     */
+    _regenerateStamina() {
+        const now = Date.now();
+        // Cap the step so a paused game (menus, dialogs) doesn't refill stamina on resume
+        const elapsed = Math.min(now - this._lastStaminaUpdate, 100);
+        this._lastStaminaUpdate = now;
+        
+        if (now < this.staminaRegenResumeTime || this.currentStamina >= this.maxStamina) return;
+        
+        this.currentStamina = Math.min(this.maxStamina, this.currentStamina + this.staminaRegen * elapsed / 1000);
+    }
+    
     /**
      * Renders the health bar and animations above the entity
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
@@ -260,6 +479,8 @@ export class BaseCombat {
         if (this.showHealthBar && this.currentHealth < this.maxHealth) {
             this.healthBar.render(ctx, screenX, screenY, this.currentHealth, this.maxHealth, this.entity.width);
         }
+        
+        this.statusEffects.render(ctx, screenX, screenY, this.entity.width, this.entity.height);
 
         // Render animations
         this.animations.render(ctx, screenX, screenY, this.entity.width, this.entity.height);
@@ -0,0 +1,148 @@
+/**
+ * Hitbox.js
+ * An area in front of (or around) an attacker, used to decide what an attack hits.
+ * Hitboxes are in world coordinates and face one of the four directions.
+ */
+
+/**
+ * Shapes a hitbox can take.
+ * @readonly
+ * @enum {string}
+ */
+export const HITBOX_SHAPES = {
+    ARC: 'arc',       // A wedge of a circle centered on the facing direction
+    LINE: 'line',     // A straight strip starting at the origin
+    CIRCLE: 'circle'  // Everything within range, regardless of facing
+};
+
+/**
+ * Unit vectors for each facing direction.
+ * @readonly
+ * @type {Object.<string, {x: number, y: number}>}
+ */
+export const DIRECTION_VECTORS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+export class Hitbox {
+    /**
+     * Creates a new hitbox.
+     * @param {Object} config - Hitbox configuration
+     * @param {number} config.x - World X of the origin (usually the attacker's center)
+     * @param {number} config.y - World Y of the origin
+     * @param {string} [config.direction='down'] - Facing direction ('up', 'down', 'left', 'right')
+     * @param {string} [config.shape='arc'] - One of HITBOX_SHAPES
+     * @param {number} [config.range=32] - Radius (arc, circle) or length (line) in pixels
+     * @param {number} [config.width=32] - Width of a line in pixels
+     * @param {number} [config.angle=90] - Opening of an arc in degrees
+     */
+    constructor({ x, y, direction = 'down', shape = HITBOX_SHAPES.ARC, range = 32, width = 32, angle = 90 }) {
+        this.x = x;
+        this.y = y;
+        this.direction = DIRECTION_VECTORS[direction] ? direction : 'down';
+        this.shape = shape;
+        this.range = range;
+        this.width = width;
+        this.angle = angle;
+    }
+
+    /**
+     * Creates a hitbox centered on an entity and facing where it faces.
+     * @param {Object} entity - Entity with x, y, width, height and direction
+     * @param {Object} shapeConfig - Shape, range, width and angle (see constructor)
+     * @returns {Hitbox} The hitbox
+     */
+    static fromEntity(entity, shapeConfig) {
+        return new Hitbox({
+            ...shapeConfig,
+            x: entity.x + entity.width / 2,
+            y: entity.y + entity.height / 2,
+            direction: entity.direction
+        });
+    }
+
+    /**
+     * Checks whether a world point lies inside the hitbox.
+     * @param {number} px - World X
+     * @param {number} py - World Y
+     * @returns {boolean} Whether the point is inside
+     */
+    containsPoint(px, py) {
+        const dx = px - this.x;
+        const dy = py - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const facing = DIRECTION_VECTORS[this.direction];
+
+        switch (this.shape) {
+            case HITBOX_SHAPES.CIRCLE:
+                return distance <= this.range;
+            case HITBOX_SHAPES.ARC: {
+                if (distance > this.range) return false;
+                if (distance === 0) return true;
+                const cosine = (dx * facing.x + dy * facing.y) / distance;
+                return Math.acos(Math.max(-1, Math.min(1, cosine))) <= (this.angle * Math.PI / 180) / 2;
+            }
+            case HITBOX_SHAPES.LINE: {
+                // Distance along the facing direction and sideways from it
+                const along = dx * facing.x + dy * facing.y;
+                const across = Math.abs(dx * facing.y - dy * facing.x);
+                return along > 0 && along <= this.range && across <= this.width / 2;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Checks whether an entity's center lies inside the hitbox.
+     * @param {Object} entity - Entity with x, y, width and height
+     * @returns {boolean} Whether the entity is hit
+     */
+    intersects(entity) {
+        return this.containsPoint(entity.x + entity.width / 2, entity.y + entity.height / 2);
+    }
+
+    /**
+     * Draws the outline of the hitbox (used by debug mode and attack warnings).
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
+     * @param {string} [color='rgba(255, 0, 0, 0.8)'] - Outline color
+     * @param {string} [fillColor] - Fills the area too when given
+     */
+    render(ctx, mapOffset, color = 'rgba(255, 0, 0, 0.8)', fillColor = null) {
+        const facing = DIRECTION_VECTORS[this.direction];
+
+        ctx.save();
+        ctx.translate(this.x + mapOffset.x, this.y + mapOffset.y);
+        ctx.rotate(Math.atan2(facing.y, facing.x));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        switch (this.shape) {
+            case HITBOX_SHAPES.CIRCLE:
+                ctx.arc(0, 0, this.range, 0, Math.PI * 2);
+                break;
+            case HITBOX_SHAPES.ARC: {
+                const halfAngle = (this.angle * Math.PI / 180) / 2;
+                ctx.moveTo(0, 0);
+                ctx.arc(0, 0, this.range, -halfAngle, halfAngle);
+                ctx.closePath();
+                break;
+            }
+            case HITBOX_SHAPES.LINE:
+                ctx.rect(0, -this.width / 2, this.range, this.width);
+                break;
+        }
+
+        if (fillColor) {
+            ctx.fillStyle = fillColor;
+            ctx.fill();
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Projectile.js
+ * A shot travelling across the map: an arrow, fireball or ghost bolt.
+ * Maps own their projectiles, updating and rendering them alongside NPCs and effects.
+ * A projectile stops at the first solid tile or target it hits, or once it has flown its range.
+ */
+import { getProjectileType } from './projectiles.js';
+import { DIRECTION_VECTORS } from './Hitbox.js';
+
+export class Projectile {
+    /**
+     * Creates a new projectile.
+     * @param {Object} config - Projectile configuration
+     * @param {string} config.type - Projectile type (see PROJECTILE_TYPES)
+     * @param {number} config.x - World X the projectile starts at
+     * @param {number} config.y - World Y the projectile starts at
+     * @param {{x: number, y: number}} config.direction - Direction of flight (normalized here)
+     * @param {number} config.damage - Damage dealt on a hit, before crits and the target's defenses
+     * @param {Object} [config.source=null] - The entity that fired it. Shots from the player hit
+     *     monsters; shots from anything else hit the player.
+     * @param {number} [config.range] - How far it flies in pixels (defaults to the type's range)
+     * @param {string} [config.damageType] - Damage type dealt (defaults to the type's damage type)
+     * @param {boolean} [config.blessed=false] - Whether it was fired from a blessed weapon
+     */
+    constructor({ type, x, y, direction, damage, source = null, range = null, damageType = null, blessed = false }) {
+        const settings = getProjectileType(type);
+        const length = Math.hypot(direction.x, direction.y) || 1;
+
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.dirX = direction.x / length;
+        this.dirY = direction.y / length;
+        this.damage = damage;
+        this.damageType = damageType ?? settings.damageType;
+        this.blessed = blessed;
+        this.source = source;
+        this.speed = settings.speed;
+        this.range = range ?? settings.range;
+        this.radius = settings.radius;
+        this.passesThroughWalls = settings.passesThroughWalls;
+        this.color = settings.color;
+
+        /** @type {number} Pixels flown so far */
+        this.distanceTravelled = 0;
+        /** @type {boolean} False once the projectile has hit something or run out of range */
+        this.active = true;
+    }
+
+    /**
+     * Creates a projectile leaving an entity's center in the direction it faces.
+     * @param {Object} entity - Entity with x, y, width, height and direction
+     * @param {Object} config - Remaining projectile configuration (see constructor)
+     * @returns {Projectile} The projectile
+     */
+    static fromEntity(entity, config) {
+        return new Projectile({
+            direction: DIRECTION_VECTORS[entity.direction] || DIRECTION_VECTORS.down,
+            ...config,
+            x: entity.x + entity.width / 2,
+            y: entity.y + entity.height / 2,
+            source: entity
+        });
+    }
+
+    /**
+     * Moves the projectile and resolves collisions with walls and targets.
+     * @param {number} deltaTime - Time passed since last update in ms
+     * @param {BaseMap} map - The map the projectile flies over
+     * @param {Player} player - The player
+     */
+    update(deltaTime, map, player) {
+        if (!this.active) return;
+
+        // Advance in steps no longer than the radius so fast shots can't skip over a wall or target
+        const distance = this.speed * deltaTime / 1000;
+        const steps = Math.max(1, Math.ceil(distance / this.radius));
+        const stepLength = distance / steps;
+
+        for (let i = 0; i < steps; i++) {
+            this.x += this.dirX * stepLength;
+            this.y += this.dirY * stepLength;
+            this.distanceTravelled += stepLength;
+
+            if (!this.passesThroughWalls && map.isSolidTile(map.getTileAt(this.x, this.y))) {
+                this.active = false;
+                return;
+            }
+
+            const target = this._findTarget(map, player);
+            if (target) {
+                target.takeDamage(this.damage, this.source, { type: this.damageType, blessed: this.blessed });
+                this.active = false;
+                return;
+            }
+
+            if (this.distanceTravelled >= this.range) {
+                this.active = false;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Finds the entity the projectile is touching, if any.
+     * @param {BaseMap} map - The map the projectile flies over
+     * @param {Player} player - The player
+     * @returns {Object|undefined} The entity that was hit
+     * @private
+     */
+    _findTarget(map, player) {
+        if (player && this.source === player) {
+            // Like melee swings, the player's shots only hit monsters
+            return map.npcs.find(npc => npc.canBeAggressive && !npc.isDefeated && this._touches(npc));
+        }
+        return player && this._touches(player) ? player : undefined;
+    }
+
+    /**
+     * Checks whether the projectile overlaps an entity's bounds.
+     * @param {Object} entity - Entity with x, y, width and height
+     * @returns {boolean} Whether they overlap
+     * @private
+     */
+    _touches(entity) {
+        return this.x + this.radius > entity.x && this.x - this.radius < entity.x + entity.width &&
+            this.y + this.radius > entity.y && this.y - this.radius < entity.y + entity.height;
+    }
+
+    /**
+     * Draws the projectile.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
+     */
+    render(ctx, mapOffset) {
+        ctx.save();
+        ctx.translate(this.x + mapOffset.x, this.y + mapOffset.y);
+        ctx.rotate(Math.atan2(this.dirY, this.dirX));
+
+        switch (this.type) {
+            case 'fireball':
+                this._renderFireball(ctx);
+                break;
+            case 'ghost_bolt':
+                this._renderGhostBolt(ctx);
+                break;
+            default:
+                this._renderArrow(ctx);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draws an arrow pointing along the x axis.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context, rotated to the flight direction
+     * @private
+     */
+    _renderArrow(ctx) {
+        // Shaft
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-10, 0);
+        ctx.lineTo(6, 0);
+        ctx.stroke();
+
+        // Head
+        ctx.fillStyle = '#bbbbbb';
+        ctx.beginPath();
+        ctx.moveTo(10, 0);
+        ctx.lineTo(5, -3);
+        ctx.lineTo(5, 3);
+        ctx.closePath();
+        ctx.fill();
+
+        // Fletching
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-10, 0);
+        ctx.lineTo(-13, -3);
+        ctx.moveTo(-10, 0);
+        ctx.lineTo(-13, 3);
+        ctx.stroke();
+    }
+
+    /**
+     * Draws a flickering fireball with a fading tail.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context, rotated to the flight direction
+     * @private
+     */
+    _renderFireball(ctx) {
+        const r = this.radius * (0.9 + Math.random() * 0.2);
+
+        // Tail of flame streaming behind
+        const tail = ctx.createLinearGradient(-r * 3, 0, 0, 0);
+        tail.addColorStop(0, 'rgba(255, 50, 0, 0)');
+        tail.addColorStop(1, 'rgba(255, 150, 0, 0.7)');
+        ctx.fillStyle = tail;
+        ctx.beginPath();
+        ctx.moveTo(0, -r);
+        ctx.lineTo(-r * 3, 0);
+        ctx.lineTo(0, r);
+        ctx.closePath();
+        ctx.fill();
+
+        // Yellow core fading to red at the edge
+        const core = ctx.createRadialGradient(0, 0, 1, 0, 0, r);
+        core.addColorStop(0, 'rgba(255, 255, 150, 1)');
+        core.addColorStop(0.5, this.color);
+        core.addColorStop(1, 'rgba(200, 30, 0, 0.8)');
+        ctx.fillStyle = core;
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draws a pale, translucent orb trailing wisps.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context, rotated to the flight direction
+     * @private
+     */
+    _renderGhostBolt(ctx) {
+        // Wisps left behind, growing fainter
+        for (let i = 1; i <= 3; i++) {
+            ctx.globalAlpha = 0.4 - i * 0.1;
+            ctx.fillStyle = this.color;
+            ctx.beginPath();
+            ctx.arc(-i * this.radius, Math.sin(Date.now() / 80 + i) * 2, this.radius * (1 - i * 0.2), 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.globalAlpha = 0.8;
+        const glow = ctx.createRadialGradient(0, 0, 1, 0, 0, this.radius);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        glow.addColorStop(1, this.color);
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * StatusEffectSet.js
+ * The status effects currently affecting one entity. Owned by its combat system,
+ * which updates it every frame; the movement system asks it how fast the entity may move.
+ */
+import { getStatusEffect } from './statusEffects.js';
+
+export class StatusEffectSet {
+    /**
+     * Creates an empty set of status effects.
+     * @param {import('./BaseCombat.js').BaseCombat} combat - Combat system of the affected entity
+     */
+    constructor(combat) {
+        this.combat = combat;
+        /** @type {Array<Object>} Active effects: a copy of the definition plus timers and source */
+        this.active = [];
+    }
+
+    /**
+     * Applies a status effect. Applying one that is already active refreshes its duration instead of stacking.
+     * @param {string} id - Status effect id (see STATUS_EFFECTS)
+     * @param {Object} [options] - Overrides for this application
+     * @param {number} [options.duration] - Duration in milliseconds
+     * @param {number} [options.tickDamage] - Damage per tick
+     * @param {Object} [options.source] - Entity that inflicted it (credited for kills by ticking damage)
+     * @returns {Object|null} The active effect, or null if the id is unknown
+     */
+    apply(id, options = {}) {
+        const definition = getStatusEffect(id);
+        if (!definition) return null;
+
+        const now = Date.now();
+        const duration = options.duration ?? definition.duration;
+
+        const existing = this.get(id);
+        if (existing) {
+            existing.expiryTime = Math.max(existing.expiryTime, now + duration);
+            existing.source = options.source ?? existing.source;
+            return existing;
+        }
+
+        const effect = {
+            ...definition,
+            id,
+            tickDamage: options.tickDamage ?? definition.tickDamage ?? 0,
+            source: options.source ?? null,
+            expiryTime: now + duration,
+            nextTickTime: now + (definition.tickInterval || 0)
+        };
+        this.active.push(effect);
+
+        this.combat.animations.play('buff', {
+            duration: 1000,
+            name: `${definition.icon} ${definition.name}`,
+            color: definition.tint,
+            isDebuff: true
+        });
+        return effect;
+    }
+
+    /**
+     * Gets an active effect.
+     * @param {string} id - Status effect id
+     * @returns {Object|undefined} The active effect
+     */
+    get(id) {
+        return this.active.find(effect => effect.id === id);
+    }
+
+    /**
+     * Checks whether an effect is active.
+     * @param {string} id - Status effect id
+     * @returns {boolean} Whether it is active
+     */
+    has(id) {
+        return this.active.some(effect => effect.id === id);
+    }
+
+    /**
+     * Removes an active effect.
+     * @param {string} id - Status effect id
+     * @returns {boolean} Whether it was active
+     */
+    remove(id) {
+        const before = this.active.length;
+        this.active = this.active.filter(effect => effect.id !== id);
+        return this.active.length < before;
+    }
+
+    /**
+     * Removes every active effect (antidotes, the fountain).
+     * @returns {number} Number of effects removed
+     */
+    cleanse() {
+        const removed = this.active.length;
+        this.active = [];
+        return removed;
+    }
+
+    /**
+     * Deals damage from ticking effects and drops the ones that have worn off.
+     * At most one tick per effect is dealt per update, so time spent paused is not made up at once.
+     */
+    update() {
+        const now = Date.now();
+
+        for (const effect of this.active) {
+            if (!effect.tickInterval || now < effect.nextTickTime || effect.nextTickTime > effect.expiryTime) continue;
+
+            effect.nextTickTime = now + effect.tickInterval;
+            const tick = { type: effect.damageType, color: effect.damageColor };
+            if (this.combat.takeEffectDamage(effect.tickDamage, effect.source, tick)?.defeated) {
+                // Defeated: nothing left to tick
+                this.active = [];
+                return;
+            }
+        }
+
+        this.active = this.active.filter(effect => now < effect.expiryTime);
+    }
+
+    /**
+     * Gets how much the active effects scale movement speed.
+     * @returns {number} Speed multiplier (1 when nothing slows the entity)
+     */
+    getSpeedMultiplier() {
+        return this.active.reduce((multiplier, effect) => multiplier * (effect.speedMultiplier ?? 1), 1);
+    }
+
+    /**
+     * Checks whether the entity may start moving (not frozen, rooted or stunned).
+     * @returns {boolean} Whether it can move
+     */
+    canMove() {
+        return !this.active.some(effect => effect.preventsMovement);
+    }
+
+    /**
+     * Checks whether the entity may attack or use skills (not stunned).
+     * @returns {boolean} Whether it can attack
+     */
+    canAttack() {
+        return !this.active.some(effect => effect.preventsAttacks);
+    }
+
+    /**
+     * Draws a pulsing tint of the most recent effect over the entity and a row of icons beneath it.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {number} screenX - Screen X coordinate of the entity
+     * @param {number} screenY - Screen Y coordinate of the entity
+     * @param {number} width - Width of the entity
+     * @param {number} height - Height of the entity
+     */
+    render(ctx, screenX, screenY, width, height) {
+        if (this.active.length === 0) return;
+
+        const centerX = screenX + width / 2;
+        const centerY = screenY + height / 2;
+        const tint = this.active[this.active.length - 1].tint;
+
+        ctx.save();
+
+        // Soft glow over the entity, pulsing gently
+        ctx.globalAlpha = 0.7 + Math.sin(Date.now() / 150) * 0.3;
+        const glow = ctx.createRadialGradient(centerX, centerY, 2, centerX, centerY, width * 0.6);
+        glow.addColorStop(0, tint);
+        glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, width * 0.6, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Icons in a row under the entity's feet
+        ctx.globalAlpha = 1;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const spacing = 12;
+        const startX = centerX - (this.active.length - 1) * spacing / 2;
+        this.active.forEach((effect, i) => {
+            ctx.fillText(effect.icon, startX + i * spacing, screenY + height + 1);
+        });
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * damage.js
+ * Damage resolution pipeline. Every hit, from the player or an NPC, melee, skill,
+ * projectile or status effect, is turned into a DamageResult here:
+ * base damage -> critical roll -> dodge roll -> defense reduction -> resistance and weakness.
+ */
+
+/**
+ * What became of a hit, used to style its damage number.
+ * @readonly
+ * @enum {string}
+ */
+export const DAMAGE_OUTCOMES = {
+    HIT: 'hit',
+    CRITICAL: 'critical',
+    MISS: 'miss',        // Dodged
+    BLOCKED: 'blocked'   // Landed, but defense and resistance (or an immunity) took all of it
+};
+
+/**
+ * The outcome of one hit and every step that led to it.
+ */
+export class DamageResult {
+    /**
+     * Creates a result for a hit that hasn't been resolved yet.
+     * @param {Object} config - Hit configuration
+     * @param {number} config.base - Damage before any rolls or reductions
+     * @param {string} [config.type='physical'] - Damage type, looked up in the defender's resistances
+     * @param {Object} [config.source=null] - The entity dealing the damage
+     * @param {boolean} [config.blessed=false] - Whether the hit comes from a blessed weapon
+     */
+    constructor({ base, type = 'physical', source = null, blessed = false }) {
+        /** @type {number} Damage before any rolls or reductions */
+        this.base = base;
+        /** @type {string} Damage type */
+        this.type = type;
+        /** @type {Object|null} The entity dealing the damage */
+        this.source = source;
+        /** @type {boolean} Whether the hit comes from a blessed weapon, which no immunity stops */
+        this.blessed = blessed;
+        /** @type {boolean} Whether the attacker rolled a critical hit */
+        this.isCritical = false;
+        /** @type {number} Multiplier applied by the critical hit (1 if there wasn't one) */
+        this.critMultiplier = 1;
+        /** @type {boolean} Whether the defender dodged */
+        this.isDodged = false;
+        /** @type {number} Fraction removed by the defender's defense */
+        this.defenseReduction = 0;
+        /** @type {number} Fraction removed by the defender's resistance to the damage type */
+        this.resistance = 0;
+        /** @type {number} Fraction added by the defender's weakness to the damage type */
+        this.weakness = 0;
+        /** @type {number} Damage actually dealt */
+        this.amount = base;
+        /** @type {boolean} Whether the hit defeated the defender (set once it is applied) */
+        this.defeated = false;
+    }
+
+    /**
+     * How much the defender's resistance and weakness to the damage type scale the hit.
+     * @returns {number} Multiplier: below 1 when resisted, 0 when immune, above 1 against a weakness
+     */
+    get typeMultiplier() {
+        return (1 - this.resistance) * (1 + this.weakness);
+    }
+
+    /**
+     * Whether the hit landed but was reduced to nothing.
+     * @returns {boolean}
+     */
+    get isBlocked() {
+        return !this.isDodged && this.amount <= 0;
+    }
+
+    /**
+     * What became of the hit.
+     * @returns {string} One of DAMAGE_OUTCOMES
+     */
+    get outcome() {
+        if (this.isDodged) return DAMAGE_OUTCOMES.MISS;
+        if (this.isBlocked) return DAMAGE_OUTCOMES.BLOCKED;
+        if (this.isCritical) return DAMAGE_OUTCOMES.CRITICAL;
+        return DAMAGE_OUTCOMES.HIT;
+    }
+}
+
+/**
+ * Gets an entity's combat system (the player keeps it in `combat`, NPCs in `combatSystem`).
+ * @param {Object|null} entity - The entity
+ * @returns {import('./BaseCombat.js').BaseCombat|null} Its combat system, if it has one
+ */
+export function getCombatSystem(entity) {
+    return entity?.combat ?? entity?.combatSystem ?? null;
+}
+
+/**
+ * Resolves a hit against a defender.
+ * @param {number} base - Damage before any rolls or reductions
+ * @param {import('./BaseCombat.js').BaseCombat} defender - Combat system of the entity being hit
+ * @param {Object} [options] - How the hit is resolved
+ * @param {import('./BaseCombat.js').BaseCombat} [options.attacker=null] - Combat system of the attacker (rolls crits with its luck)
+ * @param {Object} [options.source=null] - The entity dealing the damage
+ * @param {string} [options.type='physical'] - Damage type (see DAMAGE_TYPES)
+ * @param {boolean} [options.blessed=false] - Whether the hit ignores immunities (partial resistances still apply)
+ * @param {boolean} [options.canCrit=true] - Whether the hit can be a critical hit
+ * @param {boolean} [options.canDodge=true] - Whether the defender can dodge it
+ * @param {boolean} [options.ignoresDefense=false] - Whether defense is skipped (resistances still apply)
+ * @returns {DamageResult} The resolved hit; nothing has been applied to the defender yet
+ */
+export function resolveDamage(base, defender, {
+    attacker = null,
+    source = null,
+    type = 'physical',
+    blessed = false,
+    canCrit = true,
+    canDodge = true,
+    ignoresDefense = false
+} = {}) {
+    const result = new DamageResult({ base, type, source, blessed });
+
+    if (canCrit && attacker && Math.random() < attacker.stats.calculateCritChance()) {
+        result.isCritical = true;
+        result.critMultiplier = attacker.stats.critMultiplier;
+    }
+
+    if (canDodge && Math.random() < defender.stats.calculateDodgeChance()) {
+        result.isDodged = true;
+        result.amount = 0;
+        return result;
+    }
+
+    if (!ignoresDefense) {
+        result.defenseReduction = defender.stats.calculateDamageReduction();
+    }
+    result.resistance = defender.getResistance(type);
+    if (blessed && result.resistance >= 1) {
+        // Holy steel still wounds what ordinary steel passes through
+        result.resistance = 0;
+    }
+    result.weakness = defender.getWeakness(type);
+
+    result.amount = Math.max(0, Math.round(
+        base * result.critMultiplier * (1 - result.defenseReduction) * result.typeMultiplier
+    ));
+    return result;
+}
@@ -0,0 +1,30 @@
+/**
+ * damageTypes.js
+ * Catalog of damage types. Every hit has one; what it does to the defender depends on
+ * the defender's resistances and weaknesses to that type (see BaseCombat).
+ */
+
+/**
+ * Definition of each damage type. `color` is the color of its damage numbers.
+ * @readonly
+ * @type {Object.<string, {name: string, color: string}>}
+ */
+export const DAMAGE_TYPES = {
+    // Blades, claws, arrows
+    physical: { name: 'Physical', color: 'rgba(255, 255, 255, 1)' },
+    // Dragon breath and burning
+    fire: { name: 'Fire', color: 'rgba(255, 140, 0, 1)' },
+    // Frost weapons
+    ice: { name: 'Ice', color: 'rgba(140, 210, 255, 1)' },
+    // The touch and bolts of the dead
+    spirit: { name: 'Spirit', color: 'rgba(200, 160, 255, 1)' }
+};
+
+/**
+ * Looks up a damage type.
+ * @param {string} type - Damage type, e.g. 'fire'
+ * @returns {Object} The damage type (physical if the type is unknown)
+ */
+export function getDamageType(type) {
+    return DAMAGE_TYPES[type] || DAMAGE_TYPES.physical;
+}
@@ -0,0 +1,80 @@
+/**
+ * Experience.js
+ * Tracks experience points and character level.
+ * The XP needed for the next level grows with the current level: baseXp * level^growth.
+ */
+
+export class Experience {
+    /**
+     * Creates a new Experience instance.
+     * @param {Object} options - Configuration options
+     * @param {number} options.baseXp - XP needed to go from level 1 to 2 (default: 40)
+     * @param {number} options.growth - Exponent of the XP curve (default: 1.5)
+     * @param {number} options.maxLevel - Highest reachable level (default: 50)
+     */
+    constructor(options = {}) {
+        this.baseXp = options.baseXp || 40;
+        this.growth = options.growth || 1.5;
+        this.maxLevel = options.maxLevel || 50;
+
+        this.level = 1;
+        // XP earned towards the next level (resets on level up)
+        this.xp = 0;
+        // XP earned over the whole game
+        this.totalXp = 0;
+    }
+
+    /**
+     * Gets the XP needed to advance from a level to the next one.
+     * @param {number} level - The level to advance from (defaults to the current level)
+     * @returns {number} - XP required, or Infinity at max level
+     */
+    getXpToNextLevel(level = this.level) {
+        if (level >= this.maxLevel) return Infinity;
+        return Math.round(this.baseXp * Math.pow(level, this.growth));
+    }
+
+    /**
+     * Adds XP, levelling up as many times as the amount allows.
+     * @param {number} amount - XP to add
+     * @returns {number} - Number of levels gained
+     */
+    addXp(amount) {
+        if (amount <= 0 || this.level >= this.maxLevel) return 0;
+
+        this.xp += amount;
+        this.totalXp += amount;
+
+        let levelsGained = 0;
+        while (this.xp >= this.getXpToNextLevel()) {
+            this.xp -= this.getXpToNextLevel();
+            this.level++;
+            levelsGained++;
+        }
+
+        // No overflow past the cap
+        if (this.level >= this.maxLevel) {
+            this.xp = 0;
+        }
+
+        return levelsGained;
+    }
+
+    /**
+     * Gets how far the current level has progressed.
+     * @returns {number} - Fraction from 0 to 1
+     */
+    getProgress() {
+        const needed = this.getXpToNextLevel();
+        return needed === Infinity ? 1 : this.xp / needed;
+    }
+
+    /**
+     * Resets back to level 1 with no XP.
+     */
+    reset() {
+        this.level = 1;
+        this.xp = 0;
+        this.totalXp = 0;
+    }
+}
@@ -3,6 +3,10 @@
  * Handles all combat-related functionality for NPCs, extending the BaseCombat system
  */
 import { BaseCombat } from './BaseCombat.js';
+import { Projectile } from './Projectile.js';
+
+/** XP awarded per point of the NPC's strength and vitality */
+const XP_PER_STAT_POINT = 4;
 
 export class CombatSystem extends BaseCombat {
     /**
@@ -27,25 +31,45 @@ export class CombatSystem extends BaseCombat {
             // Stats configuration
             strength: { value: 5, modifier: 2 },
             vitality: { value: 5, modifier: 10 },
+            agility: { value: 2 },
+            defense: { value: 2 },
+            luck: { value: 1 },
         });
+        
+        /**
+         * Ranged attack used while the player is out of melee reach, or null for melee only.
+         * `range` is in pixels, `cooldown` in milliseconds, and `damageMultiplier` scales the melee damage.
+         * @type {{projectile: string, range: number, cooldown: number, damageMultiplier: number}|null}
+         */
+        this.rangedAttack = null;
+        /** @type {number} Timestamp when the ranged attack can be used again */
+        this.nextRangedAttackTime = 0;
+        /** @type {boolean} Whether defeating the entity is worth XP (false for summoned minions) */
+        this.awardsExperience = true;
     }
     
     /**
      * Update combat-related systems
      * @param {Object} player - The player object
+     * @param {BaseMap} [map] - The map the entity is on (needed to fire projectiles)
      */
-    update(player) {
+    update(player, map = null) {
         // Call base class update
         super.update();
         
         // Get current time for cooldown checks
         const currentTime = Date.now();
         
-        // Check if the entity should attack the player
-        if (this.entity.isAggressive && player && currentTime >= this.nextAttackTime) {
-            if (this.isPlayerInAttackRange(player)) {
+        if (!this.entity.isAggressive || !player || !this.canAttack()) return;
+        
+        // Melee when the player is close, otherwise shoot if the entity has a ranged attack
+        if (this.isPlayerInAttackRange(player)) {
+            if (currentTime >= this.nextAttackTime) {
                 this.attackPlayer(player);
             }
+        } else if (map && this.rangedAttack && currentTime >= this.nextRangedAttackTime &&
+            this._getDistanceTo(player) <= this.rangedAttack.range) {
+            this.shootAt(player, map);
         }
     }
 
@@ -96,10 +120,10 @@ export class CombatSystem extends BaseCombat {
             this._faceTowardsTarget(dx, dy);
             
             // Deal damage to the player using calculated damage from stats
-            player.takeDamage(this.stats.calculateDamage());
+            player.takeDamage(this.stats.calculateDamage(), this.entity, this.getDamageOptions());
             
             // Set cooldown for next attack
-            this.nextAttackTime = currentTime + this.attackCooldown;
+            this.nextAttackTime = currentTime + this.getAttackCooldown();
             
             return true;
         }
@@ -107,16 +131,62 @@ export class CombatSystem extends BaseCombat {
         return false;
     }
     
+    /**
+     * Fires the ranged attack's projectile at a target.
+     * Calls the entity's onRangedAttack(target) hook so it can animate the shot.
+     * @param {Object} target - The entity to shoot at
+     * @param {BaseMap} map - The map to launch the projectile on
+     * @returns {boolean} - Whether a projectile was fired
+     */
+    shootAt(target, map) {
+        const currentTime = Date.now();
+        if (!this.rangedAttack || currentTime < this.nextRangedAttackTime) {
+            return false;
+        }
+        
+        const startX = this.entity.x + (this.entity.width / 2);
+        const startY = this.entity.y + (this.entity.height / 2);
+        const dx = target.x + (target.width / 2) - startX;
+        const dy = target.y + (target.height / 2) - startY;
+        this._faceTowardsTarget(dx, dy);
+        
+        map.addProjectile(new Projectile({
+            type: this.rangedAttack.projectile,
+            x: startX,
+            y: startY,
+            direction: { x: dx, y: dy },
+            damage: Math.round(this.stats.calculateDamage() * this.rangedAttack.damageMultiplier),
+            source: this.entity
+        }));
+        
+        this.nextRangedAttackTime = currentTime + this.rangedAttack.cooldown;
+        this.entity.onRangedAttack?.(target);
+        return true;
+    }
+    
+    /**
+     * Gets the distance between the centers of the entity and a target
+     * @param {Object} target - The target with x, y, width and height
+     * @returns {number} - Distance in pixels
+     * @private
+     */
+    _getDistanceTo(target) {
+        const dx = (target.x + target.width / 2) - (this.entity.x + this.entity.width / 2);
+        const dy = (target.y + target.height / 2) - (this.entity.y + this.entity.height / 2);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
     // _faceTowardsTarget is now provided by BaseCombat
     
     /**
      * Take damage from player or other sources
-     * @param {number} amount - Amount of damage to take
-     * @returns {boolean} - Whether the entity was defeated
+     * @param {number} amount - Damage before any rolls or reductions
+     * @param {Object} [source] - The entity dealing the damage
+     * @param {Object} [options] - Damage type and blessing (see BaseCombat.takeDamage)
+     * @returns {import('./damage.js').DamageResult} - What became of the hit
      */
-    takeDamage(amount) {
-        const defeated = super.takeDamage(amount);
-        return defeated;
+    takeDamage(amount, source = null, options = {}) {
+        return super.takeDamage(amount, source, options);
     }
     
     /**
@@ -134,15 +204,29 @@ export class CombatSystem extends BaseCombat {
         super.resetHealth();
     }
     
+    /**
+     * Gets the XP this entity is worth, scaled by how strong and tough it is
+     * @returns {number} - XP awarded for defeating it
+     */
+    getExperienceValue() {
+        if (!this.awardsExperience) return 0;
+        return (this.stats.getStat('strength') + this.stats.getStat('vitality')) * XP_PER_STAT_POINT;
+    }
+    
     /**
      * Called when the entity is defeated (health <= 0)
+     * Awards XP to whoever landed the final blow, then notifies the entity.
      * Overrides the BaseCombat._handleDefeat method
      * @protected
      */
     _handleDefeat() {
-        // Call the entity's onDefeat method if it exists
+        if (typeof this.lastAttacker?.gainExperience === 'function') {
+            this.lastAttacker.gainExperience(this.getExperienceValue());
+        }
+        
+        // Call the entity's onDefeat method if it exists, passing along who landed the final blow
         if (typeof this.entity.onDefeat === 'function') {
-            this.entity.onDefeat();
+            this.entity.onDefeat(this.lastAttacker);
         }
     }
 }
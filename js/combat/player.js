@@ -4,6 +4,37 @@
  * Extends BaseCombat for shared functionality.
  */
 import { BaseCombat } from './BaseCombat.js';
+import { HealthBar } from '../UI/HealthBar.js';
+import { DamageNumberAnimation } from '../animations/DamageNumber.js';
+import { LevelUpAnimation } from '../animations/LevelUpAnimation.js';
+import { SkillAnimation } from '../animations/SkillAnimation.js';
+import { SlashAnimation } from '../animations/SlashAnimation.js';
+import { Hitbox } from './Hitbox.js';
+import { Projectile } from './Projectile.js';
+import { getWeaponType } from './weapons.js';
+import { Experience } from './experience.js';
+import { ATTRIBUTES } from './stats.js';
+
+/**
+ * Stat values the player starts the game with.
+ * @readonly
+ * @type {Object.<string, number>}
+ */
+const STARTING_STATS = { strength: 7, vitality: 7, agility: 5, defense: 5, luck: 5, endurance: 5 };
+
+/**
+ * Unallocated stat points granted on every level up.
+ * @readonly
+ * @type {number}
+ */
+export const STAT_POINTS_PER_LEVEL = 3;
+
+/**
+ * A heavy attack hits harder and recovers slower than a normal attack, and costs stamina.
+ * @readonly
+ * @type {{staminaCost: number, damageMultiplier: number, cooldownMultiplier: number}}
+ */
+const HEAVY_ATTACK = { staminaCost: 20, damageMultiplier: 2, cooldownMultiplier: 1.5 };
 
 export class PlayerCombat extends BaseCombat {
     /** @type {boolean} Whether the player is currently invulnerable */
@@ -12,6 +43,8 @@ export class PlayerCombat extends BaseCombat {
     invulnerabilityDuration = 1000;
     /** @type {number} Timestamp when invulnerability will end */
     invulnerabilityEndTime = 0;
+    /** @type {number} Stat points earned from levelling up that haven't been spent yet */
+    unspentStatPoints = 0;
 
     /**
      * Creates a new PlayerCombat instance.
@@ -27,77 +60,239 @@ export class PlayerCombat extends BaseCombat {
             healthBarHeight: 5,
             healthBarYOffset: -10,
             // Stats configuration for player
-            strength: { value: 7, modifier: 3 }, // Player starts with more strength than NPCs
-            vitality: { value: 7, modifier: 10 }, // Player starts with more vitality than NPCs
+            strength: { value: STARTING_STATS.strength, modifier: 3 }, // Player starts with more strength than NPCs
+            vitality: { value: STARTING_STATS.vitality, modifier: 10 }, // Player starts with more vitality than NPCs
+            agility: { value: STARTING_STATS.agility },
+            defense: { value: STARTING_STATS.defense },
+            luck: { value: STARTING_STATS.luck },
+            endurance: { value: STARTING_STATS.endurance },
+        });
+        
+        // Stamina bar drawn just below the health bar
+        this.staminaBar = new HealthBar({
+            width: 32,
+            height: 3,
+            yOffset: -4,
+            colors: {
+                fill: 'rgba(40, 200, 200, 0.8)',
+                low: 'rgba(40, 200, 200, 0.8)',
+                critical: 'rgba(20, 120, 140, 0.8)'
+            }
         });
+        
+        /** @type {Experience} Level and XP progress */
+        this.experience = new Experience();
+        this.animations.registerAnimationType('levelUp', LevelUpAnimation);
+        this.animations.registerAnimationType('skill', SkillAnimation);
+        this.animations.registerAnimationType('slash', SlashAnimation);
+        
+        // Gold-coloured popups for picked up loot ('+12g', '+1 Monster Fang')
+        this.animations.registerAnimationType('loot', (config) => new DamageNumberAnimation({
+            ...config,
+            color: config.color || 'rgba(255, 215, 0, 1)',
+            duration: 1500,
+            offsetX: 0
+        }));
+    }
+
+    /**
+     * Shows a floating reward popup (gold, items, XP) over the player.
+     * Popups shown while others are still rising are stacked above them.
+     * @param {string} text - Text to show, e.g. '+12g'
+     * @param {string} [color] - Text color in rgba(r, g, b, 1) form (defaults to gold)
+     */
+    showPopup(text, color) {
+        const stackIndex = this.animations.getAnimationsOfType('loot')
+            .filter(animation => animation.getProgress() > 0.75).length;
+        this.animations.play('loot', { text, color, initialY: stackIndex * 14 });
+    }
+
+    /**
+     * Awards experience, levelling up when enough has been earned.
+     * Each level grants STAT_POINTS_PER_LEVEL points to spend and restores full health.
+     * @param {number} amount - XP to award
+     * @returns {number} - Number of levels gained
+     */
+    gainExperience(amount) {
+        if (amount <= 0) return 0;
+        
+        this.showPopup(`+${amount} XP`, 'rgba(140, 200, 255, 1)');
+        
+        const levelsGained = this.experience.addXp(amount);
+        if (levelsGained > 0) {
+            this.unspentStatPoints += STAT_POINTS_PER_LEVEL * levelsGained;
+            this.refreshStats();
+            this.currentHealth = this.maxHealth;
+            
+            this.animations.play('levelUp', { text: `LEVEL ${this.experience.level}!` });
+        }
+        
+        return levelsGained;
+    }
+
+    /**
+     * Spends unallocated stat points, raising the base value of each attribute.
+     * Nothing is spent unless the whole allocation is valid.
+     * @param {Object.<string, number>} allocation - Points to add per attribute, e.g. {strength: 2, luck: 1}
+     * @returns {boolean} - Whether the points were spent
+     */
+    allocateStatPoints(allocation) {
+        const entries = Object.entries(allocation).filter(([, points]) => points !== 0);
+        const total = entries.reduce((sum, [, points]) => sum + points, 0);
+        
+        const isValid = entries.every(([statName, points]) => ATTRIBUTES.includes(statName) && Number.isInteger(points) && points > 0);
+        if (!isValid || total === 0 || total > this.unspentStatPoints) {
+            return false;
+        }
+        
+        entries.forEach(([statName, points]) => this.stats.modifyStat(statName, points));
+        this.unspentStatPoints -= total;
+        this.refreshStats();
+        return true;
+    }
+
+    /**
+     * Resets level, XP, stat points and allocated stats to a fresh character.
+     */
+    resetProgress() {
+        this.experience.reset();
+        this.unspentStatPoints = 0;
+        for (const [statName, value] of Object.entries(STARTING_STATS)) {
+            this.stats.setStat(statName, value);
+        }
+        this.refreshStats();
+    }
+
+    /**
+     * Gets the area the player's next swing will hit: the equipped weapon's
+     * hitbox, in front of the player in the direction they face.
+     * @param {number} [range] - Reach in pixels (defaults to the weapon's reach)
+     * @returns {Hitbox} - The attack hitbox in world coordinates
+     */
+    getAttackHitbox(range = null) {
+        const weapon = getWeaponType(this.entity.equippedWeapon?.weaponType);
+        return Hitbox.fromEntity(this.entity, { ...weapon, range: range ?? weapon.range });
+    }
+
+    /**
+     * Gets how the player's attacks deal damage: the equipped weapon's damage type and blessing.
+     * Bare fists and plain weapons deal physical damage.
+     * @returns {{type: string, blessed: boolean}} - Damage type and whether it ignores immunities
+     */
+    getDamageOptions() {
+        const weapon = this.entity.equippedWeapon;
+        return { type: weapon?.damageType ?? this.damageType, blessed: weapon?.blessed ?? false };
     }
 
     /**
-     * Attack nearby aggressive monsters.
+     * Swings at aggressive monsters inside the attack hitbox.
+     * The swing starts the attack cooldown even if it misses.
+     * With a ranged weapon equipped the player shoots instead (see shoot()).
      * @param {number} damage - Amount of damage to deal (defaults to calculated damage from stats)
-     * @param {number} range - Range in pixels to detect monsters (defaults to this.attackRange)
+     * @param {number} [range] - Reach in pixels (defaults to the equipped weapon's reach)
      * @returns {boolean} - Whether any monsters were attacked
      */
-    attack(damage = this.getDamage(), range = this.attackRange) {
+    attack(damage = this.attackDamage, range = null) {
         // Check if attack is on cooldown
         const currentTime = Date.now();
-        if (currentTime < this.nextAttackTime) {
-            return false; // Still on cooldown
+        if (currentTime < this.nextAttackTime || !this.canAttack()) {
+            return false; // Still on cooldown or stunned
         }
         
-        if (!this.entity.map || !this.entity.map.npcs) return false;
-        
-        let attackedAny = false;
+        if (getWeaponType(this.entity.equippedWeapon?.weaponType).projectile) {
+            return this.shoot(damage, range);
+        }
         
-        // Get player center position
-        const playerCenterX = this.entity.x + (this.entity.width / 2);
-        const playerCenterY = this.entity.y + (this.entity.height / 2);
+        const hitbox = this.getAttackHitbox(range);
+        this.nextAttackTime = currentTime + this.getAttackCooldown();
+        this.animations.play('slash', {
+            direction: hitbox.direction,
+            shape: hitbox.shape,
+            range: hitbox.range,
+            width: hitbox.width,
+            angle: hitbox.angle,
+            color: getWeaponType(this.entity.equippedWeapon?.weaponType).color
+        });
         
-        this.entity.map.npcs.forEach(npc => {
-            // Check if the NPC is a monster and can be aggressive
-            if (!npc.canBeAggressive) return;
-            
-            // Get NPC center position
-            const npcCenterX = npc.x + (npc.width / 2);
-            const npcCenterY = npc.y + (npc.height / 2);
-            
-            // Calculate distance between player and NPC
-            const dx = npcCenterX - playerCenterX;
-            const dy = npcCenterY - playerCenterY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+        const damageOptions = this.getDamageOptions();
+        let attackedAny = false;
+        (this.entity.map?.npcs || []).forEach(npc => {
+            // Only monsters that can be aggressive and are inside the swing get hit
+            if (!npc.canBeAggressive || !hitbox.intersects(npc)) return;
             
-            // Attack if in range
-            if (distance <= range) {
-                // Update player's direction to face the monster
-                this._faceTowardsTarget(dx, dy);
-                
-                // Deal damage to the NPC
-                npc.takeDamage(damage);
-                attackedAny = true;
-            }
+            // Deal damage to the NPC; crits are rolled for each target by the damage pipeline
+            npc.takeDamage(damage, this.entity, damageOptions);
+            attackedAny = true;
         });
         
-        // Set cooldown if attack was successful
-        if (attackedAny) {
-            this.nextAttackTime = currentTime + this.attackCooldown;
+        return attackedAny;
+    }
+
+    /**
+     * Fires the equipped ranged weapon's projectile in the direction the player faces.
+     * Whether it hits is only known once it lands, so a shot always counts as an attack.
+     * @param {number} damage - Amount of damage the projectile deals
+     * @param {number} [range] - How far it flies in pixels (defaults to the weapon's range)
+     * @returns {boolean} - Whether a projectile was fired
+     */
+    shoot(damage = this.attackDamage, range = null) {
+        const currentTime = Date.now();
+        const map = this.entity.map;
+        if (currentTime < this.nextAttackTime || !map || !this.canAttack()) {
+            return false;
         }
         
-        return attackedAny;
+        const weapon = getWeaponType(this.entity.equippedWeapon?.weaponType);
+        const { type: damageType, blessed } = this.getDamageOptions();
+        map.addProjectile(Projectile.fromEntity(this.entity, {
+            type: weapon.projectile,
+            damage,
+            range: range ?? weapon.range,
+            damageType,
+            blessed
+        }));
+        
+        this.nextAttackTime = currentTime + this.getAttackCooldown();
+        return true;
+    }
+
+    /**
+     * A slower, stronger attack that costs stamina.
+     * Stamina is only spent if something was hit, so a whiff costs nothing but time.
+     * A heavy shot from a bow always costs stamina, since it counts as an attack once loosed.
+     * @returns {boolean} - Whether any monsters were attacked
+     */
+    heavyAttack() {
+        if (Date.now() < this.nextAttackTime || !this.hasStamina(HEAVY_ATTACK.staminaCost)) {
+            return false;
+        }
+        
+        const attacked = this.attack(Math.round(this.attackDamage * HEAVY_ATTACK.damageMultiplier));
+        if (attacked) {
+            this.spendStamina(HEAVY_ATTACK.staminaCost);
+            this.nextAttackTime = Date.now() + this.getAttackCooldown() * HEAVY_ATTACK.cooldownMultiplier;
+        }
+        
+        return attacked;
     }
 
     /**
      * Takes damage and reduces the player's health
-     * @param {number} amount - Amount of damage to take
+     * @param {number} amount - Damage before any rolls or reductions
+     * @param {Object} [source] - The entity dealing the damage
+     * @param {Object} [options] - Damage type and blessing (see BaseCombat.takeDamage)
+     * @returns {import('./damage.js').DamageResult|null} - What became of the hit (null while invulnerable)
      */
-    takeDamage(amount) {
-        if (this.isInvulnerable) return;
+    takeDamage(amount, source = null, options = {}) {
+        if (this.isInvulnerable) return null;
         
         // Call the base class implementation
-        super.takeDamage(amount);
+        const result = super.takeDamage(amount, source, options);
         
         // Make player invulnerable for a short time
         this.isInvulnerable = true;
         this.invulnerabilityEndTime = Date.now() + this.invulnerabilityDuration;
+        return result;
     }
 
     /**
@@ -108,6 +303,58 @@ export class PlayerCombat extends BaseCombat {
         super.heal(amount);
     }
 
+    /**
+     * Applies the effect of a consumable item.
+     * Nothing happens (and the item should not be used up) if the effect would be wasted,
+     * e.g. a healing potion at full health.
+     * @param {import('../items/Item.js').Item} item - The consumable being used
+     * @returns {boolean} - Whether the effect was applied
+     */
+    applyConsumable(item) {
+        const effect = item.effect;
+        if (!effect) return false;
+        
+        this._updateHealthFromStats();
+        let applied = false;
+        
+        if (effect.heal && this.currentHealth < this.maxHealth) {
+            this.heal(effect.heal);
+            applied = true;
+        }
+        
+        if (effect.stamina && this.currentStamina < this.maxStamina) {
+            this.restoreStamina(effect.stamina);
+            this.showPopup(`+${effect.stamina} SP`, 'rgba(80, 220, 220, 1)');
+            applied = true;
+        }
+        
+        if (effect.buffs) {
+            // Drinking the same elixir again refreshes its duration instead of stacking
+            this.stats.removeBuffsByName(item.name);
+            this.applyBuff({ ...effect.buffs }, effect.duration, item.name);
+            this.refreshStats();
+            this.animations.play('buff', {
+                duration: 1500,
+                name: item.name,
+                color: effect.color
+            });
+            applied = true;
+        }
+        
+        // Debuffs and status effects (poison, burn, ...) are both cleansed
+        if (effect.cleanse && this.stats.removeDebuffs() + this.statusEffects.cleanse() > 0) {
+            this.refreshStats();
+            this.animations.play('buff', {
+                duration: 1500,
+                name: 'Cleansed!',
+                color: effect.color
+            });
+            applied = true;
+        }
+        
+        return applied;
+    }
+
     /**
      * Resets the player's health to maximum
      */
@@ -164,6 +411,11 @@ export class PlayerCombat extends BaseCombat {
         if (this.showHealthBar && this.currentHealth < this.maxHealth) {
             this.healthBar.render(ctx, screenX, screenY, this.currentHealth, this.maxHealth, this.entity.width);
         }
+        if (this.currentStamina < this.maxStamina) {
+            this.staminaBar.render(ctx, screenX, screenY, this.currentStamina, this.maxStamina, this.entity.width);
+        }
+        
+        this.statusEffects.render(ctx, screenX, screenY, this.entity.width, this.entity.height);
 
         // Render animations
         this.animations.render(ctx, screenX, screenY, this.entity.width, this.entity.height);
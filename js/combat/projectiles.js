@@ -0,0 +1,34 @@
+/**
+ * projectiles.js
+ * Flight and look of each projectile type. Bows fire arrows, dragons breathe
+ * fireballs and ghosts hurl ghost bolts; all of them are Projectile instances.
+ */
+
+/**
+ * Flight settings of each projectile type.
+ * `speed` is in pixels per second, `range` and `radius` in pixels. Ghost bolts
+ * pass through walls just like the ghosts that cast them. `damageType` is the
+ * type of damage dealt on a hit unless the shooter says otherwise.
+ * @readonly
+ * @type {Object.<string, {speed: number, range: number, radius: number, passesThroughWalls: boolean, damageType: string, color: string}>}
+ */
+export const PROJECTILE_TYPES = {
+    arrow: {
+        speed: 360, range: 192, radius: 4, passesThroughWalls: false, damageType: 'physical', color: '#d8c8a0'
+    },
+    fireball: {
+        speed: 200, range: 224, radius: 7, passesThroughWalls: false, damageType: 'fire', color: 'rgba(255, 120, 0, 1)'
+    },
+    ghost_bolt: {
+        speed: 150, range: 160, radius: 6, passesThroughWalls: true, damageType: 'spirit', color: 'rgba(150, 220, 255, 1)'
+    }
+};
+
+/**
+ * Looks up a projectile type.
+ * @param {string} type - Projectile type, e.g. 'arrow'
+ * @returns {Object} The projectile type's settings (an arrow if the type is unknown)
+ */
+export function getProjectileType(type) {
+    return PROJECTILE_TYPES[type] || PROJECTILE_TYPES.arrow;
+}
@@ -1,10 +1,18 @@
 /**
  * Stats.js
  * Simple stats system for player and NPC entities.
- * Handles core stats (strength, vitality) and provides methods to calculate derived stats (damage, health).
+ * Handles core stats (strength, vitality, agility, defense, luck, endurance) and provides methods to calculate
+ * derived stats (damage, health, attack speed, dodge, damage reduction, crits, loot, stamina).
  * Includes systems for global buffs/debuffs with timers.
  */
 
+/**
+ * Names of the core attributes, in display order.
+ * @readonly
+ * @type {string[]}
+ */
+export const ATTRIBUTES = ['strength', 'vitality', 'agility', 'defense', 'luck', 'endurance'];
+
 export class Stats {
     /**
      * Creates a new Stats instance with base values.
@@ -15,8 +23,15 @@ export class Stats {
      * @param {Object} options.vitality - Vitality stat configuration
      * @param {number} options.vitality.value - Base vitality value (default: 5)
      * @param {number} options.vitality.modifier - Permanent modifier (default: 0)
+     * @param {Object} options.agility - Agility stat configuration (attack speed and dodge, default value: 0)
+     * @param {Object} options.defense - Defense stat configuration (damage reduction, default value: 0)
+     * @param {Object} options.luck - Luck stat configuration (critical hits and loot, default value: 0)
+     * @param {Object} options.endurance - Endurance stat configuration (stamina pool and regeneration, default value: 0)
+     * @param {number} options.critMultiplier - Damage multiplier of critical hits (default: 1.5)
      * @param {number} options.damage - Damage configuration
      * @param {number} options.health - Health configuration
+     * @param {number} options.stamina - Base stamina before endurance (default: 50)
+     * @param {number} options.staminaRegen - Base stamina regenerated per second before endurance (default: 8)
      */
     constructor(options = {}) {
         // Initialize stat objects with defaults
@@ -28,15 +43,39 @@ export class Stats {
             vitality: {
                 value: options.vitality?.value || 5,
                 modifier: options.vitality?.modifier || 1
+            },
+            // Secondary attributes default to 0 so entities that don't configure them are unaffected
+            agility: {
+                value: options.agility?.value || 0,
+                modifier: options.agility?.modifier || 1
+            },
+            defense: {
+                value: options.defense?.value || 0,
+                modifier: options.defense?.modifier || 1
+            },
+            luck: {
+                value: options.luck?.value || 0,
+                modifier: options.luck?.modifier || 1
+            },
+            endurance: {
+                value: options.endurance?.value || 0,
+                modifier: options.endurance?.modifier || 1
             }
         };
         
+        // Configure critical hit damage
+        this.critMultiplier = options.critMultiplier || 1.5;
+        
         // Configure damage calculation
         this.damage = options.damage || 10;
         
         // Configure health calculation
         this.health = options.health || 100;
         
+        // Configure stamina calculation
+        this.stamina = options.stamina || 50;
+        this.staminaRegen = options.staminaRegen || 8;
+        
         // Global buffs collection - each buff can affect multiple stats
         this.buffs = [];
         
@@ -46,7 +85,7 @@ export class Stats {
 
     /**
      * Gets the total value of a stat including all applicable buffs.
-     * @param {string} statName - Name of the stat ('strength', 'vitality')
+     * @param {string} statName - Name of the stat (one of ATTRIBUTES)
      * @returns {number} - Total stat value
      */
     getStat(statName) {
@@ -67,7 +106,7 @@ export class Stats {
     
     /**
      * Increases or decreases a stat's base value.
-     * @param {string} statName - Name of the stat to modify ('strength', 'vitality')
+     * @param {string} statName - Name of the stat to modify (one of ATTRIBUTES)
      * @param {number} amount - Amount to change (positive to increase, negative to decrease)
      */
     modifyStat(statName, amount) {
@@ -78,7 +117,7 @@ export class Stats {
     
     /**
      * Sets a stat's base value directly.
-     * @param {string} statName - Name of the stat to set ('strength', 'vitality')
+     * @param {string} statName - Name of the stat to set (one of ATTRIBUTES)
      * @param {number} value - New value for the stat
      */
     setStat(statName, value) {
@@ -89,7 +128,7 @@ export class Stats {
 
     /**
      * Gets the current modifier value for a stat.
-     * @param {string} statName - Name of the stat ('strength', 'vitality')
+     * @param {string} statName - Name of the stat (one of ATTRIBUTES)
      * @returns {number} - Current modifier value
      */
     getModifier(statName) {
@@ -99,7 +138,7 @@ export class Stats {
     
     /**
      * Adds a permanent modifier to a stat (from equipment, etc).
-     * @param {string} statName - Name of the stat to modify ('strength', 'vitality')
+     * @param {string} statName - Name of the stat to modify (one of ATTRIBUTES)
      * @param {number} modifier - Modifier value (can be positive or negative)
      */
     setModifier(statName, modifier) {
@@ -167,6 +206,27 @@ export class Stats {
         return false;
     }
     
+    /**
+     * Removes every active buff with the given name.
+     * @param {string} name - Name of the buffs to remove
+     * @returns {number} - Number of buffs removed
+     */
+    removeBuffsByName(name) {
+        const before = this.buffs.length;
+        this.buffs = this.buffs.filter(buff => buff.name !== name);
+        return before - this.buffs.length;
+    }
+    
+    /**
+     * Removes all active debuffs, leaving positive buffs in place.
+     * @returns {number} - Number of debuffs removed
+     */
+    removeDebuffs() {
+        const before = this.buffs.length;
+        this.buffs = this.buffs.filter(buff => !buff.isDebuff);
+        return before - this.buffs.length;
+    }
+    
     /**
      * Updates all buffs, removing expired ones.
      * Should be called in game update loop.
@@ -198,6 +258,81 @@ export class Stats {
         return this.health + (vitalityValue * this.getModifier('vitality'));
     }
     
+    /**
+     * Calculates the time between attacks based on agility.
+     * Every point of agility makes attacks 3% faster.
+     * @param {number} baseCooldown - Cooldown in milliseconds before agility is applied
+     * @returns {number} - Attack cooldown in milliseconds
+     */
+    calculateAttackCooldown(baseCooldown) {
+        return Math.round(baseCooldown / (1 + this._getScaledStat('agility') * 0.03));
+    }
+    
+    /**
+     * Calculates the chance to dodge an incoming attack based on agility.
+     * 1% per point of agility, capped at 40%.
+     * @returns {number} - Dodge chance from 0 to 0.4
+     */
+    calculateDodgeChance() {
+        return Math.min(0.4, this._getScaledStat('agility') * 0.01);
+    }
+    
+    /**
+     * Calculates the fraction of incoming damage blocked by defense.
+     * Has diminishing returns: 50 defense blocks half of all damage.
+     * @returns {number} - Damage reduction from 0 up to (but never reaching) 1
+     */
+    calculateDamageReduction() {
+        const defenseValue = this._getScaledStat('defense');
+        return defenseValue / (defenseValue + 50);
+    }
+    
+    /**
+     * Calculates the chance of landing a critical hit based on luck.
+     * 5% base plus 1% per point of luck, capped at 50%.
+     * @returns {number} - Critical hit chance from 0.05 to 0.5
+     */
+    calculateCritChance() {
+        return Math.min(0.5, 0.05 + this._getScaledStat('luck') * 0.01);
+    }
+    
+    /**
+     * Calculates the bonus applied to loot rolls based on luck.
+     * Each point of luck adds 2% more gold and makes empty rolls less likely.
+     * @returns {number} - Loot bonus as a fraction (0.1 = +10%)
+     */
+    calculateLootBonus() {
+        return this._getScaledStat('luck') * 0.02;
+    }
+    
+    /**
+     * Calculates max stamina based on endurance.
+     * Every point of endurance adds 5 stamina.
+     * @returns {number} - Total stamina with endurance factored in
+     */
+    calculateMaxStamina() {
+        return this.stamina + this._getScaledStat('endurance') * 5;
+    }
+    
+    /**
+     * Calculates how much stamina comes back each second based on endurance.
+     * Every point of endurance adds 0.8 stamina per second.
+     * @returns {number} - Stamina regenerated per second
+     */
+    calculateStaminaRegen() {
+        return this.staminaRegen + this._getScaledStat('endurance') * 0.8;
+    }
+    
+    /**
+     * Gets a stat's total value scaled by its modifier, never below zero.
+     * @param {string} statName - Name of the stat
+     * @returns {number} - Scaled stat value
+     * @private
+     */
+    _getScaledStat(statName) {
+        return Math.max(0, this.getStat(statName) * this.getModifier(statName));
+    }
+    
     /**
      * Gets all active buffs.
      * @returns {Array} - Array of all active buffs with details
@@ -222,8 +357,17 @@ export class Stats {
         return {
             strength: this.getStat('strength'),
             vitality: this.getStat('vitality'),
+            agility: this.getStat('agility'),
+            defense: this.getStat('defense'),
+            luck: this.getStat('luck'),
+            endurance: this.getStat('endurance'),
             damage: this.calculateDamage(),
             maxHealth: this.calculateMaxHealth(),
+            dodgeChance: this.calculateDodgeChance(),
+            damageReduction: this.calculateDamageReduction(),
+            critChance: this.calculateCritChance(),
+            maxStamina: this.calculateMaxStamina(),
+            staminaRegen: this.calculateStaminaRegen(),
             activeBuffs: this.getAllBuffs()
         };
     }
@@ -0,0 +1,49 @@
+/**
+ * statusEffects.js
+ * Catalog of status effects, keyed by id. Unlike stat buffs, status effects act on
+ * their own: they deal damage over time, hold an entity in place or stop it attacking.
+ */
+
+/**
+ * Definition of each status effect.
+ * - `duration`: how long it lasts in milliseconds (reapplying refreshes it)
+ * - `tickInterval` / `tickDamage`: damage dealt every interval, ignoring dodge and defense
+ * - `damageType`: type of the ticking damage (physical if not set); `damageColor` overrides its number's color
+ * - `speedMultiplier`: scales movement speed
+ * - `preventsMovement` / `preventsAttacks`: crowd control
+ * - `icon` and `tint`: drawn under and over the affected entity
+ * @readonly
+ * @type {Object.<string, Object>}
+ */
+export const STATUS_EFFECTS = {
+    // Damage over time
+    burn: {
+        name: 'Burn', icon: '🔥', tint: 'rgba(255, 100, 0, 0.35)', damageType: 'fire',
+        duration: 3000, tickInterval: 1000, tickDamage: 4
+    },
+    poison: {
+        name: 'Poison', icon: '☠️', tint: 'rgba(120, 200, 60, 0.35)', damageColor: 'rgba(140, 220, 80, 1)',
+        duration: 6000, tickInterval: 1500, tickDamage: 3
+    },
+
+    // Movement
+    slow: { name: 'Slow', icon: '🐌', tint: 'rgba(150, 150, 150, 0.3)', duration: 3000, speedMultiplier: 0.5 },
+    chill: { name: 'Chill', icon: '❄️', tint: 'rgba(140, 200, 255, 0.35)', duration: 2500, speedMultiplier: 0.6 },
+    freeze: { name: 'Freeze', icon: '🧊', tint: 'rgba(180, 230, 255, 0.5)', duration: 1500, preventsMovement: true },
+    root: { name: 'Root', icon: '🌱', tint: 'rgba(120, 90, 40, 0.35)', duration: 2000, preventsMovement: true },
+
+    // Crowd control
+    stun: {
+        name: 'Stun', icon: '💫', tint: 'rgba(255, 255, 120, 0.3)',
+        duration: 1000, preventsMovement: true, preventsAttacks: true
+    }
+};
+
+/**
+ * Looks up a status effect definition.
+ * @param {string} id - Status effect id, e.g. 'burn'
+ * @returns {Object|undefined} The definition, or undefined if there is none
+ */
+export function getStatusEffect(id) {
+    return STATUS_EFFECTS[id];
+}
@@ -0,0 +1,36 @@
+/**
+ * weapons.js
+ * Attack hitboxes for each weapon type. The equipped weapon's `weaponType`
+ * decides which one the player swings; with nothing equipped the player punches.
+ * Ranged weapons name a `projectile` to fire instead of swinging.
+ */
+import { HITBOX_SHAPES } from './Hitbox.js';
+
+/**
+ * Hitbox and slash style of each weapon type.
+ * `range`, `width` and `angle` are passed to Hitbox; `color` tints the slash animation.
+ * For ranged weapons the hitbox is the line the projectile flies along, `range` pixels long.
+ * @readonly
+ * @type {Object.<string, {shape: string, range: number, width?: number, angle?: number, color: string, projectile?: string}>}
+ */
+export const WEAPON_TYPES = {
+    // Bare fists: a short jab straight ahead
+    unarmed: { shape: HITBOX_SHAPES.ARC, range: 36, angle: 60, color: 'rgba(255, 230, 200, 0.8)' },
+    // Swords swing through an arc in front of the player
+    sword: { shape: HITBOX_SHAPES.ARC, range: 44, angle: 120, color: 'rgba(220, 240, 255, 0.9)' },
+    // Spears thrust two tiles forward but only hit what is directly in line
+    spear: { shape: HITBOX_SHAPES.LINE, range: 72, width: 20, color: 'rgba(255, 245, 200, 0.9)' },
+    // Axes sweep wide enough to catch enemies at the player's sides
+    axe: { shape: HITBOX_SHAPES.ARC, range: 40, angle: 200, color: 'rgba(255, 200, 160, 0.9)' },
+    // Bows loose an arrow that flies six tiles or until it hits something
+    bow: { shape: HITBOX_SHAPES.LINE, range: 192, width: 8, color: 'rgba(216, 200, 160, 0.9)', projectile: 'arrow' }
+};
+
+/**
+ * Looks up the hitbox of a weapon type.
+ * @param {string|null|undefined} weaponType - Weapon type, e.g. 'sword'
+ * @returns {Object} The weapon type's hitbox (unarmed if the type is unknown)
+ */
+export function getWeaponType(weaponType) {
+    return WEAPON_TYPES[weaponType] || WEAPON_TYPES.unarmed;
+}
@@ -37,8 +37,9 @@ export class BaseEffect {
      * Renders the effect.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
      * @param {BaseMap} map - The map this effect is attached to
+     * @param {Camera} camera - The camera the map is seen through
      */
-    render(ctx, map) {
+    render(ctx, map, camera) {
         // Base implementation does nothing, to be overridden by subclasses
     }
     
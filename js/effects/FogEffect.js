@@ -1,5 +1,8 @@
 import { BaseEffect } from './BaseEffect.js';
 
+/** @type {number} How fast the fog drifts across the screen compared to the ground when the camera scrolls */
+const FOG_PARALLAX = 0.5;
+
 /**
  * Creates a high-performance fog effect that adds ambient, moving fog to a map.
  * Optimized to use fewer, larger cloud-like particles for better performance.
@@ -197,10 +200,12 @@ export class FogEffect extends BaseEffect {
     /**
      * Renders the fog effect with large, cloud-like particles.
      * Optimized for performance with cached rendering.
+     * Clouds live in screen space but shift with the camera at a slower pace than the ground.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
      * @param {BaseMap} map - The map this effect is attached to
+     * @param {Camera} camera - The camera the map is seen through
      */
-    render(ctx, map) {
+    render(ctx, map, camera) {
         if (!this.enabled) return;
         
         // Initialize clouds if this is the first render
@@ -216,8 +221,10 @@ export class FogEffect extends BaseEffect {
         ctx.globalCompositeOperation = 'lighter'; // Creates a more atmospheric effect
         
         // Render each cloud
+        const shiftX = -camera.x * FOG_PARALLAX;
+        const shiftY = -camera.y * FOG_PARALLAX;
         for (const cloud of this.clouds) {
-            this._renderCloud(ctx, cloud);
+            this._renderCloud(ctx, cloud, shiftX, shiftY);
         }
         
         ctx.restore();
@@ -227,9 +234,11 @@ export class FogEffect extends BaseEffect {
      * Render an individual cloud using the cached gradient.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
      * @param {Object} cloud - The cloud particle to render
+     * @param {number} shiftX - Horizontal parallax shift in pixels
+     * @param {number} shiftY - Vertical parallax shift in pixels
      * @private
      */
-    _renderCloud(ctx, cloud) {
+    _renderCloud(ctx, cloud, shiftX, shiftY) {
         ctx.save();
         
         // Apply cloud-specific opacity for depth effect
@@ -240,7 +249,10 @@ export class FogEffect extends BaseEffect {
         
         // Scale the context to the cloud's size
         const scale = cloud.size / (100 * this.cloudSize);
-        ctx.translate(cloud.x, cloud.y);
+        // Wrap shifted clouds around the same area they drift through, so the screen stays covered
+        const x = wrap(cloud.x + shiftX + cloud.size * 2, ctx.canvas.width + cloud.size * 3) - cloud.size * 2;
+        const y = wrap(cloud.y + shiftY + cloud.size, ctx.canvas.height + cloud.size * 2) - cloud.size;
+        ctx.translate(x, y);
         ctx.scale(scale, scale);
         
         // Draw a circle with the gradient fill
@@ -287,4 +299,14 @@ export class FogEffect extends BaseEffect {
         this.cloudSize = Math.max(size, 0.5);
         this._initialized = false; // Force re-initialization of particles
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Wraps a value into the range [0, range).
+ * @param {number} value - The value to wrap
+ * @param {number} range - Size of the range
+ * @returns {number} The wrapped value
+ */
+function wrap(value, range) {
+    return ((value % range) + range) % range;
+}
@@ -1,15 +1,18 @@
 import { Player } from './player.js';
-import { HomeTownMap } from './maps/HomeTownMap.js';
-import { ForestMap } from './maps/darkForest/base.js';
+import { loadMapDefinitions, buildMap } from './maps/mapLoader.js';
+import { Camera } from './Camera.js';
 import { InputHandler } from './input.js';
 import { Dialog } from './UI/Dialog.js';
 import { Transition } from './UI/Transition.js';
 import { GameOver } from './UI/GameOver.js';
 import { IntroScene } from './UI/IntroScene.js';
 import { MenuUI } from './UI/MenuUI.js';
+import { ShopUI } from './UI/ShopUI.js';
+import { BossHealthBar } from './UI/BossHealthBar.js';
 // InventoryUI is now imported in Player class
-import { DepthsDarkForestMap } from './maps/darkForest/depths.js';
-import { DragonLairMap } from './maps/dragonLair/base.js';
+
+/** @type {string} Id of the map a new game starts on */
+const START_MAP = 'hometown';
 
 /**
  * Main game controller class that manages the game loop, maps, and player interactions.
@@ -19,10 +22,14 @@ export class Game {
     _canvas;
     /** @private @type {CanvasRenderingContext2D} 2D rendering context */
     _ctx;
+    /** @private @type {Object.<string, Object>} Map definitions loaded from js/maps/data/, by map id */
+    _mapDefinitions;
     /** @private @type {Object.<string, BaseMap>} Collection of game maps */
     _maps;
     /** @private @type {BaseMap} Currently active map */
     _currentMap;
+    /** @private @type {Camera} Camera following the player around the current map */
+    _camera;
     /** @private @type {Player} Player instance */
     _player;
     /** @private @type {InputHandler} Input handler instance */
@@ -39,16 +46,21 @@ export class Game {
     _introScene;
     /** @private @type {MenuUI} Menu UI manager */
     _menuUI;
+    /** @private @type {ShopUI} Merchant shop panel */
+    _shopUI;
     // Inventory UI manager is now part of the Player class
 
     /**
      * Creates a new Game instance.
      * @param {HTMLCanvasElement} canvas - The canvas element for rendering the game
+     * @param {Object.<string, Object>} mapDefinitions - Map definitions by map id (see loadMapDefinitions)
      */
-    constructor(canvas) {
+    constructor(canvas, mapDefinitions) {
         this._canvas = canvas;
         this._ctx = canvas.getContext('2d');
+        this._mapDefinitions = mapDefinitions;
         this._initializeCanvas();
+        this._camera = new Camera({ width: this._canvas.width, height: this._canvas.height });
         this._initializeMaps();
         this._initializeGameComponents();
         this._dialog = new Dialog();
@@ -56,6 +68,8 @@ export class Game {
         this._gameOver = new GameOver();
         this._introScene = new IntroScene();
         this._menuUI = new MenuUI(this);
+        this._shopUI = new ShopUI();
+        this._bossHealthBar = new BossHealthBar();
         // InventoryUI is now initialized in the Player class
         
         // Flag to track if the page is currently visible/active
@@ -81,18 +95,16 @@ export class Game {
     }
 
     /**
-     * Initializes and connects game maps.
+     * Builds every game map from its definition, fresh NPCs and all.
      * @private
      */
     _initializeMaps() {
-        this._maps = {
-            hometown: new HomeTownMap({ game: this }),
-            darkForest: new ForestMap({ game: this }),
-            darkForestDepths: new DepthsDarkForestMap({ game: this }),
-            dragonLair: new DragonLairMap({ game: this })
-        };
+        this._maps = {};
+        Object.entries(this._mapDefinitions).forEach(([id, definition]) => {
+            this._maps[id] = buildMap(definition, this);
+        });
 
-        this._currentMap = this._maps.hometown;
+        this._currentMap = this._maps[START_MAP];
     }
 
     /**
@@ -107,6 +119,17 @@ export class Game {
         this._player.setGame(this);
         this._player.setMap(this._currentMap);
         this._player.setInput(this._input);
+        this._focusCamera();
+    }
+
+    /**
+     * Fits the camera to the current map and centers it on the player, e.g. after a map change.
+     * @private
+     */
+    _focusCamera() {
+        const { width, height } = this._currentMap.getPixelSize();
+        this._camera.setBounds(width, height);
+        this._camera.snapTo(this._player);
     }
 
     /**
@@ -139,6 +162,7 @@ export class Game {
             this._player.targetX = pos.x;
             this._player.targetY = pos.y;
             this._player.setMap(this._currentMap);
+            this._focusCamera();
             
             // Small delay to ensure map is fully loaded
             return new Promise(resolve => setTimeout(resolve, 100));
@@ -195,8 +219,8 @@ export class Game {
             return; // Pause game updates while dialog is showing
         }
         
-        if (this._menuUI.isVisible() || this._player.inventoryUI.isVisible()) {
-            return; // Pause game updates while menu or inventory is open
+        if (this._menuUI.isVisible() || this._player.inventoryUI.isVisible() || this._shopUI.isVisible()) {
+            return; // Pause game updates while menu, inventory or shop is open
         }
         
         // Pausing during transitions is handled at the individual component level
@@ -214,8 +238,9 @@ export class Game {
             this._currentMap.update(this._player, deltaTime);
         }
         
-        // Then update player
+        // Then update player, and the camera following them
         this._player.update();
+        this._camera.update(this._player, deltaTime);
         this._updateDebugState();
     }
 
@@ -226,8 +251,13 @@ export class Game {
     _render() {
         this._ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
         this._ctx.save();
-        this._currentMap.render(this._ctx);
-        this._player.render(this._ctx);
+        this._currentMap.render(this._ctx, this._camera);
+        this._player.render(this._ctx, this._camera);
+        
+        // Screen-space HUD drawn over the world
+        this._player.hotbar.render(this._ctx);
+        this._player.skillBar.render(this._ctx);
+        this._bossHealthBar.render(this._ctx, this._currentMap.getActiveBoss());
         this._ctx.restore();
     }
 
@@ -262,6 +292,15 @@ export class Game {
         this._dialog.startConversation(messages, onComplete);
     }
     
+    /**
+     * Opens a merchant's shop panel for the player.
+     * @param {import('./items/Shop.js').Shop} shop - The shop to open
+     * @param {Function} [onClose] - Optional callback when the shop is closed
+     */
+    showShop(shop, onClose = null) {
+        this._shopUI.show(shop, this._player, onClose);
+    }
+    
     /**
      * Shows the intro screen and hides game controls
      * @private
@@ -308,26 +347,35 @@ export class Game {
      * Restarts the game and shows the intro screen
      */
     restartGame() {
-        // Reset the player's health
+        // Reset the player's level, items, skill cooldowns, status effects, health and stamina (chests are refilled with the new maps)
+        this._player.clearEquipment();
+        this._player.combat.stats.clearAllBuffs();
+        this._player.combat.statusEffects.cleanse();
+        this._player.combat.resetProgress();
+        this._player.inventory.clear();
+        this._player.hotbar.clear();
+        this._player.skills.reset();
         this._player.resetHealth();
+        this._player.combat.resetStamina();
         this._initializeMaps();
         
         // Reset player to starting position
-        const startPos = this._maps.hometown.getInitialPlayerPosition();
+        const startPos = this._currentMap.getInitialPlayerPosition();
         this._player.x = startPos.x;
         this._player.y = startPos.y;
         this._player.targetX = startPos.x;
         this._player.targetY = startPos.y;
         this._player.setMap(this._currentMap);
+        this._focusCamera();
         
         // Show the intro screen again
         this._showIntroScreen();
     }
 }
 
-// Initialize game when window loads
-window.addEventListener('load', () => {
+// Initialize game when window loads, once the map files have been fetched
+window.addEventListener('load', async () => {
     const canvas = document.getElementById('gameCanvas');
     canvas.tabIndex = 0;
-    new Game(canvas);
+    new Game(canvas, await loadMapDefinitions());
 });
@@ -58,11 +58,11 @@ export class InputHandler {
             if(['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'q'].includes(e.key)) {
                 e.preventDefault();
             }
-            this.keys.add(e.key);
+            this.keys.add(this._normalizeKey(e.key));
         });
         
         window.addEventListener('keyup', (e) => {
-            this.keys.delete(e.key);
+            this.keys.delete(this._normalizeKey(e.key));
         });
         
         // Only initialize touch controls on mobile devices
@@ -102,6 +102,17 @@ export class InputHandler {
         return this.keys.has(key);
     }
     
+    /**
+     * Lowercases letter keys so holding Shift (sprint) or Caps Lock doesn't
+     * turn 'w' into 'W' and leave keys stuck when released in a different order.
+     * @param {string} key - KeyboardEvent.key value
+     * @returns {string} The key as stored in the pressed set
+     * @private
+     */
+    _normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+    
     /**
      * Initializes the touch controls by creating and placing the D-pad on screen.
      * Sets up touch event listeners for the D-pad buttons.
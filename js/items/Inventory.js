@@ -0,0 +1,316 @@
+/**
+ * Inventory.js
+ * Fixed-size slot container for item stacks.
+ * Each slot holds either an ItemStack or null.
+ */
+import { ItemStack } from './ItemStack.js';
+import { getItem } from './items.js';
+
+export class Inventory {
+    /**
+     * Creates a new inventory.
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.size=40] - Number of slots
+     */
+    constructor(options = {}) {
+        /** @type {number} Number of slots */
+        this.size = options.size || 40;
+        /** @type {Array<ItemStack|null>} Slot contents */
+        this.slots = new Array(this.size).fill(null);
+        /** @private @type {Array<Function>} Callbacks fired whenever the contents change */
+        this._listeners = [];
+    }
+
+    /**
+     * Registers a callback that runs whenever the inventory contents change.
+     * @param {Function} callback - Called with the inventory as its only argument
+     */
+    onChange(callback) {
+        this._listeners.push(callback);
+    }
+
+    /**
+     * Removes a callback registered with onChange.
+     * @param {Function} callback - The callback to remove
+     */
+    offChange(callback) {
+        this._listeners = this._listeners.filter(listener => listener !== callback);
+    }
+
+    /**
+     * Notifies change listeners.
+     * @private
+     */
+    _notifyChange() {
+        this._listeners.forEach(callback => callback(this));
+    }
+
+    /**
+     * Resolves an item id or definition to an item definition.
+     * @param {string|import('./Item.js').Item} itemOrId - Item id or definition
+     * @returns {import('./Item.js').Item|null} The item definition
+     * @private
+     */
+    _resolveItem(itemOrId) {
+        return typeof itemOrId === 'string' ? getItem(itemOrId) : itemOrId;
+    }
+
+    /**
+     * Checks whether a slot index is inside the inventory.
+     * @param {number} index - Slot index
+     * @returns {boolean} True if the index is valid
+     * @private
+     */
+    _isValidIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.size;
+    }
+
+    /**
+     * Gets the stack in a slot.
+     * @param {number} index - Slot index
+     * @returns {ItemStack|null} The stack or null if the slot is empty
+     */
+    getSlot(index) {
+        return this._isValidIndex(index) ? this.slots[index] : null;
+    }
+
+    /**
+     * Puts a stack directly into a slot, replacing whatever was there.
+     * @param {number} index - Slot index
+     * @param {ItemStack|null} stack - The stack to place, or null to empty the slot
+     * @returns {boolean} Whether the slot was set
+     */
+    setSlot(index, stack) {
+        if (!this._isValidIndex(index)) return false;
+
+        this.slots[index] = stack && !stack.isEmpty() ? stack : null;
+        this._notifyChange();
+        return true;
+    }
+
+    /**
+     * Finds the index of the first empty slot.
+     * @returns {number} Slot index, or -1 if the inventory is full
+     */
+    findEmptySlot() {
+        return this.slots.findIndex(slot => slot === null);
+    }
+
+    /**
+     * Finds the index of the first slot holding an item.
+     * @param {string} id - Item id
+     * @returns {number} Slot index, or -1 if the item is not held
+     */
+    findSlot(id) {
+        return this.slots.findIndex(slot => slot && slot.id === id);
+    }
+
+    /**
+     * Counts how many of an item are held across all slots.
+     * @param {string} id - Item id
+     * @returns {number} Total quantity
+     */
+    countItem(id) {
+        return this.slots.reduce((total, slot) => total + (slot && slot.id === id ? slot.quantity : 0), 0);
+    }
+
+    /**
+     * Checks whether the inventory holds at least the given quantity of an item.
+     * @param {string} id - Item id
+     * @param {number} [quantity=1] - Required quantity
+     * @returns {boolean} True if enough items are held
+     */
+    hasItem(id, quantity = 1) {
+        return this.countItem(id) >= quantity;
+    }
+
+    /**
+     * Calculates how many of an item could be added without overflowing.
+     * @param {string|import('./Item.js').Item} itemOrId - Item id or definition
+     * @returns {number} Maximum quantity that fits
+     */
+    getSpaceFor(itemOrId) {
+        const item = this._resolveItem(itemOrId);
+        if (!item) return 0;
+
+        return this.slots.reduce((space, slot) => {
+            if (slot === null) return space + item.maxStack;
+            if (slot.id === item.id) return space + slot.getSpace();
+            return space;
+        }, 0);
+    }
+
+    /**
+     * Checks whether a quantity of an item fits in the inventory.
+     * @param {string|import('./Item.js').Item} itemOrId - Item id or definition
+     * @param {number} [quantity=1] - Quantity to check
+     * @returns {boolean} True if every item would fit
+     */
+    canAdd(itemOrId, quantity = 1) {
+        return this.getSpaceFor(itemOrId) >= quantity;
+    }
+
+    /**
+     * Adds items, topping up existing stacks before using empty slots.
+     * @param {string|import('./Item.js').Item} itemOrId - Item id or definition
+     * @param {number} [quantity=1] - Quantity to add
+     * @returns {number} Number of items that did not fit (0 when everything was added)
+     */
+    addItem(itemOrId, quantity = 1) {
+        const item = this._resolveItem(itemOrId);
+        if (!item) {
+            console.warn(`Unknown item '${itemOrId}'`);
+            return quantity;
+        }
+
+        let remaining = quantity;
+
+        // Fill existing stacks of the same item first
+        if (item.isStackable()) {
+            for (const slot of this.slots) {
+                if (remaining <= 0) break;
+                if (slot && slot.id === item.id) {
+                    remaining = slot.add(remaining);
+                }
+            }
+        }
+
+        // Put the rest into empty slots
+        while (remaining > 0) {
+            const emptyIndex = this.findEmptySlot();
+            if (emptyIndex === -1) break;
+
+            const stack = new ItemStack(item, remaining);
+            this.slots[emptyIndex] = stack;
+            remaining -= stack.quantity;
+        }
+
+        if (remaining !== quantity) {
+            this._notifyChange();
+        }
+        return remaining;
+    }
+
+    /**
+     * Removes a quantity of an item, taking from the last slots first.
+     * @param {string} id - Item id
+     * @param {number} [quantity=1] - Quantity to remove
+     * @returns {number} Number of items actually removed
+     */
+    removeItem(id, quantity = 1) {
+        let removed = 0;
+
+        for (let i = this.size - 1; i >= 0 && removed < quantity; i--) {
+            const slot = this.slots[i];
+            if (slot && slot.id === id) {
+                removed += slot.remove(quantity - removed);
+                if (slot.isEmpty()) {
+                    this.slots[i] = null;
+                }
+            }
+        }
+
+        if (removed > 0) {
+            this._notifyChange();
+        }
+        return removed;
+    }
+
+    /**
+     * Removes items from a specific slot.
+     * @param {number} index - Slot index
+     * @param {number} [quantity=Infinity] - Quantity to remove (defaults to the whole stack)
+     * @returns {ItemStack|null} A stack with the removed items, or null if the slot was empty
+     */
+    removeFromSlot(index, quantity = Infinity) {
+        const slot = this.getSlot(index);
+        if (!slot) return null;
+
+        const removed = slot.remove(quantity);
+        if (slot.isEmpty()) {
+            this.slots[index] = null;
+        }
+
+        this._notifyChange();
+        return new ItemStack(slot.item, removed);
+    }
+
+    /**
+     * Moves a stack to another slot. Stacks of the same item are merged,
+     * different items swap places.
+     * @param {number} fromIndex - Source slot index
+     * @param {number} toIndex - Destination slot index
+     * @returns {boolean} Whether anything moved
+     */
+    moveItem(fromIndex, toIndex) {
+        if (!this._isValidIndex(fromIndex) || !this._isValidIndex(toIndex) || fromIndex === toIndex) {
+            return false;
+        }
+
+        const source = this.slots[fromIndex];
+        const target = this.slots[toIndex];
+        if (!source) return false;
+
+        if (target && target.canMerge(source)) {
+            if (target.isFull()) return false;
+
+            const leftover = target.add(source.quantity);
+            source.quantity = leftover;
+            if (source.isEmpty()) {
+                this.slots[fromIndex] = null;
+            }
+        } else {
+            this.slots[toIndex] = source;
+            this.slots[fromIndex] = target;
+        }
+
+        this._notifyChange();
+        return true;
+    }
+
+    /**
+     * Splits a stack, moving part of it into an empty slot.
+     * @param {number} index - Slot index of the stack to split
+     * @param {number} [amount] - Quantity to split off (defaults to half the stack)
+     * @param {number} [toIndex] - Empty destination slot (defaults to the first empty slot)
+     * @returns {boolean} Whether the stack was split
+     */
+    splitStack(index, amount, toIndex = this.findEmptySlot()) {
+        const slot = this.getSlot(index);
+        if (!slot || !this._isValidIndex(toIndex) || this.slots[toIndex] !== null) {
+            return false;
+        }
+
+        const splitAmount = amount ?? Math.floor(slot.quantity / 2);
+        const newStack = slot.split(splitAmount);
+        if (!newStack) return false;
+
+        this.slots[toIndex] = newStack;
+        this._notifyChange();
+        return true;
+    }
+
+    /**
+     * Whether every slot is occupied.
+     * @returns {boolean} True if there are no empty slots
+     */
+    isFull() {
+        return this.findEmptySlot() === -1;
+    }
+
+    /**
+     * Gets all non-empty stacks.
+     * @returns {Array<ItemStack>} Held stacks in slot order
+     */
+    getItems() {
+        return this.slots.filter(slot => slot !== null);
+    }
+
+    /**
+     * Removes everything from the inventory.
+     */
+    clear() {
+        this.slots.fill(null);
+        this._notifyChange();
+    }
+}
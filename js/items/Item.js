@@ -0,0 +1,103 @@
+/**
+ * Item.js
+ * Immutable definition of an item type (what an item *is*, not how many the player holds).
+ */
+
+/**
+ * Categories used to group items in the inventory and decide how they can be used.
+ * @readonly
+ * @enum {string}
+ */
+export const ITEM_CATEGORIES = {
+    WEAPON: 'weapon',
+    ARMOR: 'armor',
+    CONSUMABLE: 'consumable',
+    MATERIAL: 'material',
+    QUEST: 'quest',
+    MISC: 'misc'
+};
+
+export class Item {
+    /**
+     * Creates a new item definition.
+     * @param {Object} config - Item configuration
+     * @param {string} config.id - Unique item identifier (e.g. 'health_potion')
+     * @param {string} config.name - Display name of the item
+     * @param {string} [config.icon='❔'] - Icon (emoji) shown in inventory slots
+     * @param {string} [config.category='misc'] - One of ITEM_CATEGORIES
+     * @param {number} [config.maxStack=1] - Maximum quantity per inventory slot
+     * @param {string} [config.description=''] - Flavor text shown in the inventory
+     * @param {number} [config.value=0] - Base value in gold
+     * @param {Object} [config.stats={}] - Stat bonuses granted while equipped (e.g. { strength: 3 })
+     * @param {string} [config.weaponType=null] - For weapons, the attack hitbox to use (see WEAPON_TYPES in combat/weapons.js)
+     * @param {string} [config.damageType='physical'] - For weapons, the type of damage dealt (see DAMAGE_TYPES in combat/damageTypes.js)
+     * @param {boolean} [config.blessed=false] - For weapons, whether hits ignore immunities (ghosts can be struck)
+     * @param {Object} [config.effect=null] - What happens when a consumable is used
+     * @param {number} [config.effect.heal] - Health restored
+     * @param {number} [config.effect.stamina] - Stamina restored
+     * @param {Object} [config.effect.buffs] - Temporary stat bonuses (e.g. { strength: 5 })
+     * @param {number} [config.effect.duration] - Duration of the stat bonuses in milliseconds
+     * @param {boolean} [config.effect.cleanse] - Whether debuffs are removed
+     * @param {string} [config.effect.color] - Color of the buff animation
+     */
+    constructor({ id, name, icon = '❔', category = ITEM_CATEGORIES.MISC, maxStack = 1, description = '', value = 0, stats = {}, weaponType = null, damageType = 'physical', blessed = false, effect = null }) {
+        /** @type {string} Unique item identifier */
+        this.id = id;
+        /** @type {string} Display name */
+        this.name = name;
+        /** @type {string} Icon shown in inventory slots */
+        this.icon = icon;
+        /** @type {string} Item category */
+        this.category = category;
+        /** @type {number} Maximum quantity per inventory slot */
+        this.maxStack = Math.max(1, maxStack);
+        /** @type {string} Flavor text */
+        this.description = description;
+        /** @type {number} Base value in gold */
+        this.value = value;
+        /** @type {Object.<string, number>} Stat bonuses granted while equipped */
+        this.stats = stats;
+        /** @type {string|null} Attack hitbox used when wielded (sword, spear, axe, bow) */
+        this.weaponType = weaponType;
+        /** @type {string} Type of damage dealt when wielded */
+        this.damageType = damageType;
+        /** @type {boolean} Whether the weapon's hits ignore immunities */
+        this.blessed = blessed;
+        /** @type {Object|null} Effect applied when the item is used */
+        this.effect = effect;
+    }
+
+    /**
+     * Whether more than one of this item fits in a single slot.
+     * @returns {boolean} True if the item can stack
+     */
+    isStackable() {
+        return this.maxStack > 1;
+    }
+
+    /**
+     * Gets the equipment slot this item goes into.
+     * @returns {'weapon'|'armor'|null} Equipment slot, or null if the item cannot be equipped
+     */
+    getEquipSlot() {
+        if (this.category === ITEM_CATEGORIES.WEAPON) return 'weapon';
+        if (this.category === ITEM_CATEGORIES.ARMOR) return 'armor';
+        return null;
+    }
+
+    /**
+     * Whether the item can be used up from the inventory or hotbar.
+     * @returns {boolean} True for consumables with an effect
+     */
+    isUsable() {
+        return this.category === ITEM_CATEGORIES.CONSUMABLE && this.effect !== null;
+    }
+
+    /**
+     * Whether the item can be worn or wielded.
+     * @returns {boolean} True for weapons and armor
+     */
+    isEquippable() {
+        return this.getEquipSlot() !== null;
+    }
+}
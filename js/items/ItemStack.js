@@ -0,0 +1,93 @@
+/**
+ * ItemStack.js
+ * A quantity of a single item type occupying one inventory slot.
+ */
+
+export class ItemStack {
+    /**
+     * Creates a new item stack.
+     * @param {import('./Item.js').Item} item - The item definition
+     * @param {number} [quantity=1] - Number of items in the stack (clamped to the item's stack limit)
+     */
+    constructor(item, quantity = 1) {
+        /** @type {import('./Item.js').Item} The item definition */
+        this.item = item;
+        /** @type {number} Number of items in the stack */
+        this.quantity = Math.max(0, Math.min(quantity, item.maxStack));
+    }
+
+    /**
+     * Gets the item id of this stack.
+     * @returns {string} Item id
+     */
+    get id() {
+        return this.item.id;
+    }
+
+    /**
+     * Gets how many more items this stack can hold.
+     * @returns {number} Remaining capacity
+     */
+    getSpace() {
+        return this.item.maxStack - this.quantity;
+    }
+
+    /**
+     * Whether the stack has reached its item's stack limit.
+     * @returns {boolean} True if the stack is full
+     */
+    isFull() {
+        return this.quantity >= this.item.maxStack;
+    }
+
+    /**
+     * Whether the stack holds no items.
+     * @returns {boolean} True if the stack is empty
+     */
+    isEmpty() {
+        return this.quantity <= 0;
+    }
+
+    /**
+     * Checks if another stack holds the same item and can be merged into this one.
+     * @param {ItemStack} other - The stack to compare against
+     * @returns {boolean} True if both stacks hold the same stackable item
+     */
+    canMerge(other) {
+        return !!other && other.id === this.id && this.item.isStackable();
+    }
+
+    /**
+     * Adds items to the stack up to its limit.
+     * @param {number} amount - Number of items to add
+     * @returns {number} Number of items that did not fit
+     */
+    add(amount) {
+        const added = Math.min(amount, this.getSpace());
+        this.quantity += added;
+        return amount - added;
+    }
+
+    /**
+     * Removes items from the stack.
+     * @param {number} amount - Number of items to remove
+     * @returns {number} Number of items actually removed
+     */
+    remove(amount) {
+        const removed = Math.min(amount, this.quantity);
+        this.quantity -= removed;
+        return removed;
+    }
+
+    /**
+     * Splits items off into a new stack.
+     * @param {number} amount - Number of items to move into the new stack
+     * @returns {ItemStack|null} The new stack, or null if the split is not possible
+     */
+    split(amount) {
+        if (amount <= 0 || amount >= this.quantity) return null;
+
+        this.quantity -= amount;
+        return new ItemStack(this.item, amount);
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * LootPickup.js
+ * Items dropped on the ground by a defeated enemy. The player collects them
+ * by walking onto the tile; anything that doesn't fit stays on the ground.
+ */
+import { getItem } from './items.js';
+
+export class LootPickup {
+    /**
+     * Creates a new pickup.
+     * @param {Object} config - Pickup configuration
+     * @param {number} config.tileX - Tile X coordinate
+     * @param {number} config.tileY - Tile Y coordinate
+     * @param {Array<{id: string, quantity: number}>} config.items - Items lying on the tile
+     * @param {number} [config.tileSize=32] - Size of a tile in pixels
+     */
+    constructor({ tileX, tileY, items, tileSize = 32 }) {
+        this.tileX = tileX;
+        this.tileY = tileY;
+        this.tileSize = tileSize;
+        /** @type {Array<{id: string, quantity: number}>} Items still on the ground */
+        this.items = items.map(entry => ({ ...entry }));
+
+        /** @private @type {boolean} Whether the player was standing on the tile last frame */
+        this._playerOnTile = false;
+        /** @private @type {number} Random phase so neighbouring pickups don't bob in sync */
+        this._bobPhase = Math.random() * Math.PI * 2;
+    }
+
+    /**
+     * Whether everything has been picked up.
+     * @returns {boolean} True if no items are left
+     */
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    /**
+     * Adds more items to the pickup (e.g. a second drop on the same tile).
+     * @param {Array<{id: string, quantity: number}>} items - Items to add
+     */
+    addItems(items) {
+        items.forEach(({ id, quantity }) => {
+            const existing = this.items.find(entry => entry.id === id);
+            if (existing) {
+                existing.quantity += quantity;
+            } else {
+                this.items.push({ id, quantity });
+            }
+        });
+    }
+
+    /**
+     * Checks whether the player is standing on the pickup and hands over its items.
+     * @param {Player} player - The player
+     * @returns {boolean} Whether anything was collected
+     */
+    update(player) {
+        const playerTileX = Math.floor((player.x + player.width / 2) / this.tileSize);
+        const playerTileY = Math.floor((player.y + player.height / 2) / this.tileSize);
+        const onTile = playerTileX === this.tileX && playerTileY === this.tileY;
+
+        // Only try once per visit so a full inventory doesn't spam messages
+        const justArrived = onTile && !this._playerOnTile;
+        this._playerOnTile = onTile;
+
+        return justArrived ? this.tryCollect(player) : false;
+    }
+
+    /**
+     * Moves as many items as fit into the player's inventory and shows a popup for each.
+     * @param {Player} player - The player collecting the items
+     * @returns {boolean} Whether anything was collected
+     */
+    tryCollect(player) {
+        const remaining = [];
+        let collected = false;
+
+        for (const entry of this.items) {
+            const leftover = player.inventory.addItem(entry.id, entry.quantity);
+            const taken = entry.quantity - leftover;
+            if (taken > 0) {
+                collected = true;
+                player.combat.showPopup(`+${taken} ${getItem(entry.id)?.name ?? entry.id}`);
+            }
+            if (leftover > 0) {
+                remaining.push({ id: entry.id, quantity: leftover });
+            }
+        }
+
+        if (remaining.length > 0) {
+            player.combat.showPopup('Inventory full', 'rgba(255, 120, 120, 1)');
+        }
+
+        this.items = remaining;
+        return collected;
+    }
+
+    /**
+     * Draws the pickup as a bobbing item icon with a shadow.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
+     */
+    render(ctx, mapOffset) {
+        if (this.isEmpty()) return;
+
+        const centerX = this.tileX * this.tileSize + mapOffset.x + this.tileSize / 2;
+        const centerY = this.tileY * this.tileSize + mapOffset.y + this.tileSize / 2;
+        const bob = Math.sin(Date.now() / 250 + this._bobPhase) * 2;
+
+        // A single item shows its own icon, several items show a loot bag
+        const icon = this.items.length === 1 ? (getItem(this.items[0].id)?.icon ?? '❔') : '👝';
+
+        ctx.save();
+
+        // Shadow
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(centerX, centerY + 9, 8, 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Icon
+        ctx.font = '18px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(icon, centerX, centerY - 2 + bob);
+
+        ctx.restore();
+    }
+}
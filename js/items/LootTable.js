@@ -0,0 +1,117 @@
+/**
+ * LootTable.js
+ * Weighted random drops for defeated NPCs: a gold range, guaranteed items
+ * and one or more rolls on a weighted pool of entries.
+ */
+
+/**
+ * Picks a random integer between min and max (inclusive).
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @returns {number} Random integer
+ */
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Resolves the quantity of a drop entry, which is either fixed (quantity)
+ * or a range (min/max).
+ * @param {Object} entry - Drop entry
+ * @returns {number} Quantity to drop
+ */
+function rollQuantity(entry) {
+    if (entry.min !== undefined || entry.max !== undefined) {
+        return randomInt(entry.min ?? 1, entry.max ?? entry.min ?? 1);
+    }
+    return entry.quantity ?? 1;
+}
+
+export class LootTable {
+    /**
+     * Creates a new loot table.
+     * @param {Object} config - Loot table configuration
+     * @param {{min: number, max: number}} [config.gold] - Gold dropped
+     * @param {Array<Object>} [config.guaranteed=[]] - Drops that always happen ({id, quantity} or {id, min, max})
+     * @param {Array<Object>} [config.entries=[]] - Weighted pool ({id, weight, quantity|min/max}); an entry with id null drops nothing
+     * @param {number} [config.rolls=1] - How many times the weighted pool is rolled
+     * @param {'pickup'|'direct'} [config.delivery='pickup'] - Whether items land on the ground or go straight to the player
+     */
+    constructor({ gold = { min: 0, max: 0 }, guaranteed = [], entries = [], rolls = 1, delivery = 'pickup' } = {}) {
+        /** @type {{min: number, max: number}} Gold range */
+        this.gold = gold;
+        /** @type {Array<Object>} Drops that always happen */
+        this.guaranteed = guaranteed;
+        /** @type {Array<Object>} Weighted pool of possible drops */
+        this.entries = entries;
+        /** @type {number} Number of rolls on the weighted pool */
+        this.rolls = rolls;
+        /** @type {'pickup'|'direct'} How dropped items reach the player */
+        this.delivery = delivery;
+    }
+
+    /**
+     * Gets an entry's weight, with "nothing" entries made rarer by the loot bonus.
+     * @param {Object} entry - Pool entry
+     * @param {number} lootBonus - Loot bonus as a fraction
+     * @returns {number} Effective weight
+     * @private
+     */
+    _getWeight(entry, lootBonus) {
+        const weight = entry.weight ?? 1;
+        return entry.id ? weight : weight / (1 + lootBonus);
+    }
+
+    /**
+     * Picks one entry from the weighted pool.
+     * @param {number} lootBonus - Loot bonus as a fraction
+     * @returns {Object|null} The chosen entry, or null if the pool is empty
+     * @private
+     */
+    _pickEntry(lootBonus) {
+        const totalWeight = this.entries.reduce((total, entry) => total + this._getWeight(entry, lootBonus), 0);
+        if (totalWeight <= 0) return null;
+
+        let roll = Math.random() * totalWeight;
+        for (const entry of this.entries) {
+            roll -= this._getWeight(entry, lootBonus);
+            if (roll < 0) return entry;
+        }
+        return this.entries[this.entries.length - 1];
+    }
+
+    /**
+     * Rolls the table.
+     * @param {Object} [options] - Roll options
+     * @param {number} [options.lootBonus=0] - The looter's bonus (from luck): more gold and fewer empty rolls
+     * @returns {{gold: number, items: Array<{id: string, quantity: number}>}} The drops, with duplicate items merged
+     */
+    roll({ lootBonus = 0 } = {}) {
+        const drops = [...this.guaranteed];
+        for (let i = 0; i < this.rolls; i++) {
+            const entry = this._pickEntry(lootBonus);
+            if (entry && entry.id) {
+                drops.push(entry);
+            }
+        }
+
+        // Merge repeated items into a single drop
+        const items = [];
+        drops.forEach(entry => {
+            const quantity = rollQuantity(entry);
+            if (quantity <= 0) return;
+
+            const existing = items.find(item => item.id === entry.id);
+            if (existing) {
+                existing.quantity += quantity;
+            } else {
+                items.push({ id: entry.id, quantity });
+            }
+        });
+
+        return {
+            gold: Math.round(randomInt(this.gold.min, this.gold.max) * (1 + lootBonus)),
+            items
+        };
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Shop.js
+ * A merchant's stock, prices and buy/sell transactions.
+ * Transactions check gold and inventory space before anything changes hands,
+ * so a failed purchase or sale never loses the player gold or items.
+ */
+import { getItem } from './items.js';
+import { ITEM_CATEGORIES } from './Item.js';
+
+/**
+ * Fraction of an item's value a merchant pays when buying it from the player.
+ * @readonly
+ * @type {Object.<string, number>}
+ */
+export const DEFAULT_SELL_RATES = {
+    [ITEM_CATEGORIES.WEAPON]: 0.4,
+    [ITEM_CATEGORIES.ARMOR]: 0.4,
+    [ITEM_CATEGORIES.CONSUMABLE]: 0.5,
+    [ITEM_CATEGORIES.MATERIAL]: 0.6,
+    [ITEM_CATEGORIES.QUEST]: 0,
+    [ITEM_CATEGORIES.MISC]: 0.5
+};
+
+export class Shop {
+    /**
+     * Creates a new shop.
+     * @param {Object} config - Shop configuration
+     * @param {string} [config.name='Shop'] - Name shown in the shop panel
+     * @param {Array<Object>} config.stock - Items for sale
+     * @param {string} config.stock[].id - Item id
+     * @param {number} [config.stock[].price] - Buy price (defaults to the item's value)
+     * @param {number} [config.stock[].quantity=Infinity] - Starting and maximum stock
+     * @param {number} [config.stock[].restock=0] - Units restocked every restock interval
+     * @param {number} [config.restockInterval=120000] - Milliseconds between restocks
+     * @param {Object.<string, number>} [config.sellRates] - Per-category overrides of DEFAULT_SELL_RATES
+     */
+    constructor({ name = 'Shop', stock = [], restockInterval = 120000, sellRates = {} }) {
+        /** @type {string} Shop name */
+        this.name = name;
+        /** @type {number} Milliseconds between restocks */
+        this.restockInterval = restockInterval;
+        /** @type {Object.<string, number>} Fraction of item value paid when buying from the player */
+        this.sellRates = { ...DEFAULT_SELL_RATES, ...sellRates };
+        /** @type {number} Timestamp of the last restock */
+        this.lastRestockTime = Date.now();
+
+        /** @type {Array<{item: import('./Item.js').Item, price: number, quantity: number, maxQuantity: number, restock: number}>} */
+        this.entries = stock
+            .map(({ id, price, quantity = Infinity, restock = 0 }) => {
+                const item = getItem(id);
+                if (!item) {
+                    console.warn(`Shop '${name}' stocks unknown item '${id}'`);
+                    return null;
+                }
+                return {
+                    item,
+                    price: price ?? item.value,
+                    quantity,
+                    maxQuantity: quantity,
+                    restock
+                };
+            })
+            .filter(entry => entry !== null);
+    }
+
+    /**
+     * Finds the stock entry for an item.
+     * @param {string} id - Item id
+     * @returns {Object|null} The entry or null if the shop does not sell the item
+     */
+    getEntry(id) {
+        return this.entries.find(entry => entry.item.id === id) || null;
+    }
+
+    /**
+     * Gets what the shop pays for one of an item.
+     * @param {import('./Item.js').Item} item - The item being sold
+     * @returns {number} Sell price in gold (0 if the shop will not buy it)
+     */
+    getSellPrice(item) {
+        const rate = this.sellRates[item.category] ?? DEFAULT_SELL_RATES[ITEM_CATEGORIES.MISC];
+        return Math.floor(item.value * rate);
+    }
+
+    /**
+     * Whether the shop is willing to buy an item.
+     * @param {import('./Item.js').Item} item - The item being sold
+     * @returns {boolean} True if the item sells for at least 1 gold
+     */
+    canSell(item) {
+        return this.getSellPrice(item) > 0;
+    }
+
+    /**
+     * Restocks entries for every restock interval that has passed.
+     * Called lazily whenever the shop is opened.
+     */
+    update() {
+        const now = Date.now();
+        const intervals = Math.floor((now - this.lastRestockTime) / this.restockInterval);
+        if (intervals <= 0) return;
+
+        this.entries.forEach(entry => {
+            if (entry.restock > 0 && entry.quantity < entry.maxQuantity) {
+                entry.quantity = Math.min(entry.maxQuantity, entry.quantity + entry.restock * intervals);
+            }
+        });
+        this.lastRestockTime += intervals * this.restockInterval;
+    }
+
+    /**
+     * Buys items from the shop.
+     * @param {Object} player - The player buying
+     * @param {string} id - Item id
+     * @param {number} [quantity=1] - Quantity to buy
+     * @returns {{success: boolean, message: string}} Outcome of the transaction
+     */
+    buy(player, id, quantity = 1) {
+        const entry = this.getEntry(id);
+        if (!entry) {
+            return { success: false, message: "That's not for sale." };
+        }
+        if (entry.quantity < quantity) {
+            return { success: false, message: `${entry.item.name} is sold out.` };
+        }
+
+        const cost = entry.price * quantity;
+        if (player.getGold() < cost) {
+            return { success: false, message: `You need ${cost - player.getGold()} more gold.` };
+        }
+        if (!player.inventory.canAdd(entry.item, quantity)) {
+            return { success: false, message: 'Your inventory is full.' };
+        }
+
+        player.removeGold(cost);
+        player.inventory.addItem(entry.item, quantity);
+        entry.quantity -= quantity;
+
+        return { success: true, message: `Bought ${entry.item.name} for ${cost} gold.` };
+    }
+
+    /**
+     * Sells items from one of the player's inventory slots to the shop.
+     * @param {Object} player - The player selling
+     * @param {number} slotIndex - Inventory slot holding the items
+     * @param {number} [quantity=1] - Quantity to sell
+     * @returns {{success: boolean, message: string}} Outcome of the transaction
+     */
+    sell(player, slotIndex, quantity = 1) {
+        const stack = player.inventory.getSlot(slotIndex);
+        if (!stack) {
+            return { success: false, message: 'Nothing to sell.' };
+        }
+        if (!this.canSell(stack.item)) {
+            return { success: false, message: `I can't take the ${stack.item.name}.` };
+        }
+
+        const removed = player.inventory.removeFromSlot(slotIndex, quantity);
+        const earned = this.getSellPrice(stack.item) * removed.quantity;
+        player.addGold(earned);
+
+        // Sold items the shop already stocks go back on its shelf, up to the same cap as restocking
+        const entry = this.getEntry(stack.id);
+        if (entry && entry.quantity !== Infinity) {
+            entry.quantity = Math.min(entry.maxQuantity, entry.quantity + removed.quantity);
+        }
+
+        return { success: true, message: `Sold ${stack.item.name} for ${earned} gold.` };
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * items.js
+ * Catalog of every item in the game, keyed by item id.
+ * Loot lists, chests and shops refer to items by these ids.
+ */
+import { Item, ITEM_CATEGORIES } from './Item.js';
+import { ItemStack } from './ItemStack.js';
+
+export const ITEMS = {
+    // Weapons
+    iron_sword: new Item({
+        id: 'iron_sword',
+        name: 'Iron Sword',
+        icon: '🗡️',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'A plain but reliable blade.',
+        value: 40,
+        stats: { strength: 3 },
+        weaponType: 'sword'
+    }),
+    steel_sword: new Item({
+        id: 'steel_sword',
+        name: 'Steel Sword',
+        icon: '⚔️',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'Well balanced and keen enough to bite through scales.',
+        value: 90,
+        stats: { strength: 6 },
+        weaponType: 'sword'
+    }),
+    hunting_spear: new Item({
+        id: 'hunting_spear',
+        name: 'Hunting Spear',
+        icon: '🔱',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'Long enough to keep teeth and claws at a distance.',
+        value: 45,
+        stats: { strength: 2, agility: 2 },
+        weaponType: 'spear'
+    }),
+    woodcutter_axe: new Item({
+        id: 'woodcutter_axe',
+        name: "Woodcutter's Axe",
+        icon: '🪓',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'Meant for trees. Works on most things with legs, too.',
+        value: 45,
+        stats: { strength: 4, agility: -1 },
+        weaponType: 'axe'
+    }),
+    hunting_bow: new Item({
+        id: 'hunting_bow',
+        name: 'Hunting Bow',
+        icon: '🏹',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'Looses arrows at whatever you face. Keep your distance.',
+        value: 50,
+        stats: { agility: 3 },
+        weaponType: 'bow'
+    }),
+    frostbite_spear: new Item({
+        id: 'frostbite_spear',
+        name: 'Frostbite Spear',
+        icon: '❄️',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'Rime never melts from its head. Dragons hate the cold.',
+        value: 85,
+        stats: { strength: 3, agility: 1 },
+        weaponType: 'spear',
+        damageType: 'ice'
+    }),
+    ember_axe: new Item({
+        id: 'ember_axe',
+        name: 'Ember Axe',
+        icon: '🔥',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'Its edge smoulders. Forest beasts flee from the smell of smoke.',
+        value: 85,
+        stats: { strength: 5, agility: -1 },
+        weaponType: 'axe',
+        damageType: 'fire'
+    }),
+    blessed_blade: new Item({
+        id: 'blessed_blade',
+        name: 'Blessed Blade',
+        icon: '✝️',
+        category: ITEM_CATEGORIES.WEAPON,
+        description: 'Washed in the waters of the town fountain. It cuts the dead as well as the living.',
+        value: 100,
+        stats: { strength: 4 },
+        weaponType: 'sword',
+        blessed: true
+    }),
+
+    // Armor
+    leather_armor: new Item({
+        id: 'leather_armor',
+        name: 'Leather Armor',
+        icon: '🦺',
+        category: ITEM_CATEGORIES.ARMOR,
+        description: 'Stiff leather that turns aside light blows.',
+        value: 35,
+        stats: { vitality: 3 }
+    }),
+    chainmail: new Item({
+        id: 'chainmail',
+        name: 'Chainmail',
+        icon: '🛡️',
+        category: ITEM_CATEGORIES.ARMOR,
+        description: 'Heavy rings of iron, riveted by a patient smith.',
+        value: 80,
+        stats: { strength: -1, vitality: 6 }
+    }),
+
+    // Consumables
+    health_potion: new Item({
+        id: 'health_potion',
+        name: 'Health Potion',
+        icon: '🧪',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        maxStack: 10,
+        description: 'A red tonic that mends wounds.',
+        value: 15,
+        effect: { heal: 40 }
+    }),
+    stamina_tonic: new Item({
+        id: 'stamina_tonic',
+        name: 'Stamina Tonic',
+        icon: '🧃',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        maxStack: 10,
+        description: 'Sweet and fizzy. Your second wind, bottled.',
+        value: 15,
+        effect: { stamina: 40 }
+    }),
+    elixir_of_strength: new Item({
+        id: 'elixir_of_strength',
+        name: 'Elixir of Strength',
+        icon: '⚗️',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        maxStack: 5,
+        description: 'Bitter and fiery. Your arms feel heavier, your blows heavier still.',
+        value: 40,
+        effect: { buffs: { strength: 5 }, duration: 60000, color: 'rgba(255, 120, 0, 0.5)' }
+    }),
+    elixir_of_vitality: new Item({
+        id: 'elixir_of_vitality',
+        name: 'Elixir of Vitality',
+        icon: '🍷',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        maxStack: 5,
+        description: 'A thick draught that warms you to the bone.',
+        value: 40,
+        effect: { buffs: { vitality: 5 }, duration: 60000, color: 'rgba(255, 60, 120, 0.5)' }
+    }),
+    antidote: new Item({
+        id: 'antidote',
+        name: 'Antidote',
+        icon: '🌿',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        maxStack: 10,
+        description: 'Chewed herbs that draw out poisons and curses.',
+        value: 10,
+        effect: { cleanse: true, color: 'rgba(120, 255, 120, 0.5)' }
+    }),
+
+    // Materials
+    monster_fang: new Item({
+        id: 'monster_fang',
+        name: 'Monster Fang',
+        icon: '🦷',
+        category: ITEM_CATEGORIES.MATERIAL,
+        maxStack: 20,
+        description: 'Taken from a beast of the Dark Forest.',
+        value: 5
+    }),
+    ghost_essence: new Item({
+        id: 'ghost_essence',
+        name: 'Ghost Essence',
+        icon: '👻',
+        category: ITEM_CATEGORIES.MATERIAL,
+        maxStack: 20,
+        description: 'Cold, faintly glowing mist trapped in a vial.',
+        value: 12
+    }),
+    dragon_scale: new Item({
+        id: 'dragon_scale',
+        name: 'Dragon Scale',
+        icon: '🐉',
+        category: ITEM_CATEGORIES.MATERIAL,
+        maxStack: 20,
+        description: 'Still warm to the touch.',
+        value: 30
+    }),
+
+    // Quest items
+    lair_key: new Item({
+        id: 'lair_key',
+        name: 'Scorched Key',
+        icon: '🗝️',
+        category: ITEM_CATEGORIES.QUEST,
+        description: 'Blackened by fire. Whatever it opens lies deeper than the forest.'
+    }),
+
+    // Misc
+    ancient_coin: new Item({
+        id: 'ancient_coin',
+        name: 'Ancient Coin',
+        icon: '🏅',
+        category: ITEM_CATEGORIES.MISC,
+        maxStack: 50,
+        description: 'Minted by a kingdom long forgotten.',
+        value: 10
+    })
+};
+
+/**
+ * Looks up an item definition by id.
+ * @param {string} id - Item id
+ * @returns {Item|null} The item definition or null if unknown
+ */
+export function getItem(id) {
+    return ITEMS[id] || null;
+}
+
+/**
+ * Creates a new stack of the given item.
+ * @param {string} id - Item id
+ * @param {number} [quantity=1] - Stack size
+ * @returns {ItemStack|null} The new stack or null if the item id is unknown
+ */
+export function createItemStack(id, quantity = 1) {
+    const item = getItem(id);
+    return item ? new ItemStack(item, quantity) : null;
+}
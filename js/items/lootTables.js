@@ -0,0 +1,57 @@
+/**
+ * lootTables.js
+ * Default loot tables for each enemy type.
+ */
+import { LootTable } from './LootTable.js';
+
+export const LOOT_TABLES = {
+    // Forest monsters: a little gold, often a fang, sometimes a potion
+    monster: new LootTable({
+        gold: { min: 2, max: 6 },
+        entries: [
+            { id: 'monster_fang', weight: 5 },
+            { id: 'health_potion', weight: 1 },
+            { id: 'stamina_tonic', weight: 1 },
+            { id: null, weight: 4 }
+        ]
+    }),
+
+    // Ghosts always leave their essence; it drifts straight into the player's pack
+    ghost: new LootTable({
+        gold: { min: 4, max: 10 },
+        guaranteed: [{ id: 'ghost_essence' }],
+        entries: [
+            { id: 'antidote', weight: 2 },
+            { id: null, weight: 8 }
+        ],
+        delivery: 'direct'
+    }),
+
+    // Lair dragons guard small hoards of their own
+    dragon: new LootTable({
+        gold: { min: 15, max: 30 },
+        guaranteed: [{ id: 'dragon_scale', min: 1, max: 2 }],
+        rolls: 2,
+        entries: [
+            { id: 'health_potion', weight: 3 },
+            { id: 'ancient_coin', weight: 2, min: 1, max: 3 },
+            { id: 'elixir_of_strength', weight: 1 },
+            { id: null, weight: 4 }
+        ]
+    }),
+
+    // The Ancient Dragon's hoard
+    dragonBoss: new LootTable({
+        gold: { min: 150, max: 250 },
+        guaranteed: [
+            { id: 'dragon_scale', quantity: 5 },
+            { id: 'elixir_of_vitality' }
+        ],
+        rolls: 2,
+        entries: [
+            { id: 'ancient_coin', weight: 3, min: 5, max: 10 },
+            { id: 'health_potion', weight: 3, min: 2, max: 3 },
+            { id: 'elixir_of_strength', weight: 2 }
+        ]
+    })
+};
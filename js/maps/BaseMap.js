@@ -1,4 +1,8 @@
 import { COLORS, SPRITES } from '../colors.js';
+import { LootPickup } from '../items/LootPickup.js';
+import { PatrolRoute } from '../ai/PatrolRoute.js';
+import { Spawner } from './Spawner.js';
+import { getTileType } from './tileTypes.js';
 
 /**
  * Base class for game maps providing common functionality for rendering and collision detection.
@@ -28,6 +32,21 @@ export class BaseMap {
         /** @type {Array} Array of visual effects on this map */
         this.effects = [];
         
+        /** @type {Array<LootPickup>} Items lying on the ground waiting to be picked up */
+        this.pickups = [];
+        
+        /** @type {Array<Projectile>} Arrows, fireballs and other shots in flight */
+        this.projectiles = [];
+        
+        /** @type {Object.<string, PatrolRoute>} Named patrol routes NPCs on this map can walk */
+        this.patrolRoutes = {};
+        
+        /** @type {Array<Spawner>} Spawners keeping the map's enemies stocked */
+        this.spawners = [];
+        
+        /** @type {Array<MapExit>} Edges and warp tiles leading to other maps */
+        this.exits = [];
+        
         /** @type {Object} Map colors */
         this.mapColors = config.colors || {
             primary: COLORS.LIGHT,    // Default gray
@@ -37,6 +56,9 @@ export class BaseMap {
         /** @type {Array} Array representing the map data */
         this.mapData = [];
         
+        /** @type {{x: number, y: number}} Tile the player starts on when the game begins here */
+        this.playerStart = { x: 1, y: 1 };
+        
         /** @type {Game} Reference to the game instance */
         this.game = config.game || null;
     }
@@ -47,8 +69,8 @@ export class BaseMap {
      */
     getInitialPlayerPosition() {
         return {
-            x: 1 * this.tileSize,
-            y: 1 * this.tileSize
+            x: this.playerStart.x * this.tileSize,
+            y: this.playerStart.y * this.tileSize
         };
     }
 
@@ -61,32 +83,52 @@ export class BaseMap {
     }
 
     /**
-     * Calculates the offset needed to center the map on the canvas.
-     * @returns {{x: number, y: number}} The x and y offsets in pixels
+     * Gets the size of the map in pixels, the area the camera may show.
+     * @returns {{width: number, height: number}} Width and height in pixels
      */
-    getMapOffset() {
+    getPixelSize() {
         return {
-            x: (800 - this.mapData[0].length * this.tileSize) / 2,
-            y: (600 - this.mapData.length * this.tileSize) / 2
+            width: this.mapData[0].length * this.tileSize,
+            height: this.mapData.length * this.tileSize
         };
     }
 
     /**
-     * Determines if a tile type represents a solid (non-walkable) tile.
+     * Gets the definition of a tile number (see TILE_TYPES). Maps with tiles of their own can override it.
+     * @param {number} type - The tile number from the map data
+     * @returns {Object} The tile type
+     */
+    getTileType(type) {
+        return getTileType(type);
+    }
+
+    /**
+     * Determines if a tile type represents a solid tile, one that stops projectiles as well as walkers.
      * @param {number} type - The tile type to check
      * @returns {boolean} True if the tile is solid
      */
     isSolidTile(type) {
-        return type === 1;
+        return this.getTileType(type).solid;
     }
 
     /**
      * Determines if a tile type represents a walkable tile.
      * @param {number} type - The tile type to check
+     * @param {Object} [entity=null] - The entity that wants to cross, for tiles only some can pass (ghosts float over water)
      * @returns {boolean} True if the tile is walkable
      */
-    isWalkableTile(type) {
-        return type === 0;
+    isWalkableTile(type, entity = null) {
+        const tileType = this.getTileType(type);
+        return tileType.walkable || (!!entity && !!tileType.canPass?.(entity));
+    }
+
+    /**
+     * Determines if a tile type hurts whoever steps on it (lava, spikes), so NPCs keep off it.
+     * @param {number} type - The tile type to check
+     * @returns {boolean} True if the tile is a hazard
+     */
+    isHazardTile(type) {
+        return !!this.getTileType(type).hazard;
     }
 
     /**
@@ -107,6 +149,51 @@ export class BaseMap {
         return this.mapData[tileY][tileX];
     }
 
+    /**
+     * Determines if a tile type blocks line of sight.
+     * @param {number} type - The tile type to check
+     * @returns {boolean} True if nothing can be seen through the tile
+     */
+    blocksSight(type) {
+        return this.getTileType(type).blocksSight;
+    }
+
+    /**
+     * Casts a ray between two points and checks that no tile on the way blocks sight.
+     * @param {number} fromX - Start x coordinate in pixels
+     * @param {number} fromY - Start y coordinate in pixels
+     * @param {number} toX - End x coordinate in pixels
+     * @param {number} toY - End y coordinate in pixels
+     * @returns {boolean} True if the end point can be seen from the start
+     */
+    hasLineOfSight(fromX, fromY, toX, toY) {
+        // Sample the ray a few times per tile so it can't skip over a wall corner
+        const steps = Math.ceil(Math.hypot(toX - fromX, toY - fromY) / (this.tileSize / 8));
+        for (let i = 1; i < steps; i++) {
+            const x = fromX + (toX - fromX) * i / steps;
+            const y = fromY + (toY - fromY) * i / steps;
+            if (this.blocksSight(this.getTileAt(x, y))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Lets the tile an entity just stepped onto act on it: the tile's cost sets how fast the
+     * entity leaves it, and its onEnter hook runs unless the entity flies over it.
+     * Call it when the entity finishes a step.
+     * @param {Object} entity - The player or an NPC, standing on the tile
+     * @param {Object|Array|null} [otherEntities=null] - Entities that block movement, in case the tile moves the entity on
+     */
+    enterTile(entity, otherEntities = null) {
+        const tileType = this.getTileType(this.getTileAt(entity.x, entity.y));
+        entity.movementSystem.terrainCost = tileType.cost;
+        if (!entity.canFly) {
+            tileType.onEnter?.(entity, this, otherEntities);
+        }
+    }
+
     /**
      * Sets the debug mode state.
      * @param {boolean} debug - The debug state to set
@@ -129,26 +216,35 @@ export class BaseMap {
     }
 
     /**
-     * Renders the complete map including background, tiles, exits, map name, and effects.
+     * Renders the complete map including background, tiles, exits, map name, NPCs, projectiles and effects.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
      */
-    render(ctx) {
+    render(ctx, camera) {
         this.drawBackground(ctx);
-        this.drawAllTiles(ctx);
-        this.drawAllExits(ctx);
+        this.drawAllTiles(ctx, camera);
+        this.drawAllExits(ctx, camera);
         this.drawMapName(ctx);
+        this.renderPickups(ctx, camera);
+        
+        if (this.debug) {
+            this.renderPatrolRoutes(ctx, camera);
+            this.renderSpawners(ctx, camera);
+        }
 
         // Render all NPCs if they exist
         if (this.npcs.length > 0) {
-            const mapOffset = this.getMapOffset();
+            const mapOffset = camera.getOffset();
             this.npcs.forEach(npc => {
                 npc.setDebug(this.debug);
                 npc.render(ctx, mapOffset);
             });
         }
         
+        this.renderProjectiles(ctx, camera);
+        
         // Render all active effects
-        this.renderEffects(ctx);
+        this.renderEffects(ctx, camera);
     }
 
     /**
@@ -161,14 +257,16 @@ export class BaseMap {
     }
 
     /**
-     * Draws all tiles in the map based on the mapData array.
+     * Draws the tiles of the mapData array that are in view.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
      */
-    drawAllTiles(ctx) {
-        const offset = this.getMapOffset();
+    drawAllTiles(ctx, camera) {
+        const offset = camera.getOffset();
+        const visible = camera.getVisibleTiles(this.tileSize, this.mapData[0].length, this.mapData.length);
         
-        for (let y = 0; y < this.mapData.length; y++) {
-            for (let x = 0; x < this.mapData[y].length; x++) {
+        for (let y = visible.startY; y <= visible.endY; y++) {
+            for (let x = visible.startX; x <= visible.endX; x++) {
                 const posX = x * this.tileSize + offset.x;
                 const posY = y * this.tileSize + offset.y;
                 const type = this.mapData[y][x];
@@ -183,107 +281,42 @@ export class BaseMap {
     }
 
     /**
-     * Draws all map exits if transitions are defined.
+     * Draws all map exits.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
      */
-    drawAllExits(ctx) {
-        if (!this.transitions) return;
-
-        const offset = this.getMapOffset();
-        for (const [mapName, transitions] of Object.entries(this.transitions)) {
-            for (const transition of transitions) {
-                this.drawExit(ctx, mapName, transition, offset);
-            }
+    drawAllExits(ctx, camera) {
+        const offset = camera.getOffset();
+        for (const exit of this.exits) {
+            this.drawExit(ctx, exit, offset);
         }
     }
 
     /**
-     * Draws a single map exit with appropriate coloring and arrow indicators.
+     * Draws a single map exit in the colors of the map it leads to.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
-     * @param {string} mapName - Name of the destination map
-     * @param {Object} transition - Transition data containing x and y coordinates
-     * @param {{x: number, y: number}} offset - Map offset for centered rendering
+     * @param {MapExit} exit - The exit to draw
+     * @param {{x: number, y: number}} offset - Camera offset (see Camera.getOffset)
      */
-    drawExit(ctx, mapName, transition, offset) {
+    drawExit(ctx, exit, offset) {
         let colors = { primary: '#666', pattern: '#999' }; // Default fallback colors
         
         // Get colors from the destination map if available via game instance
-        if (this.game && this.game._maps && this.game._maps[mapName]) {
-            colors = this.game._maps[mapName].getColors();
+        if (this.game && this.game._maps && this.game._maps[exit.to]) {
+            colors = this.game._maps[exit.to].getColors();
         }
         
-        for (const x of transition.x) {
-            const screenX = x * this.tileSize + offset.x;
-            const screenY = transition.y * this.tileSize + offset.y;
-            
-            this.drawExitBase(ctx, screenX, screenY, colors.primary);
-            this.drawExitArrow(ctx, screenX, screenY, transition.y, colors.pattern);
-        }
+        exit.render(ctx, offset, this.tileSize, colors);
     }
 
     /**
-     * Draws the base rectangle for an exit tile.
-     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
-     * @param {number} x - The x coordinate in pixels
-     * @param {number} y - The y coordinate in pixels
-     * @param {string} color - The fill color for the exit
+     * Finds the exit covering a tile.
+     * @param {number} tileX - Tile X coordinate
+     * @param {number} tileY - Tile Y coordinate
+     * @returns {MapExit|null} The exit, or null if the tile leads nowhere
      */
-    drawExitBase(ctx, x, y, color) {
-        ctx.fillStyle = color;
-        ctx.fillRect(x, y, this.tileSize, this.tileSize);
-    }
-
-    /**
-     * Draws direction arrows on exit tiles.
-     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
-     * @param {number} x - The x coordinate in pixels
-     * @param {number} y - The y coordinate in pixels
-     * @param {number} transitionY - The y position of the transition
-     * @param {string} color - The arrow color
-     */
-    drawExitArrow(ctx, x, y, transitionY, color) {
-        ctx.fillStyle = color;
-        ctx.beginPath();
-        
-        const mid = this.tileSize / 2;
-        const arrowSize = this.tileSize / 3;
-        
-        if (transitionY === 0) { // Top exit
-            this.drawUpArrow(ctx, x, y, mid, arrowSize);
-        } else if (transitionY === this.mapData.length - 1) { // Bottom exit
-            this.drawDownArrow(ctx, x, y, mid, arrowSize);
-        }
-        
-        ctx.closePath();
-        ctx.fill();
-    }
-
-    /**
-     * Draws an upward pointing arrow for top exits.
-     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
-     * @param {number} x - The x coordinate in pixels
-     * @param {number} y - The y coordinate in pixels
-     * @param {number} mid - Middle point of the tile
-     * @param {number} arrowSize - Size of the arrow
-     */
-    drawUpArrow(ctx, x, y, mid, arrowSize) {
-        ctx.moveTo(x + mid, y + arrowSize);
-        ctx.lineTo(x + mid + arrowSize, y + this.tileSize - arrowSize);
-        ctx.lineTo(x + mid - arrowSize, y + this.tileSize - arrowSize);
-    }
-
-    /**
-     * Draws a downward pointing arrow for bottom exits.
-     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
-     * @param {number} x - The x coordinate in pixels
-     * @param {number} y - The y coordinate in pixels
-     * @param {number} mid - Middle point of the tile
-     * @param {number} arrowSize - Size of the arrow
-     */
-    drawDownArrow(ctx, x, y, mid, arrowSize) {
-        ctx.moveTo(x + mid, y + this.tileSize - arrowSize);
-        ctx.lineTo(x + mid + arrowSize, y + arrowSize);
-        ctx.lineTo(x + mid - arrowSize, y + arrowSize);
+    getExitAt(tileX, tileY) {
+        return this.exits.find(exit => exit.covers(tileX, tileY)) || null;
     }
 
     /**
@@ -294,13 +327,7 @@ export class BaseMap {
      * @param {number} posY - The y coordinate in pixels
      */
     drawTile(ctx, type, posX, posY) {
-        ctx.fillStyle = SPRITES.PATH;
-        ctx.fillRect(posX, posY, this.tileSize, this.tileSize);
-
-        if (type === 1) {
-            ctx.fillStyle = SPRITES.BUILDING;
-            ctx.fillRect(posX, posY, this.tileSize, this.tileSize);
-        }
+        this.getTileType(type).render(ctx, posX, posY, this.tileSize);
     }
 
     /**
@@ -311,12 +338,14 @@ export class BaseMap {
      * @param {number} posY - The y coordinate in pixels
      */
     drawDebugTile(ctx, type, posX, posY) {
-        ctx.fillStyle = this.isSolidTile(type) ? 
-            'rgba(255, 0, 0, 0.3)' : 
-            'rgba(0, 255, 0, 0.3)';
+        // Red for tiles nobody walks on, orange for hazards, green for safe ground
+        const color = !this.isWalkableTile(type) ? 'red' : this.isHazardTile(type) ? 'orange' : 'green';
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = color;
         ctx.fillRect(posX, posY, this.tileSize, this.tileSize);
+        ctx.globalAlpha = 1;
 
-        ctx.strokeStyle = this.isSolidTile(type) ? 'red' : 'green';
+        ctx.strokeStyle = color;
         ctx.lineWidth = 1;
         ctx.strokeRect(posX, posY, this.tileSize, this.tileSize);
 
@@ -325,6 +354,14 @@ export class BaseMap {
         ctx.fillText(type.toString(), posX + 4, posY + 12);
     }
 
+    /**
+     * Gets the boss the player is fighting on this map, for the boss health bar
+     * @returns {BaseNPC|undefined} The engaged, undefeated boss or undefined if there is none
+     */
+    getActiveBoss() {
+        return this.npcs.find(npc => npc.isBoss && npc.isEngaged && !npc.isDefeated);
+    }
+
     /**
      * Finds the nearest NPC within interaction range of the player
      * If multiple NPCs are at the same distance, prioritizes the one the player is facing
@@ -371,13 +408,14 @@ export class BaseMap {
     }
     
     /**
-     * Updates all NPCs, effects, and other active entities on the map
+     * Updates all NPCs, projectiles, effects, and other active entities on the map
      * @param {Player} player - The player entity for NPC interactions
      * @param {number} deltaTime - Time passed since last update in ms
      */
     update(player, deltaTime) {
-        // Remove any defeated NPCs before updating
+        // Remove any defeated NPCs before updating, then let spawners replace them when due
         this.removeDefeatedNPCs();
+        this.updateSpawners(player);
         
         // Update all remaining NPCs
         for (const npc of this.npcs) {
@@ -387,10 +425,156 @@ export class BaseMap {
             }
         }
         
+        // Move shots in flight and let them hit walls, NPCs or the player
+        this.updateProjectiles(player, deltaTime);
+        
+        // Hand over any pickups the player is standing on
+        this.updatePickups(player);
+        
         // Update all active effects
         this.updateEffects(deltaTime);
     }
 
+    /**
+     * Drops items on a tile. Items dropped on a tile that already has a pickup join it.
+     * @param {number} tileX - Tile X coordinate
+     * @param {number} tileY - Tile Y coordinate
+     * @param {Array<{id: string, quantity: number}>} items - Items to drop
+     * @returns {LootPickup} The pickup holding the items
+     */
+    addPickup(tileX, tileY, items) {
+        const existing = this.pickups.find(pickup => pickup.tileX === tileX && pickup.tileY === tileY);
+        if (existing) {
+            existing.addItems(items);
+            return existing;
+        }
+        
+        const pickup = new LootPickup({ tileX, tileY, items, tileSize: this.tileSize });
+        this.pickups.push(pickup);
+        return pickup;
+    }
+
+    /**
+     * Lets the player collect pickups and removes the ones that are empty.
+     * @param {Player} player - The player collecting items
+     */
+    updatePickups(player) {
+        if (!player) return;
+        
+        this.pickups.forEach(pickup => pickup.update(player));
+        this.pickups = this.pickups.filter(pickup => !pickup.isEmpty());
+    }
+
+    /**
+     * Renders all pickups on the map.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
+     */
+    renderPickups(ctx, camera) {
+        if (this.pickups.length === 0) return;
+        
+        const mapOffset = camera.getOffset();
+        this.pickups.forEach(pickup => pickup.render(ctx, mapOffset));
+    }
+
+    /**
+     * Launches a projectile over this map.
+     * @param {Projectile} projectile - The projectile to add
+     * @returns {Projectile} The added projectile for chaining
+     */
+    addProjectile(projectile) {
+        this.projectiles.push(projectile);
+        return projectile;
+    }
+
+    /**
+     * Moves all projectiles and removes the ones that hit something or ran out of range.
+     * @param {Player} player - The player, who can shoot or be shot
+     * @param {number} deltaTime - Time passed since last update in ms
+     */
+    updateProjectiles(player, deltaTime) {
+        if (this.projectiles.length === 0) return;
+        
+        // Cap the step so shots don't jump across the map after a stall
+        const safeDeltaTime = Math.min(deltaTime || 16, 100);
+        this.projectiles.forEach(projectile => projectile.update(safeDeltaTime, this, player));
+        this.projectiles = this.projectiles.filter(projectile => projectile.active);
+    }
+
+    /**
+     * Renders all projectiles in flight.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
+     */
+    renderProjectiles(ctx, camera) {
+        if (this.projectiles.length === 0) return;
+        
+        const mapOffset = camera.getOffset();
+        this.projectiles.forEach(projectile => projectile.render(ctx, mapOffset));
+    }
+
+    /**
+     * Declares a named patrol route on this map.
+     * @param {Object} config - Route configuration (see PatrolRoute)
+     * @returns {PatrolRoute} The new route, ready to hand to NPCs with setPatrolRoute
+     */
+    addPatrolRoute(config) {
+        const route = new PatrolRoute(config);
+        this.patrolRoutes[route.name] = route;
+        return route;
+    }
+
+    /**
+     * Gets a patrol route by name.
+     * @param {string} name - Name of the route
+     * @returns {PatrolRoute|null} The route or null if the map has none by that name
+     */
+    getPatrolRoute(name) {
+        return this.patrolRoutes[name] || null;
+    }
+
+    /**
+     * Draws every patrol route on the map (debug mode).
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
+     */
+    renderPatrolRoutes(ctx, camera) {
+        const mapOffset = camera.getOffset();
+        Object.values(this.patrolRoutes).forEach(route => route.render(ctx, mapOffset, this.tileSize));
+    }
+
+    /**
+     * Declares a spawner on this map and fills it straight away. Call it once `this.npcs` is set up.
+     * @param {Object} config - Spawner configuration (see Spawner)
+     * @returns {Spawner} The new spawner
+     */
+    addSpawner(config) {
+        const spawner = new Spawner(config);
+        this.spawners.push(spawner);
+        spawner.populate(this);
+        return spawner;
+    }
+
+    /**
+     * Lets every spawner notice its defeated NPCs and respawn those that are due. Spawners only
+     * update while their map is the current one; respawns that fell due while the player was
+     * elsewhere happen when the player comes back.
+     * @param {Player} player - The player
+     */
+    updateSpawners(player) {
+        this.spawners.forEach(spawner => spawner.update(this, player));
+    }
+
+    /**
+     * Draws every spawner's area on the map (debug mode).
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
+     */
+    renderSpawners(ctx, camera) {
+        const mapOffset = camera.getOffset();
+        this.spawners.forEach(spawner => spawner.render(ctx, mapOffset, this.tileSize));
+    }
+
     /**
      * Removes all defeated NPCs from the map.
      */
@@ -419,11 +603,12 @@ export class BaseMap {
     /**
      * Renders all active effects on the map.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
      */
-    renderEffects(ctx) {
+    renderEffects(ctx, camera) {
         for (const effect of this.effects) {
             if (effect.enabled && typeof effect.render === 'function') {
-                effect.render(ctx, this);
+                effect.render(ctx, this, camera);
             }
         }
     }
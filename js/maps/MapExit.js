@@ -0,0 +1,251 @@
+/**
+ * MapExit.js
+ * A way from one map to another: a row or column of tiles on a map edge, or a single warp
+ * tile inside the map such as stairs, a cave mouth or a house door. An exit is taken by
+ * stepping onto it, or by pressing E on it if it asks first, and may be locked until the
+ * player brings the right key. Maps list their exits in `BaseMap.exits`.
+ */
+import { getItem } from '../items/items.js';
+
+/**
+ * Icons an exit can be drawn with: arrows for edges, pictures for warps.
+ * @readonly
+ * @enum {string}
+ */
+export const EXIT_ICONS = {
+    UP: 'up',
+    DOWN: 'down',
+    LEFT: 'left',
+    RIGHT: 'right',
+    STAIRS: 'stairs',
+    CAVE: 'cave',
+    DOOR: 'door',
+    PORTAL: 'portal'
+};
+
+export class MapExit {
+    /**
+     * Creates a new exit.
+     * @param {Object} config - Configuration object
+     * @param {string} config.to - Id of the map the exit leads to
+     * @param {number|number[]} config.x - Tile column, or columns for an exit spanning a row
+     * @param {number|number[]} config.y - Tile row, or rows for an exit spanning a column
+     * @param {{x: number, y: number}} config.destination - Tile the player arrives on
+     * @param {string} [config.icon] - One of EXIT_ICONS; defaults to an arrow towards the map edge
+     *     the exit lies on, or a portal for exits inside the map
+     * @param {boolean|string} [config.prompt=false] - Whether the player must press E to use the exit;
+     *     a string replaces the default "Press E" hint
+     * @param {{key?: string, consume?: boolean, message?: string[]}} [config.locked] - Keeps the exit shut
+     *     until the player carries the `key` item, which is used up unless `consume` is false.
+     *     `message` is shown while it stays shut
+     * @param {{columns: number, rows: number}} [mapSize] - Size of the exit's map, to find its edge
+     */
+    constructor({ to, x, y, destination, icon, prompt = false, locked = null }, mapSize = null) {
+        /** @type {string} Id of the map the exit leads to */
+        this.to = to;
+        /** @type {Array<{x: number, y: number}>} Tiles that take the player through */
+        this.tiles = [];
+        for (const tileY of [].concat(y)) {
+            for (const tileX of [].concat(x)) {
+                this.tiles.push({ x: tileX, y: tileY });
+            }
+        }
+        /** @type {{x: number, y: number}} Tile the player arrives on in the destination map */
+        this.destination = { ...destination };
+        /** @type {string} How the exit is drawn (see EXIT_ICONS) */
+        this.icon = icon || defaultIcon(this.tiles, mapSize);
+        /** @type {boolean|string} Whether the exit waits for E, or the hint to show */
+        this.prompt = prompt;
+        /** @type {boolean} Whether the exit is shut */
+        this.isLocked = !!locked;
+        /** @type {string|null} Id of the item that opens the exit, or null if only unlock() does */
+        this.key = locked?.key || null;
+        /** @type {boolean} Whether opening the exit uses up its key */
+        this.consumeKey = locked?.consume !== false;
+        /** @type {string[]} Shown when the player tries the exit while it is shut */
+        this.lockedMessage = locked?.message || (this.key
+            ? [`It's locked. You need the ${getItem(this.key)?.name || this.key} to go this way.`]
+            : ["It's locked. There's no way through for now."]);
+    }
+
+    /**
+     * Checks whether a tile is part of the exit.
+     * @param {number} tileX - Tile X coordinate
+     * @param {number} tileY - Tile Y coordinate
+     * @returns {boolean} True if stepping on the tile uses the exit
+     */
+    covers(tileX, tileY) {
+        return this.tiles.some(tile => tile.x === tileX && tile.y === tileY);
+    }
+
+    /**
+     * Gets the hint shown while the player stands on an exit that waits for E.
+     * @param {string} destinationName - Display name of the map the exit leads to
+     * @returns {string|null} The hint, or null for exits taken by stepping on them
+     */
+    getPrompt(destinationName) {
+        if (!this.prompt) return null;
+        if (typeof this.prompt === 'string') return this.prompt;
+        return `Press E to enter ${destinationName}`;
+    }
+
+    /**
+     * Opens the exit.
+     */
+    unlock() {
+        this.isLocked = false;
+    }
+
+    /**
+     * Opens the exit if the inventory holds its key, using the key up if the exit says so.
+     * @param {Inventory} inventory - The inventory to look for the key in
+     * @returns {boolean} True if the exit is open now
+     */
+    tryUnlock(inventory) {
+        if (!this.isLocked) return true;
+        if (!this.key || !inventory || !inventory.hasItem(this.key)) return false;
+
+        if (this.consumeKey) {
+            inventory.removeItem(this.key);
+        }
+        this.unlock();
+        return true;
+    }
+
+    /**
+     * Draws the exit's tiles with its icon, and a padlock while it is locked.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
+     * @param {number} tileSize - Size of a tile in pixels
+     * @param {{primary: string, pattern: string}} colors - Colors of the destination map
+     */
+    render(ctx, mapOffset, tileSize, colors) {
+        const drawIcon = ICON_RENDERERS[this.icon] || ICON_RENDERERS[EXIT_ICONS.PORTAL];
+
+        for (const tile of this.tiles) {
+            const x = tile.x * tileSize + mapOffset.x;
+            const y = tile.y * tileSize + mapOffset.y;
+
+            ctx.fillStyle = colors.primary;
+            ctx.fillRect(x, y, tileSize, tileSize);
+
+            ctx.save();
+            ctx.fillStyle = colors.pattern;
+            ctx.strokeStyle = colors.pattern;
+            drawIcon(ctx, x, y, tileSize);
+            ctx.restore();
+
+            if (this.isLocked) {
+                drawPadlock(ctx, x, y, tileSize);
+            }
+        }
+    }
+}
+
+/**
+ * Picks an arrow pointing off the map edge the exit lies on, or a portal for an exit inside the map.
+ * @param {Array<{x: number, y: number}>} tiles - The exit's tiles
+ * @param {{columns: number, rows: number}|null} mapSize - Size of the exit's map, if known
+ * @returns {string} One of EXIT_ICONS
+ */
+function defaultIcon(tiles, mapSize) {
+    if (!mapSize || tiles.length === 0) return EXIT_ICONS.PORTAL;
+    if (tiles.every(tile => tile.y === 0)) return EXIT_ICONS.UP;
+    if (tiles.every(tile => tile.y === mapSize.rows - 1)) return EXIT_ICONS.DOWN;
+    if (tiles.every(tile => tile.x === 0)) return EXIT_ICONS.LEFT;
+    if (tiles.every(tile => tile.x === mapSize.columns - 1)) return EXIT_ICONS.RIGHT;
+    return EXIT_ICONS.PORTAL;
+}
+
+/**
+ * Draws a filled triangle.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+ * @param {Array<[number, number]>} points - The three corners
+ */
+function fillTriangle(ctx, points) {
+    ctx.beginPath();
+    ctx.moveTo(points[0][0], points[0][1]);
+    ctx.lineTo(points[1][0], points[1][1]);
+    ctx.lineTo(points[2][0], points[2][1]);
+    ctx.closePath();
+    ctx.fill();
+}
+
+/**
+ * Draws each exit icon inside a tile at a screen position, in the current fill and stroke colors.
+ * @type {Object.<string, function(CanvasRenderingContext2D, number, number, number): void>}
+ */
+const ICON_RENDERERS = {
+    [EXIT_ICONS.UP]: (ctx, x, y, size) => {
+        const third = size / 3;
+        fillTriangle(ctx, [[x + size / 2, y + third], [x + size / 2 + third, y + size - third], [x + size / 2 - third, y + size - third]]);
+    },
+    [EXIT_ICONS.DOWN]: (ctx, x, y, size) => {
+        const third = size / 3;
+        fillTriangle(ctx, [[x + size / 2, y + size - third], [x + size / 2 + third, y + third], [x + size / 2 - third, y + third]]);
+    },
+    [EXIT_ICONS.LEFT]: (ctx, x, y, size) => {
+        const third = size / 3;
+        fillTriangle(ctx, [[x + third, y + size / 2], [x + size - third, y + size / 2 - third], [x + size - third, y + size / 2 + third]]);
+    },
+    [EXIT_ICONS.RIGHT]: (ctx, x, y, size) => {
+        const third = size / 3;
+        fillTriangle(ctx, [[x + size - third, y + size / 2], [x + third, y + size / 2 - third], [x + third, y + size / 2 + third]]);
+    },
+    // Three steps going down to the right
+    [EXIT_ICONS.STAIRS]: (ctx, x, y, size) => {
+        const step = size / 5;
+        for (let i = 0; i < 3; i++) {
+            ctx.fillRect(x + step * (i + 1), y + step * (i + 1), size - step * (i + 2), step * 0.7);
+        }
+    },
+    // A dark arch
+    [EXIT_ICONS.CAVE]: (ctx, x, y, size) => {
+        ctx.fillStyle = '#111111';
+        ctx.beginPath();
+        ctx.arc(x + size / 2, y + size * 0.6, size * 0.3, Math.PI, 0);
+        ctx.lineTo(x + size * 0.8, y + size * 0.85);
+        ctx.lineTo(x + size * 0.2, y + size * 0.85);
+        ctx.closePath();
+        ctx.fill();
+    },
+    [EXIT_ICONS.DOOR]: (ctx, x, y, size) => {
+        ctx.fillRect(x + size * 0.25, y + size * 0.15, size * 0.5, size * 0.75);
+        ctx.fillStyle = '#C9A227';
+        ctx.beginPath();
+        ctx.arc(x + size * 0.65, y + size * 0.55, size / 16, 0, Math.PI * 2);
+        ctx.fill();
+    },
+    // A swirl of rings
+    [EXIT_ICONS.PORTAL]: (ctx, x, y, size) => {
+        ctx.lineWidth = 2;
+        [0.35, 0.22, 0.1].forEach(radius => {
+            ctx.beginPath();
+            ctx.arc(x + size / 2, y + size / 2, size * radius, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+};
+
+/**
+ * Draws a small padlock in the corner of a locked exit's tile.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+ * @param {number} x - Screen x coordinate of the tile
+ * @param {number} y - Screen y coordinate of the tile
+ * @param {number} size - Tile size in pixels
+ */
+function drawPadlock(ctx, x, y, size) {
+    const lockX = x + size * 0.6;
+    const lockY = y + size * 0.6;
+    const lockSize = size * 0.3;
+
+    ctx.save();
+    ctx.strokeStyle = '#C9A227';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(lockX + lockSize / 2, lockY, lockSize / 3, Math.PI, 0);
+    ctx.stroke();
+    ctx.fillStyle = '#C9A227';
+    ctx.fillRect(lockX, lockY, lockSize, lockSize * 0.8);
+    ctx.restore();
+}
@@ -0,0 +1,142 @@
+/**
+ * Spawner.js
+ * Keeps an area of a map populated: spawns NPCs from a factory up to a maximum, and brings
+ * defeated ones back after a delay, out of the player's way. Maps declare spawners with
+ * BaseMap.addSpawner.
+ */
+export class Spawner {
+    /**
+     * Creates a new spawner.
+     * @param {Object} config - Configuration object
+     * @param {string} config.name - Name shown in debug mode
+     * @param {function({x: number, y: number}): BaseNPC} config.factory - Builds an NPC on the given tile
+     * @param {{x: number, y: number, width?: number, height?: number}} config.area - Tiles NPCs spawn on
+     *     (width and height default to 1)
+     * @param {number} [config.maxAlive=1] - How many of its NPCs may be alive at once
+     * @param {number} [config.respawnDelay=60000] - Milliseconds before a defeated NPC is replaced
+     * @param {boolean} [config.respawn=true] - False for NPCs that stay gone once all are defeated (bosses)
+     * @param {number} [config.minPlayerDistance=5] - Respawned NPCs appear at least this many tiles from the player
+     */
+    constructor({ name, factory, area, maxAlive = 1, respawnDelay = 60000, respawn = true, minPlayerDistance = 5 }) {
+        this.name = name;
+        this.factory = factory;
+        this.area = { width: 1, height: 1, ...area };
+        this.maxAlive = maxAlive;
+        this.respawnDelay = respawnDelay;
+        this.respawn = respawn;
+        this.minPlayerDistance = minPlayerDistance;
+        /** @type {Array<BaseNPC>} NPCs from this spawner still standing */
+        this.npcs = [];
+        /** @type {number[]} Timestamps at which defeated NPCs are due to be replaced, earliest first */
+        this.respawnTimes = [];
+        /** @type {boolean} Whether all of a non-respawning spawner's NPCs have been defeated */
+        this.isCleared = false;
+    }
+
+    /**
+     * Fills the spawner up to its maximum, e.g. when its map is built.
+     * @param {BaseMap} map - The spawner's map
+     */
+    populate(map) {
+        while (this.npcs.length < this.maxAlive) {
+            if (!this._spawn(map, null)) break; // Out of free tiles
+        }
+    }
+
+    /**
+     * Notices defeated NPCs and replaces those whose respawn delay is up. Replacements only
+     * appear on tiles far enough from the player, so the area refills while the player is away.
+     * @param {BaseMap} map - The spawner's map
+     * @param {Player} player - The player
+     */
+    update(map, player) {
+        const fallen = this.npcs.filter(npc => npc.isDefeated);
+        if (fallen.length > 0) {
+            this.npcs = this.npcs.filter(npc => !npc.isDefeated);
+            if (this.respawn) {
+                fallen.forEach(() => this.respawnTimes.push(Date.now() + this.respawnDelay));
+            } else if (this.npcs.length === 0) {
+                this.isCleared = true;
+            }
+        }
+
+        while (this.respawnTimes.length > 0 && this.respawnTimes[0] <= Date.now() &&
+               this.npcs.length < this.maxAlive && this._spawn(map, player)) {
+            this.respawnTimes.shift();
+        }
+    }
+
+    /**
+     * Draws the spawn area with the spawner's name and head count for debug mode.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
+     * @param {number} tileSize - Size of a tile in pixels
+     */
+    render(ctx, mapOffset, tileSize) {
+        const x = this.area.x * tileSize + mapOffset.x;
+        const y = this.area.y * tileSize + mapOffset.y;
+
+        ctx.save();
+        ctx.strokeStyle = this.isCleared ? 'rgba(128, 128, 128, 0.7)' : 'rgba(255, 120, 0, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([2, 3]);
+        ctx.strokeRect(x, y, this.area.width * tileSize, this.area.height * tileSize);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        const status = this.isCleared ? 'cleared' : `${this.npcs.length}/${this.maxAlive}`;
+        ctx.fillText(`${this.name} ${status}`, x + 2, y + 10);
+        if (this.respawnTimes.length > 0) {
+            const seconds = Math.max(0, Math.ceil((this.respawnTimes[0] - Date.now()) / 1000));
+            ctx.fillText(`next in ${seconds}s`, x + 2, y + 20);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Spawns one NPC on a random free tile of the area and adds it to the map.
+     * @param {BaseMap} map - The spawner's map
+     * @param {Player|null} player - The player to keep away from, or null when the map is being built
+     * @returns {boolean} Whether an NPC was spawned (false if no tile was free)
+     * @private
+     */
+    _spawn(map, player) {
+        const tiles = [];
+        for (let y = this.area.y; y < this.area.y + this.area.height; y++) {
+            for (let x = this.area.x; x < this.area.x + this.area.width; x++) {
+                if (this._isFreeTile(map, player, x, y)) {
+                    tiles.push({ x, y });
+                }
+            }
+        }
+        if (tiles.length === 0) return false;
+
+        const tile = tiles[Math.floor(Math.random() * tiles.length)];
+        const npc = this.factory(tile);
+        this.npcs.push(npc);
+        map.npcs.push(npc);
+        return true;
+    }
+
+    /**
+     * Checks whether an NPC may appear on a tile: walkable and safe, nobody on it, and far enough from the player.
+     * @param {BaseMap} map - The spawner's map
+     * @param {Player|null} player - The player, if they are on the map
+     * @param {number} tileX - Tile X coordinate
+     * @param {number} tileY - Tile Y coordinate
+     * @returns {boolean} Whether the tile is free
+     * @private
+     */
+    _isFreeTile(map, player, tileX, tileY) {
+        const type = map.mapData[tileY]?.[tileX];
+        if (!map.isWalkableTile(type) || map.isHazardTile(type)) return false;
+        if (map.npcs.some(npc => !npc.isDefeated && npc.isOnTile(tileX, tileY))) return false;
+        if (!player) return true;
+
+        const playerTileX = Math.floor(player.x / map.tileSize);
+        const playerTileY = Math.floor(player.y / map.tileSize);
+        return Math.abs(tileX - playerTileX) + Math.abs(tileY - playerTileY) >= this.minPlayerDistance;
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * mapLoader.js
+ * Builds maps from the JSON files in js/maps/data/, so new areas can be added without code.
+ * data/index.json lists every map id with its file; see the README for the map file schema.
+ */
+import { COLORS } from '../colors.js';
+import { getNPCType, getEffectType, getMapType } from './registry.js';
+import { MapExit } from './MapExit.js';
+
+/**
+ * Fetches every map definition listed in data/index.json.
+ * @returns {Promise<Object.<string, Object>>} Map definitions keyed by map id
+ */
+export async function loadMapDefinitions() {
+    const indexUrl = new URL('./data/index.json', import.meta.url);
+    const index = await fetchJSON(indexUrl);
+
+    const entries = await Promise.all(Object.entries(index).map(async ([id, file]) =>
+        [id, await fetchJSON(new URL(file, indexUrl))]));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Builds a map from its definition.
+ * @param {Object} definition - A parsed map file
+ * @param {Game} [game=null] - The game instance the map belongs to
+ * @returns {BaseMap} The map, with its NPCs placed and its spawners filled
+ */
+export function buildMap(definition, game = null) {
+    const MapType = getMapType(definition.type || 'BaseMap');
+    if (!MapType) {
+        throw new Error(`Map '${definition.name}' has unknown map type '${definition.type}'`);
+    }
+
+    const map = new MapType({
+        name: definition.name,
+        game,
+        colors: definition.colors && {
+            primary: resolveColor(definition.colors.primary),
+            pattern: resolveColor(definition.colors.pattern)
+        }
+    });
+
+    map.mapData = mergeLayers(definition.layers || []);
+    if (definition.playerStart) {
+        map.playerStart = { ...definition.playerStart };
+    }
+
+    const mapSize = { columns: map.mapData[0]?.length || 0, rows: map.mapData.length };
+    map.exits = (definition.exits || []).map(exit => new MapExit(exit, mapSize));
+
+    (definition.patrolRoutes || []).forEach(route => map.addPatrolRoute(route));
+
+    // NPCs with an id can be referred to by others (leaders, chests unlocked by a victory)
+    const named = {};
+    const followers = [];
+    let isPopulated = false;
+    const place = (placement, tile) => {
+        const npc = createNPC(placement, tile, map, named);
+        if (!npc) return null;
+        if (placement.id) named[placement.id] = npc;
+        if (placement.leader) {
+            // Until spawners have filled the map, the leader may not exist yet
+            if (isPopulated) {
+                followLeader(npc, placement.leader, named);
+            } else {
+                followers.push({ npc, leader: placement.leader });
+            }
+        }
+        return npc;
+    };
+
+    map.npcs = (definition.npcs || []).map(placement => place(placement)).filter(Boolean);
+
+    (definition.spawners || []).forEach(({ npc: placement, ...config }) => {
+        if (!getNPCType(placement?.type)) {
+            console.warn(`Spawner '${config.name}' on ${definition.name} spawns unknown NPC type '${placement?.type}'`);
+            return;
+        }
+        map.addSpawner({ ...config, factory: tile => place(placement, tile) });
+    });
+
+    isPopulated = true;
+    followers.forEach(({ npc, leader }) => followLeader(npc, leader, named));
+
+    (definition.effects || []).forEach(({ type, args }) => {
+        const EffectType = getEffectType(type);
+        if (!EffectType) {
+            console.warn(`${definition.name} has unknown effect type '${type}'`);
+            return;
+        }
+        map.addEffect(new EffectType(args));
+    });
+
+    return map;
+}
+
+/**
+ * Creates an NPC from a placement and applies its extras (patrol route, behavior, unlocks).
+ * @param {Object} placement - Placement from a map file's npcs list or a spawner's npc
+ * @param {{x: number, y: number}} [tile] - Tile chosen by a spawner, overriding the placement's own
+ * @param {BaseMap} map - The map being built
+ * @param {Object.<string, BaseNPC>} named - NPCs placed so far, by id
+ * @returns {BaseNPC|null} The NPC or null if its type is unknown
+ */
+function createNPC(placement, tile, map, named) {
+    const NPCType = getNPCType(placement.type);
+    if (!NPCType) {
+        console.warn(`${map.name} has unknown NPC type '${placement.type}'`);
+        return null;
+    }
+
+    const npc = new NPCType({ ...placement.args, ...tile });
+
+    if (placement.patrolRoute) {
+        const route = map.getPatrolRoute(placement.patrolRoute);
+        if (route) {
+            npc.setPatrolRoute(route);
+        } else {
+            console.warn(`${npc.name} has unknown patrol route '${placement.patrolRoute}'`);
+        }
+    }
+    if (placement.behavior) {
+        npc.ai.setBehavior(placement.behavior);
+    }
+    if (placement.unlocks) {
+        // Looked up on victory, so the chest may be declared anywhere in the file
+        npc.onVictory = () => named[placement.unlocks]?.unlock();
+    }
+
+    return npc;
+}
+
+/**
+ * Puts an NPC in formation behind the NPC a placement names as its leader.
+ * @param {BaseNPC} npc - The follower
+ * @param {{id: string, offset?: {x: number, y: number}}} leader - The placement's leader entry
+ * @param {Object.<string, BaseNPC>} named - NPCs placed so far, by id
+ */
+function followLeader(npc, leader, named) {
+    if (!named[leader.id]) {
+        console.warn(`${npc.name} has unknown leader '${leader.id}'`);
+        return;
+    }
+    npc.setLeader(named[leader.id], leader.offset?.x, leader.offset?.y);
+}
+
+/**
+ * Stacks tile layers into a single grid. Layers are listed bottom to top; a null cell
+ * leaves the tile below it showing.
+ * @param {Array<{name: string, tiles: Array<Array<number|null>>}>} layers - The map's layers
+ * @returns {Array<Array<number>>} The merged map data
+ */
+function mergeLayers(layers) {
+    const mapData = [];
+    layers.forEach(({ tiles }) => {
+        tiles.forEach((row, y) => {
+            mapData[y] = mapData[y] || [];
+            row.forEach((type, x) => {
+                if (type !== null) mapData[y][x] = type;
+            });
+        });
+    });
+    return mapData;
+}
+
+/**
+ * Resolves a map color: a COLORS key such as 'DARK_GREEN', or any CSS color.
+ * @param {string} color - Color name or value
+ * @returns {string} The CSS color
+ */
+function resolveColor(color) {
+    return COLORS[color] || color;
+}
+
+/**
+ * Fetches and parses a JSON file.
+ * @param {URL} url - The file's URL
+ * @returns {Promise<Object>} The parsed contents
+ */
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
@@ -0,0 +1,68 @@
+/**
+ * registry.js
+ * Catalog of the classes map files can name, keyed by the type names used in the JSON.
+ * A new NPC, effect or map class must be listed here before map files can use it.
+ */
+import { BaseMap } from './BaseMap.js';
+import { DragonLairMap } from './dragonLair/base.js';
+import { GuideNPC } from '../npcs/GuideNPC.js';
+import { MerchantNPC } from '../npcs/MerchantNPC.js';
+import { FountainNPC } from '../npcs/FountainNPC.js';
+import { GuardNPC } from '../npcs/GuardNPC.js';
+import { ChestNPC } from '../npcs/ChestNPC.js';
+import { MonsterNPC } from '../npcs/MonsterNPC.js';
+import { GhostNPC } from '../npcs/GhostNPC.js';
+import { DragonNPC } from '../npcs/DragonNPC.js';
+import { DragonBossNPC } from '../npcs/DragonBossNPC.js';
+import { RainEffect } from '../effects/RainEffect.js';
+import { FogEffect } from '../effects/FogEffect.js';
+
+export const NPC_TYPES = {
+    GuideNPC,
+    MerchantNPC,
+    FountainNPC,
+    GuardNPC,
+    ChestNPC,
+    MonsterNPC,
+    GhostNPC,
+    DragonNPC,
+    DragonBossNPC
+};
+
+export const EFFECT_TYPES = {
+    RainEffect,
+    FogEffect
+};
+
+// Maps with custom code (e.g. their own background) extend BaseMap
+export const MAP_TYPES = {
+    BaseMap,
+    DragonLairMap
+};
+
+/**
+ * Looks up an NPC class.
+ * @param {string} type - Type name, e.g. 'MonsterNPC'
+ * @returns {Function|null} The class or null if it isn't registered
+ */
+export function getNPCType(type) {
+    return NPC_TYPES[type] || null;
+}
+
+/**
+ * Looks up an effect class.
+ * @param {string} type - Type name, e.g. 'FogEffect'
+ * @returns {Function|null} The class or null if it isn't registered
+ */
+export function getEffectType(type) {
+    return EFFECT_TYPES[type] || null;
+}
+
+/**
+ * Looks up a map class.
+ * @param {string} type - Type name, e.g. 'DragonLairMap'
+ * @returns {Function|null} The class or null if it isn't registered
+ */
+export function getMapType(type) {
+    return MAP_TYPES[type] || null;
+}
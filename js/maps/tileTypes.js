@@ -0,0 +1,169 @@
+/**
+ * tileTypes.js
+ * Catalog of tile types, keyed by the numbers map files use in their tile layers.
+ * A tile type decides who can stand on the tile, how slow it is to cross, what happens
+ * to those who step on it and how it is drawn.
+ */
+import { SPRITES } from '../colors.js';
+import { getCombatSystem } from '../combat/damage.js';
+
+/**
+ * Tile numbers as they appear in map data.
+ * @readonly
+ * @enum {number}
+ */
+export const TILES = {
+    GROUND: 0,
+    WALL: 1,
+    WATER: 2,
+    LAVA: 3,
+    DOOR: 4,
+    ICE: 5,
+    SPIKES: 6
+};
+
+/** @type {number} Fire damage dealt on stepping into lava, before resistances */
+const LAVA_DAMAGE = 10;
+
+/** @type {number} Damage dealt by spikes, before defense */
+const SPIKE_DAMAGE = 8;
+
+/**
+ * Definition of each tile type.
+ * - `walkable`: whether entities can stand on it; `canPass(entity)` lets some through anyway
+ * - `solid`: whether it stops projectiles (walls); `blocksSight`: whether it hides what is behind it
+ * - `cost`: how long it takes to cross compared to bare ground (at least 1); paths weigh tiles by it
+ * - `hazard`: NPCs path around it when they can and never wander onto it
+ * - `onEnter(entity, map, otherEntities)`: called when an entity that isn't flying finishes a step onto it
+ * - `render(ctx, x, y, size)`: draws the tile at a screen position
+ * @readonly
+ * @type {Object.<number, Object>}
+ */
+export const TILE_TYPES = {
+    [TILES.GROUND]: {
+        name: 'Ground', walkable: true, solid: false, blocksSight: false, cost: 1,
+        render: (ctx, x, y, size) => fillTile(ctx, x, y, size, SPRITES.PATH)
+    },
+    [TILES.WALL]: {
+        name: 'Wall', walkable: false, solid: true, blocksSight: true, cost: 1,
+        render: (ctx, x, y, size) => fillTile(ctx, x, y, size, SPRITES.BUILDING)
+    },
+    // Deep water: arrows fly over it, but only flying things (ghosts) can cross
+    [TILES.WATER]: {
+        name: 'Water', walkable: false, solid: false, blocksSight: false, cost: 2,
+        canPass: entity => !!entity.canFly,
+        render: (ctx, x, y, size) => {
+            fillTile(ctx, x, y, size, SPRITES.WATER);
+            drawRipples(ctx, x, y, size, 'rgba(160, 210, 255, 0.4)');
+        }
+    },
+    [TILES.LAVA]: {
+        name: 'Lava', walkable: true, solid: false, blocksSight: false, cost: 2, hazard: true,
+        onEnter: entity => {
+            const combat = getCombatSystem(entity);
+            if (!combat) return;
+            combat.takeEffectDamage(LAVA_DAMAGE, null, { type: 'fire' });
+            combat.statusEffects.apply('burn');
+        },
+        render: (ctx, x, y, size) => {
+            fillTile(ctx, x, y, size, SPRITES.LAVA);
+            drawRipples(ctx, x, y, size, 'rgba(255, 200, 0, 0.6)');
+        }
+    },
+    // An open doorway: walk through it, but it can't be seen through
+    [TILES.DOOR]: {
+        name: 'Door', walkable: true, solid: false, blocksSight: true, cost: 1,
+        render: (ctx, x, y, size) => {
+            fillTile(ctx, x, y, size, SPRITES.DOOR);
+            ctx.strokeStyle = SPRITES.BUILDING;
+            ctx.lineWidth = 1;
+            for (let plank = 1; plank < 4; plank++) {
+                ctx.beginPath();
+                ctx.moveTo(x + (size * plank) / 4, y);
+                ctx.lineTo(x + (size * plank) / 4, y + size);
+                ctx.stroke();
+            }
+            ctx.fillStyle = '#C9A227';
+            ctx.beginPath();
+            ctx.arc(x + size * 0.8, y + size / 2, size / 16, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+    // Whoever steps on ice keeps sliding the same way until something stops them
+    [TILES.ICE]: {
+        name: 'Ice', walkable: true, solid: false, blocksSight: false, cost: 1,
+        onEnter: (entity, map, otherEntities) => entity.movementSystem.slide(map, otherEntities),
+        render: (ctx, x, y, size) => {
+            fillTile(ctx, x, y, size, SPRITES.ICE);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x + size * 0.2, y + size * 0.6);
+            ctx.lineTo(x + size * 0.6, y + size * 0.2);
+            ctx.stroke();
+        }
+    },
+    [TILES.SPIKES]: {
+        name: 'Spikes', walkable: true, solid: false, blocksSight: false, cost: 1, hazard: true,
+        onEnter: entity => getCombatSystem(entity)?.takeDamage(SPIKE_DAMAGE, null, { type: 'physical' }),
+        render: (ctx, x, y, size) => {
+            fillTile(ctx, x, y, size, SPRITES.PATH);
+            ctx.fillStyle = '#B0B0B0';
+            for (let row = 0; row < 2; row++) {
+                for (let col = 0; col < 2; col++) {
+                    const spikeX = x + (col + 0.5) * (size / 2);
+                    const spikeY = y + (row + 1) * (size / 2) - size / 8;
+                    ctx.beginPath();
+                    ctx.moveTo(spikeX - size / 8, spikeY);
+                    ctx.lineTo(spikeX, spikeY - size / 4);
+                    ctx.lineTo(spikeX + size / 8, spikeY);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Looks up a tile type. Numbers with no tile type are treated as walls.
+ * @param {number} type - Tile number from map data
+ * @returns {Object} The tile type
+ */
+export function getTileType(type) {
+    return TILE_TYPES[type] || TILE_TYPES[TILES.WALL];
+}
+
+/**
+ * Fills a tile with a flat color.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+ * @param {number} x - Screen x coordinate
+ * @param {number} y - Screen y coordinate
+ * @param {number} size - Tile size in pixels
+ * @param {string} color - Fill color
+ */
+function fillTile(ctx, x, y, size, color) {
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, size, size);
+}
+
+/**
+ * Draws two wavy lines across a liquid tile.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+ * @param {number} x - Screen x coordinate
+ * @param {number} y - Screen y coordinate
+ * @param {number} size - Tile size in pixels
+ * @param {string} color - Line color
+ */
+function drawRipples(ctx, x, y, size, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    [0.35, 0.7].forEach(height => {
+        const waveY = y + size * height;
+        ctx.beginPath();
+        ctx.moveTo(x + size * 0.1, waveY);
+        ctx.quadraticCurveTo(x + size * 0.3, waveY - size * 0.1, x + size * 0.5, waveY);
+        ctx.quadraticCurveTo(x + size * 0.7, waveY + size * 0.1, x + size * 0.9, waveY);
+        ctx.stroke();
+    });
+}
@@ -2,6 +2,10 @@ import { SPRITES } from '../colors.js';
 import { CombatSystem } from '../combat/npc.js';
 import { Marker } from '../UI/Marker.js';
 import { MovementSystem } from '../MovementSystem.js';
+import { LootTable } from '../items/LootTable.js';
+import { getItem } from '../items/items.js';
+import { StateMachine } from '../ai/StateMachine.js';
+import { Perception } from '../ai/Perception.js';
 
 export class BaseNPC {
     constructor({ x, y, name, canMove = false, canMoveThruWalls = false, loot = [] }) {
@@ -23,6 +27,7 @@ export class BaseNPC {
         // Movement properties
         this.canMove = canMove;
         this.canMoveThruWalls = canMoveThruWalls;
+        this.canFly = false; // Flyers cross water and pass over lava, ice and spikes untouched (see tileTypes.js)
         this.speed = 0.5;
         this.moveTimer = 0;
         this.moveInterval = 60; // Time between movement decisions in frames
@@ -30,7 +35,7 @@ export class BaseNPC {
         this.initialX = this.x; // Store initial pixel position
         this.initialY = this.y;
 
-        // Loot properties ( under development )
+        // Loot dropped when defeated: a LootTable, or a plain list of {id, quantity} that always drops
         this.loot = loot;
 
         this.nameTag = {
@@ -65,8 +70,28 @@ export class BaseNPC {
         this.canBeAggressive = false; // Whether the NPC can become aggressive when player is in range
         this.followPlayer = false; // Whether the NPC should always follow the player when in range (friendly or not)
         this.enforceSpawnArea = false; // Whether NPC should still respect spawn area limits when following player
-        this.aggroRange = this.tileSize * 3; // 3 tiles detection range (can be overridden by subclasses)
+        this.aggroRange = this.tileSize * 3; // 3 tiles sight range (can be overridden by subclasses)
         this.followDistance = this.tileSize; // How close the NPC tries to get to target (1 tile)
+        // Whether the player is in sight (vision cone, walls, sneaking) and where they were last seen
+        this.perception = new Perception(this);
+        
+        // Group tactics (see js/ai/tactics.js): NPCs of the same faction answer each other's alerts
+        // and spread out around the player
+        this.faction = null;
+        this.alertRadius = this.tileSize * 5; // How far the alarm carries when this NPC spots the player
+        /** @type {{x: number, y: number}|null} Tile next to the player this NPC has claimed to attack from */
+        this.attackSlot = null;
+        /**
+         * Leader this NPC keeps formation with, and its place relative to the leader in tiles (set with setLeader)
+         * @type {{leader: BaseNPC, offset: {x: number, y: number}}|null}
+         */
+        this.formation = null;
+        
+        /**
+         * Progress along a patrol route, walked in the 'patrol' AI state (set with setPatrolRoute)
+         * @type {{route: PatrolRoute, index: number, step: number, waitUntil: number, isFinished: boolean}|null}
+         */
+        this.patrol = null;
         
         // Path tracking properties
         this.lastTargetX = null;
@@ -94,6 +119,14 @@ export class BaseNPC {
         // Create and initialize combat system
         this.combatSystem = new CombatSystem(this);
         // Health will be calculated from vitality stats
+        // Slows, freezes and roots on the NPC hold back its movement
+        this.movementSystem.statusEffects = this.combatSystem.statusEffects;
+        // Status effect this NPC may inflict when its attacks land, e.g. { effect: 'burn', chance: 0.4 }
+        this.onHitEffect = null;
+        
+        // AI: what the NPC does is decided by its current state, switched by its behavior's transitions.
+        // Subclasses pick another behavior with this.ai.setBehavior() (see js/ai/behaviors.js)
+        this.ai = new StateMachine(this, canMove ? 'wanderer' : 'stationary');
     }
 
     setDebug(debug) {
@@ -119,8 +152,8 @@ export class BaseNPC {
     onConversationComplete() {}
     
     // Take damage from player or other sources
-    takeDamage(amount) {
-        return this.combatSystem.takeDamage(amount);
+    takeDamage(amount, source = null, options = {}) {
+        return this.combatSystem.takeDamage(amount, source, options);
     }
     
     // Heal the NPC
@@ -134,66 +167,67 @@ export class BaseNPC {
     }
     
     // Optional callback for when NPC is defeated
-    onDefeat() {
+    onDefeat(killer = null) {
         this.isDefeated = true;
+        this._dropLoot(killer);
     }
     
-    update(player, deltaTime, map) {
-        // Update combat system
-        this.combatSystem.update(player);
+    /**
+     * Rolls this NPC's loot and rewards whoever defeated it.
+     * Gold goes straight to the killer's purse; items land on the tile the NPC
+     * died on, or straight in the killer's inventory if the table says so.
+     * @param {Player} killer - The entity that landed the final blow
+     * @protected
+     */
+    _dropLoot(killer) {
+        if (!killer || !killer.inventory) return;
         
-        // Don't update if NPC can't move or is in conversation
-        if (!this.canMove || this.isInConversation) return;
+        const { gold, items } = this.loot instanceof LootTable
+            ? this.loot.roll({ lootBonus: killer.combat.stats.calculateLootBonus() })
+            : { gold: 0, items: this.loot };
         
-        if (this.isMoving) {
-            // Continue ongoing movement
-            this._handleMovementAnimation();
-            return; // Exit early to avoid starting new movements while already moving
+        if (gold > 0) {
+            killer.addGold(gold);
+            killer.combat.showPopup(`+${gold}g`);
         }
-
-        // Calculate distance to player for all NPCs
-        const distanceToPlayer = this._getDistanceToPlayer(player);
-        const distanceFromSpawn = this._getDistanceFromSpawn();
         
-        // Dynamically update aggressive state based on player proximity - only for aggressive NPCs
-        if (this.canBeAggressive) {
-            // Check if player is in aggro range
-            if (distanceToPlayer <= this.aggroRange) {
-                // Set NPC to aggressive when player is in range
-                this.isAggressive = true;
-            } else {
-                // Set NPC back to non-aggressive when player is out of range
-                this.isAggressive = false;
-            }
+        let dropped = items;
+        if (this.loot.delivery === 'direct') {
+            dropped = [];
+            items.forEach(({ id, quantity }) => {
+                const leftover = killer.inventory.addItem(id, quantity);
+                if (leftover < quantity) killer.combat.showPopup(`+${quantity - leftover} ${getItem(id)?.name ?? id}`);
+                if (leftover > 0) dropped.push({ id, quantity: leftover });
+            });
         }
         
-        // Handle NPC movement based on current state
-        if (this.followPlayer) {
-            // Always follow player when followPlayer is true, regardless of range
-            this._followTarget(player, map);
-            return; // Skip random movement when following player
-        } else if (this.isAggressive && distanceToPlayer <= this.aggroRange) {
-            // Aggressive NPC follows player only when in aggro range
-            this._followTarget(player, map);
-            return; // Skip random movement when following player
-        } else if (this.canBeAggressive && distanceFromSpawn > 10) { // If aggressive NPC is out of spawn area, return home
-            // Return to spawn position (only for aggressive NPCs)
-            this._returnToSpawn(map);
-            return; // Skip random movement when returning to spawn
+        // Drop whatever wasn't handed over on the tile under the NPC's center
+        if (dropped.length > 0 && killer.map?.addPickup) {
+            const tileX = Math.floor((this.x + this.width / 2) / this.tileSize);
+            const tileY = Math.floor((this.y + this.height / 2) / this.tileSize);
+            killer.map.addPickup(tileX, tileY, dropped);
         }
+    }
+    
+    update(player, deltaTime, map) {
+        // Update combat system
+        this.combatSystem.update(player, map);
+        this.perception.update(player, map);
         
-        // Increment move timer for random movement
-        this.moveTimer += 1;
-        
-        // Random movement if no aggro behavior is triggered
-        if (this.moveTimer >= this.moveInterval) {
-            this.moveTimer = 0;
-            
-            // 50% chance to move randomly
-            if (Math.random() > 0.5) {
-                this._moveRandomly(player, map);
-            }
+        // Finish the step in progress before deciding anything new (conversations hold the NPC in place)
+        if (this.isMoving) {
+            if (!this.isInConversation) this._handleMovementAnimation(player, map);
+            return;
         }
+        
+        this.ai.update({
+            player,
+            map,
+            deltaTime,
+            distanceToPlayer: this._getDistanceToPlayer(player),
+            canSeePlayer: this.perception.canSeeTarget,
+            distanceFromSpawn: this._getDistanceFromSpawn()
+        });
     }
     
     // Set a target position for the NPC to move toward
@@ -213,11 +247,13 @@ export class BaseNPC {
     }
     
     // Handles the movement animation between tiles
-    _handleMovementAnimation() {
+    _handleMovementAnimation(player, map) {
         // Update internal isMoving status based on movement system result
         const reachedTarget = this.movementSystem.handleMovementAnimation();
         if (reachedTarget) {
-            this.isMoving = false;
+            // The tile may hurt the NPC or slide it on across ice
+            map?.enterTile(this, map.npcs ? [...map.npcs, player] : player);
+            this.isMoving = this.movementSystem.isMoving;
         }
     }
     
@@ -257,8 +293,66 @@ export class BaseNPC {
         return this.movementSystem.getDistanceFromSpawn();
     }
     
+    /**
+     * Sends the NPC along a patrol route, starting from its first waypoint.
+     * Patrolling NPCs are not held to the area around their spawn tile.
+     * @param {PatrolRoute|null} route - The route, or null to stop patrolling
+     */
+    setPatrolRoute(route) {
+        this.patrol = route ? { route, index: 0, step: 1, waitUntil: 0, isFinished: false } : null;
+        if (route) {
+            this.movementSystem.moveRange = 0;
+        }
+    }
+    
+    /**
+     * Puts the NPC in a leader's formation. Like patrolling NPCs, followers are not held to
+     * the area around their spawn tile.
+     * @param {BaseNPC|null} leader - The NPC to keep formation with, or null to leave the formation
+     * @param {number} [offsetX=0] - Tiles to the right of the leader (negative for left)
+     * @param {number} [offsetY=1] - Tiles below the leader (negative for above)
+     */
+    setLeader(leader, offsetX = 0, offsetY = 1) {
+        this.formation = leader ? { leader, offset: { x: offsetX, y: offsetY } } : null;
+        if (leader) {
+            this.movementSystem.moveRange = 0;
+        }
+    }
+    
+    /**
+     * Checks whether the NPC has a leader still standing to keep formation with.
+     * @returns {boolean} Whether the NPC is in a formation
+     */
+    hasLeader() {
+        return !!this.formation && !this.formation.leader.isDefeated;
+    }
+    
+    /**
+     * Turns the NPC to face an entity.
+     * @param {Object} target - Entity with x, y, width and height
+     */
+    faceTowards(target) {
+        const dx = (target.x + target.width / 2) - (this.x + this.width / 2);
+        const dy = (target.y + target.height / 2) - (this.y + this.height / 2);
+        this.movementSystem.faceTowardsTarget(dx, dy);
+    }
+    
+    /**
+     * Checks whether the NPC stands on a tile.
+     * @param {number} tileX - Tile X coordinate
+     * @param {number} tileY - Tile Y coordinate
+     * @returns {boolean} Whether the NPC is on the tile
+     */
+    isOnTile(tileX, tileY) {
+        return Math.floor(this.x / this.tileSize) === tileX && Math.floor(this.y / this.tileSize) === tileY;
+    }
+    
+    // The movement helpers below are what the AI states (js/ai/states.js) use to move the NPC
+    
     // Make NPC follow a target (player)
     _followTarget(player, map) {
+        if (!this.canMove) return;
+        
         // Update path change timer to avoid constant recalculation
         this.pathChangeTimer += 1;
         if (this.pathChangeTimer < this.pathChangeInterval / 4) {
@@ -279,6 +373,8 @@ export class BaseNPC {
     
     // Make NPC return to spawn position
     _returnToSpawn(map) {
+        if (!this.canMove) return;
+        
         // Attempt to return to spawn using the movement system
         const startedMoving = this.movementSystem.returnToSpawn(map);
         
@@ -290,6 +386,44 @@ export class BaseNPC {
         }
     }
 
+    // Walk a path towards a tile (e.g. the next patrol waypoint)
+    _moveToTile(tileX, tileY, player, map) {
+        if (!this.canMove) return;
+        
+        const otherEntities = map.npcs ? [...map.npcs, player] : player;
+        if (this.movementSystem.moveAlongPath(tileX, tileY, map, otherEntities)) {
+            this.isMoving = true;
+            this.direction = this.movementSystem.direction;
+        }
+    }
+    
+    // Turn a quarter clockwise, to scan the surroundings while searching
+    _lookAround() {
+        const clockwise = ['up', 'right', 'down', 'left'];
+        this.direction = clockwise[(clockwise.indexOf(this.direction) + 1) % clockwise.length];
+        this.movementSystem.direction = this.direction;
+    }
+    
+    // Step to whichever free neighbouring tile is farthest from a threat
+    _moveAwayFrom(threat, map) {
+        if (!this.canMove || this.isMoving) return;
+        
+        const tileX = Math.floor(this.x / this.tileSize);
+        const tileY = Math.floor(this.y / this.tileSize);
+        const threatTileX = Math.floor(threat.x / this.tileSize);
+        const threatTileY = Math.floor(threat.y / this.tileSize);
+        const currentDistance = Math.abs(tileX - threatTileX) + Math.abs(tileY - threatTileY);
+        
+        const escape = [[0, -1], [1, 0], [0, 1], [-1, 0]]
+            .map(([dx, dy]) => ({ x: tileX + dx, y: tileY + dy }))
+            .filter(tile => Math.abs(tile.x - threatTileX) + Math.abs(tile.y - threatTileY) > currentDistance)
+            .find(tile => this._isValidTileMove(tile.x, tile.y, threat, map));
+        
+        if (escape) {
+            this._attemptMove(escape.x, escape.y, threat, map);
+        }
+    }
+    
     _renderNPC(ctx, screenX, screenY) {
         // Basic NPC appearance with damage effect if damaged
         if (this.combatSystem.isDamaged) {
@@ -384,6 +518,12 @@ export class BaseNPC {
         ctx.arc(screenX + 16, screenY + 16, this.interactionRadius, 0, Math.PI * 2);
         ctx.stroke();
         
+        // Show the AI state
+        ctx.fillStyle = 'cyan';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.ai.getStateName(), screenX + this.width / 2, screenY - 52);
+        
         // Show current tile position
         const tileX = Math.floor(this.x / this.tileSize);
         const tileY = Math.floor(this.y / this.tileSize);
@@ -395,14 +535,13 @@ export class BaseNPC {
         ctx.font = '10px Arial';
         ctx.fillText(`HP: ${this.combatSystem.currentHealth}/${this.combatSystem.maxHealth}`, screenX + this.width / 2, screenY - 30);
         
+        // Show what hostile NPCs can see: their vision cone, or all around once on the alert
+        if (this.canBeAggressive) {
+            this.perception.render(ctx, screenX, screenY);
+        }
+        
         // Show aggro state if aggressive
         if (this.isAggressive) {
-            // Aggro range circle
-            ctx.strokeStyle = 'rgba(255, 0, 0, 0.3)';
-            ctx.beginPath();
-            ctx.arc(screenX + this.width / 2, screenY + this.height / 2, this.aggroRange, 0, Math.PI * 2);
-            ctx.stroke();
-            
             // AGGRO text
             ctx.fillStyle = 'red';
             ctx.font = '12px Arial';
@@ -429,6 +568,25 @@ export class BaseNPC {
             ctx.fill();
         }
         
+        // Show the planned path as a line through the centers of its tiles
+        const path = this.movementSystem.path;
+        if (path.length > 0) {
+            const toScreenX = tileX => screenX + (tileX * this.tileSize - this.x) + this.tileSize / 2;
+            const toScreenY = tileY => screenY + (tileY * this.tileSize - this.y) + this.tileSize / 2;
+
+            ctx.strokeStyle = 'rgba(0, 255, 255, 0.7)';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(screenX + this.width / 2, screenY + this.height / 2);
+            path.forEach(tile => ctx.lineTo(toScreenX(tile.x), toScreenY(tile.y)));
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Mark each step
+            ctx.fillStyle = 'rgba(0, 255, 255, 0.7)';
+            path.forEach(tile => ctx.fillRect(toScreenX(tile.x) - 2, toScreenY(tile.y) - 2, 4, 4));
+        }
+
         // Show movement range from spawn
         if (this.moveRange > 0) {
             ctx.strokeStyle = 'rgba(0, 255, 0, 0.3)';
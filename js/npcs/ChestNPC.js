@@ -1,13 +1,25 @@
 import { BaseNPC } from './BaseNPC.js';
+import { getItem } from '../items/items.js';
 
 export class ChestNPC extends BaseNPC {
-    constructor({ x, y, name = 'Treasure Chest', loot = [] }) {
+    /**
+     * Creates a new treasure chest.
+     * @param {Object} config - Configuration object
+     * @param {number} config.x - Tile X coordinate
+     * @param {number} config.y - Tile Y coordinate
+     * @param {string} [config.name='Treasure Chest'] - Name of the chest
+     * @param {Array<string|{id: string, quantity: number}>} [config.loot=[]] - Item ids (or id/quantity pairs) inside the chest
+     * @param {boolean} [config.locked=false] - Whether the chest stays shut until unlock() is called
+     */
+    constructor({ x, y, name = 'Treasure Chest', loot = [], locked = false }) {
         // Initialize with no movement capabilities
         super({ x, y, name, canMove: false, canMoveThruWalls: false });
         
         // Chest-specific properties
         this.isOpen = false;
-        this.loot = loot;
+        /** @type {boolean} Locked chests can't be opened until something (e.g. a defeated boss) unlocks them */
+        this.isLocked = locked;
+        this.loot = loot.map(entry => typeof entry === 'string' ? { id: entry, quantity: 1 } : { ...entry });
         this.showMarker = true;
         
         // Override combat system properties to make chest non-combat
@@ -32,6 +44,19 @@ export class ChestNPC extends BaseNPC {
                 "Perhaps you'll find more treasures elsewhere."
             ]
         ];
+        
+        // Shown when the player tries to open the chest while it is locked
+        this.lockedMessage = [
+            "The chest is sealed shut by a heavy lock.",
+            "Whatever guards this treasure must be dealt with first."
+        ];
+    }
+    
+    /**
+     * Unlocks the chest so it can be opened.
+     */
+    unlock() {
+        this.isLocked = false;
     }
     
     /**
@@ -39,37 +64,106 @@ export class ChestNPC extends BaseNPC {
      * @param {Player} player - The player interacting with the chest
      */
     interact(player) {
-        if (!this.isOpen) {
-            // First interaction opens the chest
+        if (this.isInConversation) return;
+        
+        if (this.isLocked) {
+            this.isInConversation = true;
+            player.game.showDialog(this.lockedMessage, () => {
+                this.isInConversation = false;
+            });
+            return;
+        }
+        
+        if (!this.isOpen || this.loot.length > 0) {
+            // Opening the chest (or retrying after a full inventory) hands out its loot
+            const wasOpen = this.isOpen;
             this.isOpen = true;
             
-            // Show custom opening message
-            const lootMessage = this.loot.length > 0 ?
-                [`You found: ${this.loot.join(', ')}!`, "What a lucky find!"] :
-                ["Unfortunately, the chest is empty.", "Better luck next time!"];
+            const taken = this._transferLoot(player);
+            const lootMessage = this._getLootMessage(taken, wasOpen);
             
             player.game.showDialog(lootMessage, () => {
                 this.isInConversation = false;
-                this.showMarker = false;
+                this.showMarker = this.loot.length > 0;
                 this.conversationIndex = 1; // Set to the 'empty chest' conversation
                 
                 // Call onOpen callback which can be overridden by maps
-                this.onOpen?.(player);
+                if (!wasOpen) {
+                    this.onOpen?.(player, taken);
+                }
             });
             
             this.isInConversation = true;
         } else {
-            // If already open, use the standard conversation system
+            // If already open and emptied, use the standard conversation system
             super.interact(player);
         }
     }
     
+    /**
+     * Moves as much of the chest's loot as fits into the player's inventory.
+     * Anything that does not fit stays in the chest.
+     * @param {Player} player - The player receiving the loot
+     * @returns {Array<{item: Item, quantity: number}>} Items that were taken
+     * @private
+     */
+    _transferLoot(player) {
+        const taken = [];
+        const remaining = [];
+        
+        for (const entry of this.loot) {
+            const item = getItem(entry.id);
+            if (!item) {
+                console.warn(`${this.name} contains unknown item '${entry.id}'`);
+                continue;
+            }
+            
+            const leftover = player.inventory ? player.inventory.addItem(item, entry.quantity) : entry.quantity;
+            const added = entry.quantity - leftover;
+            
+            if (added > 0) {
+                taken.push({ item, quantity: added });
+            }
+            if (leftover > 0) {
+                remaining.push({ id: entry.id, quantity: leftover });
+            }
+        }
+        
+        this.loot = remaining;
+        return taken;
+    }
+    
+    /**
+     * Builds the dialog shown after taking loot from the chest.
+     * @param {Array<{item: Item, quantity: number}>} taken - Items moved to the inventory
+     * @param {boolean} wasOpen - Whether the chest had been opened before
+     * @returns {string[]} Dialog messages
+     * @private
+     */
+    _getLootMessage(taken, wasOpen) {
+        if (taken.length === 0 && this.loot.length === 0) {
+            return ["Unfortunately, the chest is empty.", "Better luck next time!"];
+        }
+        
+        const messages = [];
+        if (taken.length > 0) {
+            const names = taken.map(({ item, quantity }) => quantity > 1 ? `${item.name} x${quantity}` : item.name);
+            messages.push(`You found: ${names.join(', ')}!`);
+            if (!wasOpen) messages.push("What a lucky find!");
+        }
+        if (this.loot.length > 0) {
+            messages.push("Your inventory is full.", "The rest of the treasure stays in the chest for now.");
+        }
+        return messages;
+    }
+    
     /**
      * Optional callback for when chest is opened
      * @param {Player} player - The player who opened the chest
+     * @param {Array<{item: Item, quantity: number}>} taken - Items moved to the inventory
      */
-    onOpen(player) {
-        console.log(`${player.name} opened the chest and found: ${this.loot.join(', ')}`);
+    onOpen(player, taken) {
+        console.log(`Player opened ${this.name} and found: ${taken.map(({ item }) => item.name).join(', ')}`);
         // Map can override this to implement special effects or rewards
     }
     
@@ -83,8 +177,8 @@ export class ChestNPC extends BaseNPC {
         // Skip most of the base update functionality since chests don't move
         // but we'll keep the visual effects
         
-        // Update glow effect intensity
-        if (!this.isOpen) {
+        // Update glow effect intensity (locked chests don't beckon)
+        if (!this.isOpen && !this.isLocked) {
             this.glowIntensity += 0.03 * this.glowDirection;
             if (this.glowIntensity >= 1) {
                 this.glowIntensity = 1;
@@ -94,7 +188,7 @@ export class ChestNPC extends BaseNPC {
                 this.glowDirection = 1;
             }
         } else {
-            // No glow when open
+            // No glow when open or locked
             this.glowIntensity = 0;
         }
     }
@@ -110,6 +204,9 @@ export class ChestNPC extends BaseNPC {
             this._renderOpenChest(ctx, screenX, screenY);
         } else {
             this._renderClosedChest(ctx, screenX, screenY);
+            if (this.isLocked) {
+                this._renderPadlock(ctx, screenX, screenY);
+            }
         }
         
         // Show or hide name tag based on chest open state
@@ -123,7 +220,7 @@ export class ChestNPC extends BaseNPC {
         this.showNameTag = previousShowNameTag;
         
         // Add glow effect for unopened chests
-        if (!this.isOpen) {
+        if (!this.isOpen && !this.isLocked) {
             this._renderGlowEffect(ctx, screenX, screenY);
         }
     }
@@ -155,6 +252,28 @@ export class ChestNPC extends BaseNPC {
         ctx.strokeRect(x + 4, y + 6, 24, 24);
     }
     
+    /**
+     * Renders a padlock hanging from the front of a locked chest
+     * @param {CanvasRenderingContext2D} ctx - Rendering context
+     * @param {number} x - Screen X position
+     * @param {number} y - Screen Y position
+     * @private
+     */
+    _renderPadlock(ctx, x, y) {
+        // Shackle
+        ctx.strokeStyle = '#A9A9A9';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x + 16, y + 17, 3, Math.PI, 0);
+        ctx.stroke();
+        
+        // Body with keyhole
+        ctx.fillStyle = '#696969';
+        ctx.fillRect(x + 12, y + 17, 8, 7);
+        ctx.fillStyle = '#1A1A1A';
+        ctx.fillRect(x + 15, y + 19, 2, 3);
+    }
+    
     /**
      * Renders an open treasure chest
      * @param {CanvasRenderingContext2D} ctx - Rendering context
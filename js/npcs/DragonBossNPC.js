@@ -1,25 +1,83 @@
 import { DragonNPC } from './DragonNPC.js';
+import { LOOT_TABLES } from '../items/lootTables.js';
+import { Hitbox, HITBOX_SHAPES } from '../combat/Hitbox.js';
 
 /**
- * Dragon boss class, extending the basic dragon with enhanced abilities
- * and more challenging combat mechanics
+ * Phases of the boss fight. A phase begins once the boss's health drops to its `threshold`
+ * (a fraction of max health). Every `attackInterval` ms the boss picks one of the phase's
+ * `attacks`; `onEnter` is performed straight away when the phase begins.
+ * @readonly
+ * @type {Array<{name: string, threshold: number, attackInterval: number, attacks: string[], onEnter?: string}>}
+ */
+const PHASES = [
+    { name: 'Awakened', threshold: 1, attackInterval: 5000, attacks: ['charge', 'breath'] },
+    { name: 'Brood Call', threshold: 0.66, attackInterval: 4500, attacks: ['charge', 'breath', 'summon'], onEnter: 'summon' },
+    { name: 'Enraged', threshold: 0.33, attackInterval: 3000, attacks: ['charge', 'breath', 'summon'], onEnter: 'enrage' }
+];
+
+/**
+ * Stages of a special attack: the wind-up gives the player time to react, the active stage does the damage.
+ * @readonly
+ * @enum {string}
+ */
+const ATTACK_STAGES = {
+    WINDUP: 'windup',
+    ACTIVE: 'active'
+};
+
+/** Charge: after a wind-up the boss dashes in a straight line until it meets a wall, ramming and stunning the player */
+const CHARGE = { windup: 700, speed: 320, maxDistance: 8 * 32, width: 40, damageMultiplier: 1.5 };
+/** Fire breath: the cone is marked on the ground during the wind-up, then flames fill it */
+const BREATH = { windup: 1000, duration: 600, range: 4 * 32, angle: 70, damageMultiplier: 1.2 };
+/** Summon: a Young Dragon answers the roar, up to `max` at a time */
+const SUMMON = { windup: 800, max: 2 };
+/** Enrage: stat bonuses kept for the rest of the fight */
+const ENRAGE = { windup: 800, buffs: { strength: 10, agility: 6 } };
+
+/**
+ * Dragon boss class, extending the basic dragon with a scripted, multi-phase fight.
+ * Between its normal claw and fireball attacks the boss charges, breathes fire,
+ * summons Young Dragons and finally enrages as its health drops.
  */
 export class DragonBossNPC extends DragonNPC {
-    constructor({ x, y, name = "Ancient Dragon" }) {
+    constructor({ x, y, name = "Ancient Dragon", loot = LOOT_TABLES.dragonBoss }) {
         // Initialize with larger size and different color
-        super({ x, y, name, color: "#800000", size: 2 });
-        
+        super({ x, y, name, color: "#800000", size: 2, loot });
+
         // Boss-specific properties
         this.isMoving = false;
-        this.moveCooldown = 5000; // Time between movements
-        this.nextMoveTime = 0;
+        /** @type {boolean} Marks the NPC as a boss, whose health bar is drawn across the top of the screen */
+        this.isBoss = true;
+        /** @type {boolean} Whether the fight has started (stays true once the boss has seen the player) */
+        this.isEngaged = false;
+        /** @type {Array<Object>} Phases of the fight (see PHASES) */
+        this.phases = PHASES;
+        /** @type {number} Index of the current phase */
+        this.phaseIndex = 0;
+        /** @type {number} Timestamp when the next special attack may start */
+        this.nextSpecialAttackTime = 0;
+        /** @type {Object|null} The special attack being performed, with its stage and timers */
+        this.currentAttack = null;
+        /** @type {string[]} Special attacks to perform before picking at random (phase openers) */
+        this.queuedAttacks = [];
+        /** @type {Array<DragonNPC>} Young Dragons summoned during the fight */
+        this.summons = [];
+        /** @type {boolean} Whether the boss has enraged */
+        this.isEnraged = false;
+        /** @type {Function|null} Called with the killer once the boss is defeated (the lair unlocks its chest) */
+        this.onVictory = null;
+
+        // Sees intruders across the whole chamber, whichever way it faces
+        this.aggroRange = this.tileSize * 5;
+        this.perception.fieldOfView = 360;
+        // Its roar calls every dragon in the lair to its defence
+        this.alertRadius = this.tileSize * 16;
 
-        
         // Update combat system for boss
         this.combatSystem.stats.setStat('strength', 25);  // Bosses are stronger than regular monsters
         this.combatSystem.stats.setStat('vitality', 40);  // But have more health
+        this.combatSystem.resistances.fire = 1;  // Centuries in the magma have made it immune to fire
 
-        
         // Special boss conversations
         this.conversations = [
             [
@@ -36,28 +94,399 @@ export class DragonBossNPC extends DragonNPC {
             ]
         ];
     }
-    
+
+    /**
+     * Gets the current phase of the fight.
+     * @returns {Object} The phase (see PHASES)
+     */
+    getPhase() {
+        return this.phases[this.phaseIndex];
+    }
+
     update(player, deltaTime, map) {
+        if (this.currentAttack) {
+            // Hold still while a special attack plays out; cooldowns, status effects and animations keep running
+            this.combatSystem.update(null, map);
+            this._updateSpecialAttack(player, deltaTime, map);
+            return;
+        }
+
         super.update(player, deltaTime, map);
-        
-        // Boss-specific behaviors
-        // Every few seconds, the boss may charge at the player
+        if (this.isDefeated || !this.isAggressive) return;
+
+        if (!this.isEngaged) {
+            this.isEngaged = true;
+            this.nextSpecialAttackTime = Date.now() + this.getPhase().attackInterval;
+        }
+        this._updatePhase();
+
+        // Special attacks start from a standstill, and not while stunned
         const currentTime = Date.now();
-        if (currentTime > this.nextMoveTime && this.isAggressive) {
-            // Set the next move time
-            this.nextMoveTime = currentTime + this.moveCooldown;
-            
-            // Special attack logic could go here
-            // For example, a charge attack or fire breath
+        if (this.isMoving || !this.combatSystem.canAttack()) return;
+        if (this.queuedAttacks.length === 0 && currentTime < this.nextSpecialAttackTime) return;
+
+        const type = this.queuedAttacks.shift() ?? this._pickSpecialAttack();
+        if (type && this._startSpecialAttack(type, player, map)) {
+            this.nextSpecialAttackTime = currentTime + this.getPhase().attackInterval;
+        }
+    }
+
+    /**
+     * Moves on to the next phase once health drops to its threshold, queueing its opening attack.
+     * @private
+     */
+    _updatePhase() {
+        const healthFraction = this.combatSystem.currentHealth / this.combatSystem.maxHealth;
+
+        while (this.phaseIndex < this.phases.length - 1 && healthFraction <= this.phases[this.phaseIndex + 1].threshold) {
+            this.phaseIndex++;
+            const phase = this.getPhase();
+            if (phase.onEnter) this.queuedAttacks.push(phase.onEnter);
+
+            this.combatSystem.animations.play('buff', {
+                duration: 1500,
+                name: phase.name.toUpperCase(),
+                color: 'rgba(255, 80, 0, 0.6)'
+            });
+        }
+    }
+
+    /**
+     * Picks a random special attack of the current phase that can be used right now.
+     * @returns {string|undefined} The attack, or undefined if none can be used
+     * @private
+     */
+    _pickSpecialAttack() {
+        const available = this.getPhase().attacks.filter(type => {
+            if (type === 'summon') return this._getLivingSummons().length < SUMMON.max;
+            if (type === 'charge') return this.movementSystem.canMove();
+            return true;
+        });
+        return available[Math.floor(Math.random() * available.length)];
+    }
+
+    /**
+     * Starts the wind-up of a special attack aimed at the player.
+     * @param {string} type - 'charge', 'breath', 'summon' or 'enrage'
+     * @param {Player} player - The player
+     * @param {BaseMap} map - The boss's map
+     * @returns {boolean} Whether the attack started (a charge needs room to run)
+     * @private
+     */
+    _startSpecialAttack(type, player, map) {
+        const currentTime = Date.now();
+        const dx = player.x + player.width / 2 - (this.x + this.width / 2);
+        const dy = player.y + player.height / 2 - (this.y + this.height / 2);
+        this.movementSystem.faceTowardsTarget(dx, dy);
+
+        const attack = { type, stage: ATTACK_STAGES.WINDUP, hasHit: false };
+        switch (type) {
+            case 'charge': {
+                const length = Math.hypot(dx, dy) || 1;
+                attack.dirX = dx / length;
+                attack.dirY = dy / length;
+                attack.distance = this._measureCharge(attack.dirX, attack.dirY, map);
+                attack.travelled = 0;
+                if (attack.distance < this.tileSize) return false;
+                attack.stageEndTime = currentTime + CHARGE.windup;
+                break;
+            }
+            case 'breath':
+                attack.hitbox = Hitbox.fromEntity(this, { shape: HITBOX_SHAPES.ARC, range: BREATH.range, angle: BREATH.angle });
+                attack.stageEndTime = currentTime + BREATH.windup;
+                break;
+            case 'summon':
+                attack.stageEndTime = currentTime + SUMMON.windup;
+                break;
+            case 'enrage':
+                if (this.isEnraged) return false;
+                attack.stageEndTime = currentTime + ENRAGE.windup;
+                break;
+            default:
+                return false;
+        }
+
+        this.currentAttack = attack;
+        return true;
+    }
+
+    /**
+     * Advances the special attack in progress.
+     * @param {Player} player - The player
+     * @param {number} deltaTime - Time passed since last update in ms
+     * @param {BaseMap} map - The boss's map
+     * @private
+     */
+    _updateSpecialAttack(player, deltaTime, map) {
+        const attack = this.currentAttack;
+        const currentTime = Date.now();
+
+        if (attack.stage === ATTACK_STAGES.WINDUP) {
+            if (currentTime < attack.stageEndTime) return;
+            attack.stage = ATTACK_STAGES.ACTIVE;
+
+            switch (attack.type) {
+                case 'breath':
+                    attack.stageEndTime = currentTime + BREATH.duration;
+                    this.breathEndTime = attack.stageEndTime;
+                    break;
+                case 'summon':
+                    this._summon(player, map);
+                    this.currentAttack = null;
+                    return;
+                case 'enrage':
+                    this._enrage();
+                    this.currentAttack = null;
+                    return;
+            }
+        }
+
+        if (attack.type === 'charge') {
+            this._updateCharge(attack, player, deltaTime, map);
+        } else if (attack.type === 'breath') {
+            if (!attack.hasHit && attack.hitbox.intersects(player)) {
+                attack.hasHit = true;
+                player.takeDamage(this._getSpecialDamage(BREATH.damageMultiplier), this, { type: 'fire' });
+            }
+            if (currentTime >= attack.stageEndTime) this.currentAttack = null;
+        }
+    }
+
+    /**
+     * Moves the boss along its charge, ramming the player once on the way.
+     * @param {Object} attack - The charge in progress
+     * @param {Player} player - The player
+     * @param {number} deltaTime - Time passed since last update in ms
+     * @param {BaseMap} map - The boss's map
+     * @private
+     */
+    _updateCharge(attack, player, deltaTime, map) {
+        // Cap the step so a stalled frame doesn't teleport the boss
+        const step = Math.min(CHARGE.speed * Math.min(deltaTime || 16, 100) / 1000, attack.distance - attack.travelled);
+        this.x += attack.dirX * step;
+        this.y += attack.dirY * step;
+        attack.travelled += step;
+
+        if (!attack.hasHit && this._overlaps(player)) {
+            attack.hasHit = true;
+            const result = player.takeDamage(this._getSpecialDamage(CHARGE.damageMultiplier), this);
+            if (result && result.amount > 0 && !result.defeated) {
+                player.combat.statusEffects.apply('stun', { source: this });
+            }
         }
+
+        if (attack.travelled >= attack.distance) {
+            this._snapToTile(attack, [player, ...map.npcs]);
+            this.currentAttack = null;
+        }
+    }
+
+    /**
+     * Measures how far the boss can charge in a direction before its body would hit a wall.
+     * @param {number} dirX - Normalized X direction
+     * @param {number} dirY - Normalized Y direction
+     * @param {BaseMap} map - The boss's map
+     * @returns {number} Distance in pixels, at most CHARGE.maxDistance
+     * @private
+     */
+    _measureCharge(dirX, dirY, map) {
+        const stepLength = 4;
+        const inset = 4;
+        let distance = 0;
+
+        while (distance + stepLength <= CHARGE.maxDistance) {
+            const x = this.x + dirX * (distance + stepLength);
+            const y = this.y + dirY * (distance + stepLength);
+            const corners = [
+                [x + inset, y + inset],
+                [x + this.width - inset, y + inset],
+                [x + inset, y + this.height - inset],
+                [x + this.width - inset, y + this.height - inset]
+            ];
+            if (corners.some(([cornerX, cornerY]) => !map.isWalkableTile(map.getTileAt(cornerX, cornerY), this))) break;
+            distance += stepLength;
+        }
+        return distance;
+    }
+
+    /**
+     * Settles the boss on the tile under its center after a charge, so tile-by-tile movement can resume.
+     * If someone stands there (a player rammed against a wall), it backs up along its charge to the
+     * nearest free tile, which it has just crossed.
+     * @param {Object} attack - The finished charge
+     * @param {Array<Object>} entities - The player and NPCs, whose tiles the boss must not end on
+     * @private
+     */
+    _snapToTile(attack, entities) {
+        const tileOf = (x, y) => [Math.floor(x / this.tileSize), Math.floor(y / this.tileSize)];
+        const isTaken = ([tileX, tileY]) => entities.some(entity => {
+            if (entity === this || entity.isDefeated) return false;
+            const [takenX, takenY] = tileOf(entity.x + entity.width / 2, entity.y + entity.height / 2);
+            return takenX === tileX && takenY === tileY;
+        });
+
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        let tile = tileOf(centerX, centerY);
+        for (let back = this.tileSize / 2; isTaken(tile) && back <= attack.travelled; back += this.tileSize / 2) {
+            tile = tileOf(centerX - attack.dirX * back, centerY - attack.dirY * back);
+        }
+
+        this.x = tile[0] * this.tileSize;
+        this.y = tile[1] * this.tileSize;
+        this.targetX = this.x;
+        this.targetY = this.y;
+        this.movementSystem.targetX = this.x;
+        this.movementSystem.targetY = this.y;
+        this.movementSystem.isMoving = false;
+        this.movementSystem.clearPath();
+        this.isMoving = false;
+    }
+
+    /**
+     * Calls a Young Dragon onto a free tile next to the boss.
+     * @param {Player} player - The player, whose tile is not free
+     * @param {BaseMap} map - The boss's map
+     * @private
+     */
+    _summon(player, map) {
+        const tileOf = entity => [
+            Math.floor((entity.x + entity.width / 2) / this.tileSize),
+            Math.floor((entity.y + entity.height / 2) / this.tileSize)
+        ];
+        const [tileX, tileY] = tileOf(this);
+        const occupied = [player, ...map.npcs].map(tileOf);
+        const neighbours = [[0, -1], [1, 0], [0, 1], [-1, 0], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+
+        const free = neighbours
+            .map(([dx, dy]) => [tileX + dx, tileY + dy])
+            .find(([x, y]) => map.isWalkableTile(map.mapData[y]?.[x]) && !map.isHazardTile(map.mapData[y]?.[x]) &&
+                !occupied.some(([takenX, takenY]) => takenX === x && takenY === y));
+        if (!free) return;
+
+        // Summoned whelps carry no treasure and are worth no XP, so the fight can't be farmed
+        const whelp = new DragonNPC({ x: free[0], y: free[1], name: "Young Dragon", color: "#A52A2A", loot: [] });
+        whelp.combatSystem.awardsExperience = false;
+        whelp.isAggressive = true;
+        this.summons.push(whelp);
+        map.npcs.push(whelp);
+
+        this.breathEndTime = Date.now() + 300;
+        this.combatSystem.animations.play('buff', { duration: 1000, name: 'ROAR!', color: 'rgba(255, 120, 0, 0.5)' });
     }
-    
+
     /**
-     * Called when the boss is defeated
+     * Gets the Young Dragons summoned by the boss that are still fighting.
+     * @returns {Array<DragonNPC>} Living summons
+     * @private
      */
-    onDefeat() {
-        super.onDefeat();
-        // Special victory effects could happen here
-        console.log("The Ancient Dragon has been vanquished! The dragon's lair is now safe to explore.");
+    _getLivingSummons() {
+        this.summons = this.summons.filter(whelp => !whelp.isDefeated);
+        return this.summons;
+    }
+
+    /**
+     * Enrages the boss for the rest of the fight: stronger and faster.
+     * @private
+     */
+    _enrage() {
+        this.isEnraged = true;
+        this.combatSystem.applyBuff({ ...ENRAGE.buffs }, Infinity, 'Enrage');
+        this.combatSystem.refreshStats();
+        this.combatSystem.animations.play('buff', { duration: 1500, name: 'ENRAGED!', color: 'rgba(255, 0, 0, 0.6)' });
+    }
+
+    /**
+     * Gets the damage of a special attack.
+     * @param {number} multiplier - Multiple of the boss's normal damage
+     * @returns {number} Damage before the player's defenses
+     * @private
+     */
+    _getSpecialDamage(multiplier) {
+        return Math.round(this.combatSystem.stats.calculateDamage() * multiplier);
+    }
+
+    /**
+     * Checks whether the boss's body overlaps an entity.
+     * @param {Object} entity - Entity with x, y, width and height
+     * @returns {boolean} Whether they overlap
+     * @private
+     */
+    _overlaps(entity) {
+        return this.x < entity.x + entity.width && this.x + this.width > entity.x &&
+            this.y < entity.y + entity.height && this.y + this.height > entity.y;
+    }
+
+    _renderNPC(ctx, screenX, screenY) {
+        // Ground warnings go under the dragon
+        if (this.currentAttack) {
+            this._renderAttackWarning(ctx, { x: screenX - this.x, y: screenY - this.y });
+        }
+
+        super._renderNPC(ctx, screenX, screenY);
+
+        // A pulsing red aura once enraged
+        if (this.isEnraged) {
+            const cx = screenX + this.width / 2;
+            const cy = screenY + this.height / 2;
+            const radius = 36 + Math.sin(Date.now() / 120) * 4;
+            const aura = ctx.createRadialGradient(cx, cy, 8, cx, cy, radius);
+            aura.addColorStop(0, 'rgba(255, 0, 0, 0.35)');
+            aura.addColorStop(1, 'rgba(255, 0, 0, 0)');
+            ctx.fillStyle = aura;
+            ctx.beginPath();
+            ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Draws the telegraph of the special attack in progress: the charge lane or the breath cone
+     * flash red on the ground during the wind-up, and the cone fills with flame while breathing.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
+     * @private
+     */
+    _renderAttackWarning(ctx, mapOffset) {
+        const attack = this.currentAttack;
+        const isWindup = attack.stage === ATTACK_STAGES.WINDUP;
+        const pulse = 0.25 + Math.abs(Math.sin(Date.now() / 100)) * 0.2;
+
+        if (attack.type === 'breath') {
+            if (isWindup) {
+                attack.hitbox.render(ctx, mapOffset, 'rgba(255, 0, 0, 0.8)', `rgba(255, 0, 0, ${pulse})`);
+            } else {
+                const flicker = 100 + Math.floor(Math.random() * 80);
+                attack.hitbox.render(ctx, mapOffset, 'rgba(255, 220, 0, 0.9)', `rgba(255, ${flicker}, 0, 0.6)`);
+            }
+        } else if (attack.type === 'charge' && isWindup) {
+            ctx.save();
+            ctx.translate(this.x + this.width / 2 + mapOffset.x, this.y + this.height / 2 + mapOffset.y);
+            ctx.rotate(Math.atan2(attack.dirY, attack.dirX));
+            ctx.fillStyle = `rgba(255, 0, 0, ${pulse})`;
+            ctx.fillRect(0, -CHARGE.width / 2, attack.distance + this.width / 2, CHARGE.width);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Called when the boss is defeated: its brood flees, the player is told of the victory
+     * and onVictory lets the map reward them (the lair unlocks its treasure chest).
+     * @param {Player} [killer] - The entity that landed the final blow
+     */
+    onDefeat(killer) {
+        super.onDefeat(killer);
+        this.currentAttack = null;
+
+        // Whelps scatter once their mother falls (no loot or XP for them)
+        this._getLivingSummons().forEach(whelp => { whelp.isDefeated = true; });
+
+        this.onVictory?.(killer);
+        killer?.combat?.animations.play('levelUp', { text: 'VICTORY!' });
+        killer?.game?.showDialog([
+            "*The Ancient Dragon crashes to the ground with a final roar*",
+            "The flames in the lair flicker and die down.",
+            "Somewhere nearby, a heavy lock clicks open..."
+        ]);
     }
 }
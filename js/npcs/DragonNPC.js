@@ -1,22 +1,43 @@
 import { MonsterNPC } from './MonsterNPC.js';
+import { LOOT_TABLES } from '../items/lootTables.js';
 
 /**
  * Dragon NPC class that extends the monster NPC with dragon-specific
  * properties and rendering
  */
 export class DragonNPC extends MonsterNPC {
-    constructor({ x, y, name = "Mini Dragon", color = "#8B0000", size = 1 }) {
+    constructor({ x, y, name = "Mini Dragon", color = "#8B0000", size = 1, loot = LOOT_TABLES.dragon }) {
         // Initialize with monster capabilities
-        super({ x, y, name });
+        super({ x, y, name, loot });
         
         // Dragon-specific properties
         this.color = color;
         this.size = size; // Size multiplier (1 for mini dragon, 2 for boss)
+        this.faction = 'dragons'; // Dragons only answer the call of their own kind
         
         // Update combat system for dragon
         this.combatSystem.stats.setStat('strength', 12);  // Dragons are stronger than regular monsters
         this.combatSystem.stats.setStat('vitality', 12);  // But have more health
         
+        // Thick scales shrug off a fifth of every physical blow, and fire barely warms them;
+        // cold is what a dragon can't abide
+        this.combatSystem.resistances = { physical: 0.2, fire: 0.75 };
+        this.combatSystem.weaknesses = { ice: 0.5 };
+        
+        // Dragons breathe fireballs at players who keep their distance
+        this.combatSystem.rangedAttack = {
+            projectile: 'fireball',
+            range: this.tileSize * 6,
+            cooldown: 3500,
+            damageMultiplier: 0.75
+        };
+        
+        // Claws and fireballs can set the player alight
+        this.onHitEffect = { effect: 'burn', chance: 0.5 };
+        
+        /** @type {number} Timestamp until which the fire breath is drawn at the dragon's snout */
+        this.breathEndTime = 0;
+        
         // Customize dragon name tag with dramatic appearance
         this.nameTag.font = `${11 + this.size}px Arial`;
         this.nameTag.offsetY = -10 * this.size;
@@ -43,8 +64,15 @@ export class DragonNPC extends MonsterNPC {
         super.update(player, deltaTime, map);
         
         // Add dragon-specific behaviors here
-        // For example, dragons might occasionally breathe fire
-        // or have special movement patterns
+        // For example, special movement patterns
+    }
+    
+    /**
+     * Called by the combat system when the dragon breathes a fireball
+     * @param {Object} target - The entity the fireball was aimed at
+     */
+    onRangedAttack(target) {
+        this.breathEndTime = Date.now() + 300;
     }
     
     // Override the render method to draw a drake (four-legged dragon)
@@ -219,8 +247,8 @@ export class DragonNPC extends MonsterNPC {
         ctx.lineTo(cx + 12*s, cy - 8*s);  // Back to base
         ctx.fill();
         
-        // Draw fire breath effect when aggressive
-        if (this.isAggressive && Math.random() < 0.1) { // Occasional fire breath
+        // Draw fire breath at the snout while a fireball is being breathed
+        if (Date.now() < this.breathEndTime) {
             this._drawFireBreath(ctx, cx + 22*s, cy - 3*s, s);
         }
         
@@ -379,22 +407,12 @@ export class DragonNPC extends MonsterNPC {
         return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
     }
     
-    /**
-     * Override takeDamage to add dragon-specific effects
-     * @param {number} amount - Amount of damage to take
-     * @returns {boolean} - Whether the dragon was defeated
-     */
-    takeDamage(amount) {
-        // Dragons take less damage than regular monsters
-        const reducedDamage = Math.max(1, Math.floor(amount * 0.8));
-        return super.takeDamage(reducedDamage);
-    }
-    
     /**
      * Called when the dragon is defeated (health <= 0)
+     * @param {Player} [killer] - The entity that landed the final blow
      */
-    onDefeat() {
-        super.onDefeat();
+    onDefeat(killer) {
+        super.onDefeat(killer);
         // Add dragon-specific death effects here
         console.log(`The ${this.name} has been slain!`);
     }
@@ -1,8 +1,8 @@
 import { BaseNPC } from './BaseNPC.js';
 
 /**
- * Represents a water fountain in the town that heals the player
- * when they interact with it.
+ * Represents a water fountain in the town that restores the player's
+ * health and stamina when they interact with it.
  */
 export class FountainNPC extends BaseNPC {
     /**
@@ -45,7 +45,7 @@ export class FountainNPC extends BaseNPC {
      * Custom render method to draw the fountain
      * @override
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {{x: number, y: number}} mapOffset - Map offset coordinates
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
      */
     render(ctx, mapOffset) {
         // Calculate screen coordinates
@@ -165,19 +165,21 @@ export class FountainNPC extends BaseNPC {
 
     /**
      * Called when conversation with this NPC is completed
-     * Heals the player to full health and displays buff animation
+     * Restores the player's health and stamina, cures status effects and displays buff animation
      */
     onConversationComplete() {
         // Use the stored player reference from interact method
         if (!this.currentPlayer) return;
         
-        // Fully restore player health
+        // Fully restore player health and stamina
         this.currentPlayer.combat.resetHealth();
+        this.currentPlayer.combat.resetStamina();
+        this.currentPlayer.combat.statusEffects.cleanse();
         
         // Play the buff animation on the player
         this.currentPlayer.combat.animations.play('buff', {
             duration: 2000,
-            name: 'Health Restored!',
+            name: 'Fully Restored!',
             color: '#44ccff'
         });
     }
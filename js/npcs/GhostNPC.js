@@ -1,14 +1,18 @@
 import { BaseNPC } from './BaseNPC.js';
+import { LOOT_TABLES } from '../items/lootTables.js';
 
 export class GhostNPC extends BaseNPC {
-    constructor({ x, y, name = "Spectral Ghost" }) {
+    constructor({ x, y, name = "Spectral Ghost", loot = LOOT_TABLES.ghost }) {
         // Initialize with movement and wall phasing capabilities
-        super({ x, y, name, canMove: true, canMoveThruWalls: true });
+        super({ x, y, name, canMove: true, canMoveThruWalls: true, loot });
         
         // Ghost-specific properties
         this.canBeAggressive = true;
+        this.ai.setBehavior('monster');
+        this.faction = 'monsters';
         this.speed = 0.7; // Slightly faster than monsters
         this.moveInterval = 5; // More frequent movement decisions
+        this.canFly = true; // Drifts over water and never touches the ground
         
         // Visual effect properties
         this.opacity = 0.7;
@@ -18,6 +22,7 @@ export class GhostNPC extends BaseNPC {
 
         //aggro
         this.aggroRange = this.tileSize * 5;
+        this.perception.seesThroughWalls = true; // Walls are no more solid to its eyes than to its body
         
         // Configure combat system for ghost
         this.combatSystem.stats.setStat('strength', 10);  // Ghosts are stronger than regular monsters
@@ -25,6 +30,23 @@ export class GhostNPC extends BaseNPC {
         this.combatSystem.attackRange = this.tileSize * 1;
         this.combatSystem.attackCooldown = 2200;
         
+        // Steel passes straight through a ghost unless it is blessed. Being spirit themselves
+        // they shrug off half of any spirit damage, but fire disperses them
+        this.combatSystem.damageType = 'spirit';
+        this.combatSystem.resistances = { physical: 1, spirit: 0.5 };
+        this.combatSystem.weaknesses = { fire: 0.5 };
+        
+        // Ghosts hurl bolts that drift through walls
+        this.combatSystem.rangedAttack = {
+            projectile: 'ghost_bolt',
+            range: this.tileSize * 4,
+            cooldown: 3000,
+            damageMultiplier: 0.5
+        };
+        
+        // A ghost's touch chills to the bone
+        this.onHitEffect = { effect: 'chill', chance: 1 };
+        
         // Reset health to recalculate max health based on new stats
         this.combatSystem.resetHealth();
         this.combatSystem.healthBar.colors = {
@@ -186,10 +208,12 @@ export class GhostNPC extends BaseNPC {
     
     /**
      * Override takeDamage to add special ghost effects
-     * @param {number} amount - Amount of damage to take
-     * @returns {boolean} - Whether the ghost was defeated
+     * @param {number} amount - Damage before any rolls or reductions
+     * @param {Object} [source] - The entity dealing the damage
+     * @param {Object} [options] - Damage type and blessing (see BaseCombat.takeDamage)
+     * @returns {import('../combat/damage.js').DamageResult} - What became of the hit
      */
-    takeDamage(amount) {
+    takeDamage(amount, source = null, options = {}) {
         // Special visual effect when taking damage
         this.opacity = 0.9; // Flash to more visible when hit
         setTimeout(() => {
@@ -197,14 +221,15 @@ export class GhostNPC extends BaseNPC {
         }, 200);
         
         // Call the parent takeDamage method which uses combat system
-        return super.takeDamage(amount);
+        return super.takeDamage(amount, source, options);
     }
     
     /**
      * Called when the ghost is defeated
+     * @param {Player} [killer] - The entity that landed the final blow
      */
-    onDefeat() {
-        super.onDefeat();
+    onDefeat(killer) {
+        super.onDefeat(killer);
         console.log(`${this.name} has been banished!`);
         // Ghost will be removed in the map's update method
     }
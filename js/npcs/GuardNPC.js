@@ -0,0 +1,63 @@
+import { BaseNPC } from './BaseNPC.js';
+
+/**
+ * Town guard that walks a patrol route (see BaseNPC.setPatrolRoute) and
+ * stops to talk when the player approaches.
+ */
+export class GuardNPC extends BaseNPC {
+    /**
+     * Creates a new GuardNPC instance.
+     * @param {Object} config - Configuration object
+     * @param {number} config.x - Tile X coordinate
+     * @param {number} config.y - Tile Y coordinate
+     * @param {string} [config.name='Town Guard'] - Name of the guard
+     * @param {string} [config.color='#4a6fa5'] - Color of the guard's tabard
+     */
+    constructor({ x, y, name = "Town Guard", color = "#4a6fa5" }) {
+        super({ x, y, name, canMove: true, canMoveThruWalls: false });
+
+        this.color = color;
+        this.movementSystem.speed = 0.6; // Measured marching pace
+        this.ai.setBehavior('guard');
+
+        this.conversations = [
+            [
+                "Halt! Oh, it's you. Welcome back.",
+                "We keep watch over the town day and night.",
+                "Monsters have been spotted in the forest to the south.",
+                "Stay on the path and keep your blade close."
+            ],
+            [
+                "All quiet here, traveller.",
+                "If you see trouble, come running. We'll handle it."
+            ]
+        ];
+    }
+
+    _renderNPC(ctx, screenX, screenY) {
+        // Tabard over mail
+        ctx.fillStyle = '#9a9a9a';
+        ctx.fillRect(screenX + 8, screenY + 12, 16, 16);
+        ctx.fillStyle = this.color;
+        ctx.fillRect(screenX + 11, screenY + 13, 10, 14);
+
+        // Face under a steel helmet
+        ctx.fillStyle = '#E6C7A1';
+        ctx.fillRect(screenX + 10, screenY + 5, 12, 8);
+        ctx.fillStyle = '#b0b0b0';
+        ctx.fillRect(screenX + 9, screenY + 2, 14, 4);
+
+        // Spear held on the side the guard is walking towards
+        const spearX = this.direction === 'left' ? screenX + 5 : screenX + 26;
+        ctx.fillStyle = '#6b4a2b';
+        ctx.fillRect(spearX, screenY + 2, 2, 28);
+        ctx.fillStyle = '#d0d0d0';
+        ctx.beginPath();
+        ctx.moveTo(spearX - 2, screenY + 4);
+        ctx.lineTo(spearX + 1, screenY - 3);
+        ctx.lineTo(spearX + 4, screenY + 4);
+        ctx.fill();
+
+        this._renderName(ctx, screenX, screenY);
+    }
+}
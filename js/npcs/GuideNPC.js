@@ -4,6 +4,7 @@ export class GuideNPC extends BaseNPC {
     constructor({ x, y, name = "Guide" }) {
         super({ x, y, name, canMove: true, canMoveThruWalls: false });
         this.followPlayer = true;
+        this.ai.setBehavior('follower');
         this.conversations = [
             [
                 "Hello there! Welcome to our little town!",
@@ -12,6 +13,8 @@ export class GuideNPC extends BaseNPC {
                 "Use WASD or arrow keys to move around.",
                 "Press E near NPCs like me to talk.",
                 "Press Q to attack nearby monsters.",
+                "Z, X and C use your skills: Whirlwind, Dash and Heal.",
+                "Skills, sprinting with Shift and heavy attacks with R all use stamina.",
                 "You're doing great! Keep pressing E or Space to continue..."
             ],
             [
@@ -25,6 +28,7 @@ export class GuideNPC extends BaseNPC {
                 "WASD or Arrows to move",
                 "E to interact with NPCs and objects",
                 "Q to attack nearby monsters",
+                "Z, X and C for your skills",
                 "Come back if you need more help!"
             ]
         ];
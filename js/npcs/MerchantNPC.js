@@ -1,31 +1,78 @@
 import { BaseNPC } from './BaseNPC.js';
 import { SPRITES } from '../colors.js';
+import { Shop } from '../items/Shop.js';
+
+/**
+ * Default wares of a town merchant. Consumables restock over time,
+ * gear is one of a kind.
+ */
+const DEFAULT_STOCK = [
+    { id: 'health_potion', price: 20, quantity: 5, restock: 2 },
+    { id: 'stamina_tonic', price: 20, quantity: 5, restock: 2 },
+    { id: 'antidote', price: 15, quantity: 3, restock: 1 },
+    { id: 'elixir_of_strength', price: 60, quantity: 2, restock: 1 },
+    { id: 'elixir_of_vitality', price: 60, quantity: 2, restock: 1 },
+    { id: 'iron_sword', price: 50, quantity: 1 },
+    { id: 'hunting_spear', price: 55, quantity: 1 },
+    { id: 'woodcutter_axe', price: 55, quantity: 1 },
+    { id: 'hunting_bow', price: 60, quantity: 1 },
+    { id: 'frostbite_spear', price: 100, quantity: 1 },
+    { id: 'ember_axe', price: 100, quantity: 1 },
+    { id: 'blessed_blade', price: 120, quantity: 1 },
+    { id: 'leather_armor', price: 45, quantity: 1 },
+    { id: 'chainmail', price: 120, quantity: 1 }
+];
 
 export class MerchantNPC extends BaseNPC {
-    constructor({ x, y, name = "Merchant" }) {
+    /**
+     * Creates a new MerchantNPC instance.
+     * @param {Object} config - Configuration object
+     * @param {number} config.x - Tile X coordinate
+     * @param {number} config.y - Tile Y coordinate
+     * @param {string} [config.name="Merchant"] - Name of the merchant (also the shop name)
+     * @param {Array<Object>} [config.stock] - Items for sale (see Shop)
+     * @param {number} [config.restockInterval] - Milliseconds between restocks
+     */
+    constructor({ x, y, name = "Merchant", stock = DEFAULT_STOCK, restockInterval }) {
         super({ x, y, name });
         
+        /** @type {Shop} The merchant's wares */
+        this.shop = new Shop({ name, stock, restockInterval });
 
+        // Greeting shown before the shop opens; the last one repeats on later visits
         this.conversations = [
             [
                 "Welcome to my shop, traveler!",
-                "I'm afraid we're not quite open yet...",
-                "But soon I'll have many wonderful items for sale!",
-                "Come back later when we're fully set up."
-            ],
-            [
-                "Still setting up the shop...",
-                "Running a business isn't easy, you know!",
-                "But it'll be worth the wait, I promise!"
+                "Potions, elixirs, a blade or two... all at honest prices!",
+                "And if you bring back anything from the forest, I'll buy it."
             ],
             [
-                "Ah, you again! Still working on inventory...",
-                "A good merchant never rushes quality!",
-                "Check back in another time!"
+                "Ah, you again! Let's see what you need today."
             ]
         ];
     }
 
+    /**
+     * Greets the player, then opens the shop panel.
+     * @override
+     * @param {Object} player - The player interacting with the merchant
+     */
+    interact(player) {
+        if (this.isInConversation) return;
+        
+        this.isInConversation = true;
+        const greeting = this.conversations[this.conversationIndex];
+        
+        player.game.showDialog(greeting, () => {
+            this.showMarker = false;
+            this.conversationIndex = Math.min(this.conversationIndex + 1, this.conversations.length - 1);
+            
+            player.game.showShop(this.shop, () => {
+                this.isInConversation = false;
+            });
+        });
+    }
+
     _renderNPC(ctx, screenX, screenY) {
         // Custom merchant appearance
         // Body with robe
@@ -1,12 +1,15 @@
 import { BaseNPC } from './BaseNPC.js';
+import { LOOT_TABLES } from '../items/lootTables.js';
 
 export class MonsterNPC extends BaseNPC {
-    constructor({ x, y, name = "Forest Monster" }) {
+    constructor({ x, y, name = "Forest Monster", loot = LOOT_TABLES.monster }) {
         // Initialize with movement capabilities
-        super({ x, y, name, canMove: true, canMoveThruWalls: false });
+        super({ x, y, name, canMove: true, canMoveThruWalls: false, loot });
         
         // Monster-specific properties - don't override speed as we're using tile-by-tile movement now
         this.canBeAggressive = true; // Start aggressive by default
+        this.ai.setBehavior('monster'); // Wander, chase and attack the player in range, then head home
+        this.faction = 'monsters'; // Monsters nearby join in when one spots the player
 
         
         // Visual effect properties
@@ -19,6 +22,12 @@ export class MonsterNPC extends BaseNPC {
         this.combatSystem.attackRange = this.tileSize * 1;
         this.combatSystem.attackCooldown = 1500;
         
+        // Shaggy forest beasts go up like tinder
+        this.combatSystem.weaknesses = { fire: 0.5 };
+        
+        // Festering claws sometimes poison
+        this.onHitEffect = { effect: 'poison', chance: 0.25 };
+        
         // Reset health to recalculate max health based on new stats
         this.combatSystem.resetHealth();
         
@@ -61,16 +70,6 @@ export class MonsterNPC extends BaseNPC {
         }
     }
     
-    // Override the render method
-    render(ctx, mapOffset) {
-        super.render(ctx, mapOffset);
-        const screenX = this.x + mapOffset.x;
-        const screenY = this.y + mapOffset.y;
-
-        // Render the basic NPC components
-        this._renderNPC(ctx, screenX, screenY);
-    }
-    
     _renderNPC(ctx, screenX, screenY) {
         
         // Monster body
@@ -150,20 +149,23 @@ export class MonsterNPC extends BaseNPC {
     
     /**
      * Override takeDamage to add additional effects if needed
-     * @param {number} amount - Amount of damage to take
-     * @returns {boolean} - Whether the monster was defeated
+     * @param {number} amount - Damage before any rolls or reductions
+     * @param {Object} [source] - The entity dealing the damage
+     * @param {Object} [options] - Damage type and blessing (see BaseCombat.takeDamage)
+     * @returns {import('../combat/damage.js').DamageResult} - What became of the hit
      */
-    takeDamage(amount) {
+    takeDamage(amount, source = null, options = {}) {
         // Call the parent takeDamage method which uses combat system
-        return super.takeDamage(amount);
+        return super.takeDamage(amount, source, options);
     }
     
     /**
      * Called when the monster is defeated (health <= 0)
      * Marks the monster for removal from the map
+     * @param {Player} [killer] - The entity that landed the final blow
      */
-    onDefeat() {
-        super.onDefeat();
+    onDefeat(killer) {
+        super.onDefeat(killer);
         // Monster death animation or effects can be added here
         console.log(`${this.name} has been defeated!`);
         // Monster will be removed in the map's update method
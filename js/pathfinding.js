@@ -0,0 +1,102 @@
+/**
+ * pathfinding.js
+ * Grid pathfinding over map tiles: A* with a Manhattan distance heuristic and
+ * movement in the four cardinal directions, matching tile-by-tile movement.
+ * Tiles can cost more than one step to cross (water, hazards); none may cost less.
+ */
+
+/** Cardinal steps, in the order neighbours are explored */
+const NEIGHBOURS = [
+    { x: 0, y: -1 },
+    { x: 1, y: 0 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 }
+];
+
+/**
+ * Manhattan distance between two tiles, the exact cost of an unobstructed path with cardinal moves.
+ * @param {{x: number, y: number}} a - First tile
+ * @param {{x: number, y: number}} b - Second tile
+ * @returns {number} Distance in tiles
+ */
+export function manhattanDistance(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+/**
+ * Finds the shortest path between two tiles with A*.
+ * @param {{x: number, y: number}} start - Tile to start from
+ * @param {{x: number, y: number}} goal - Tile to reach
+ * @param {function(number, number): boolean} isPassable - Whether a tile can be stepped on
+ * @param {Object} [options] - Search options
+ * @param {number} [options.maxNodes=1000] - Give up after expanding this many tiles
+ * @param {boolean} [options.allowPartial=false] - If the goal can't be reached, return the path to
+ *     the explored tile closest to it instead of null
+ * @param {function(number, number): number} [options.getCost] - Cost of stepping on a tile (1 if not given)
+ * @returns {Array<{x: number, y: number}>|null} Tiles to step on in order (without the start tile),
+ *     or null if there is no path
+ */
+export function findPath(start, goal, isPassable, { maxNodes = 1000, allowPartial = false, getCost = () => 1 } = {}) {
+    const key = (x, y) => `${x},${y}`;
+    const startNode = { x: start.x, y: start.y, g: 0, h: manhattanDistance(start, goal), parent: null };
+    const open = [startNode];
+    const nodes = new Map([[key(start.x, start.y), startNode]]);
+    const closed = new Set();
+    let closest = startNode;
+    let expanded = 0;
+
+    while (open.length > 0 && expanded < maxNodes) {
+        // Maps are small, so a linear scan for the lowest f (ties go to the node nearer the goal) is enough
+        let bestIndex = 0;
+        for (let i = 1; i < open.length; i++) {
+            const node = open[i];
+            const best = open[bestIndex];
+            if (node.g + node.h < best.g + best.h || (node.g + node.h === best.g + best.h && node.h < best.h)) {
+                bestIndex = i;
+            }
+        }
+        const current = open.splice(bestIndex, 1)[0];
+
+        if (current.h === 0) return buildPath(current);
+
+        closed.add(key(current.x, current.y));
+        expanded++;
+        if (current.h < closest.h) closest = current;
+
+        for (const step of NEIGHBOURS) {
+            const x = current.x + step.x;
+            const y = current.y + step.y;
+            const neighbourKey = key(x, y);
+            if (closed.has(neighbourKey) || !isPassable(x, y)) continue;
+
+            const g = current.g + getCost(x, y);
+            const known = nodes.get(neighbourKey);
+            if (known && known.g <= g) continue;
+
+            if (known) {
+                // Found a shorter way to a tile already waiting in the open list
+                known.g = g;
+                known.parent = current;
+            } else {
+                const node = { x, y, g, h: manhattanDistance({ x, y }, goal), parent: current };
+                nodes.set(neighbourKey, node);
+                open.push(node);
+            }
+        }
+    }
+
+    return allowPartial ? buildPath(closest) : null;
+}
+
+/**
+ * Walks back from a node to the start to list the tiles of its path.
+ * @param {Object} node - Last node of the path
+ * @returns {Array<{x: number, y: number}>} Tiles from the first step to the node
+ */
+function buildPath(node) {
+    const path = [];
+    for (let current = node; current.parent; current = current.parent) {
+        path.unshift({ x: current.x, y: current.y });
+    }
+    return path;
+}
@@ -2,6 +2,19 @@ import { SPRITES } from './colors.js';
 import { PlayerCombat } from './combat/player.js';
 import { MovementSystem } from './MovementSystem.js';
 import { InventoryUI } from './UI/InventoryUI.js';
+import { Hotbar } from './UI/Hotbar.js';
+import { SkillBar } from './UI/SkillBar.js';
+import { SkillSet } from './skills/SkillSet.js';
+import { Inventory } from './items/Inventory.js';
+import { ItemStack } from './items/ItemStack.js';
+import { getItem } from './items/items.js';
+
+/** @type {number} How much faster than walking the player moves while sprinting */
+const SPRINT_SPEED_MULTIPLIER = 1.75;
+/** @type {number} Stamina spent for every tile sprinted */
+const SPRINT_STAMINA_COST = 3;
+/** @type {number} How fast the player creeps while sneaking, compared to walking */
+const SNEAK_SPEED_MULTIPLIER = 0.5;
 
 /**
  * Represents a player character in the game world.
@@ -24,14 +37,10 @@ export class Player {
     isMoving = false;
     /** @type {boolean} Whether the player is in a map transition */
     isTransitioning = false;
+    /** @type {boolean} Whether the player is sneaking, which halves how far monsters notice them */
+    isSneaking = false;
     /** @type {'up'|'down'|'left'|'right'} Current facing direction of the player */
     direction = 'down';
-    /** 
-     * @type {Object} Offset for centering the map
-     * @property {number} x Horizontal map offset
-     * @property {number} y Vertical map offset
-     */
-    mapOffset = { x: 0, y: 0 };
     /** @type {Map|null} Reference to the current game map */
     map = null;
     /** @type {InputHandler|null} Reference to the input handling system */
@@ -42,12 +51,22 @@ export class Player {
     combat = null;
     /** @type {number} Player's gold currency */
     gold = 0;
-    /** @type {Object|null} Player's equipped weapon */
+    /** @type {import('./items/Item.js').Item|null} Player's equipped weapon */
     equippedWeapon = null;
-    /** @type {Object|null} Player's equipped armor */
+    /** @type {import('./items/Item.js').Item|null} Player's equipped armor */
     equippedArmor = null;
+    /** @private @type {Object.<string, string|null>} Stat buff ids granted by each equipment slot */
+    _equipmentBuffIds = { weapon: null, armor: null };
+    /** @type {Inventory} Player's item container */
+    inventory = null;
     /** @type {import('./UI/InventoryUI.js').InventoryUI} Player's inventory UI */
     inventoryUI = null;
+    /** @type {Hotbar} Quick-use consumable slots */
+    hotbar = null;
+    /** @type {SkillSet} Active skills and their key bindings */
+    skills = null;
+    /** @type {SkillBar} Skill cooldown HUD */
+    skillBar = null;
 
     /**
      * Creates a new Player instance.
@@ -66,7 +85,8 @@ export class Player {
         this.movementSystem = new MovementSystem(this, {
             speed: this.speed,
             tileSize: this.tileSize,
-            direction: this.direction
+            direction: this.direction,
+            statusEffects: this.combat.statusEffects
         });
         
         // Set initial target position
@@ -76,13 +96,22 @@ export class Player {
         // Initialize with starting gold
         this.gold = 1;
         
+        // Initialize item container (one slot per inventory UI cell)
+        this.inventory = new Inventory({ size: 40 });
+        
+        // Initialize hotbar before the inventory UI so it can assign hotbar slots
+        this.hotbar = new Hotbar(this);
+        
+        // Initialize the starting skills and their cooldown bar
+        this.skills = new SkillSet(this, ['whirlwind', 'dash', 'heal']);
+        this.skillBar = new SkillBar(this.skills);
+        
         // Initialize inventory UI
         this.inventoryUI = new InventoryUI(this);
     }
 
     /**
      * Sets the current map for the player and handles initial spawn positioning.
-     * Also calculates map offset for centered rendering.
      * @param {Map} map - The map instance to set
      */
     setMap(map) {
@@ -90,19 +119,18 @@ export class Player {
         if (this.initialSpawn) {
             this._handleInitialSpawn();
         }
-        this._calculateMapOffset();
     }
 
     /**
      * Handles the initial spawn of the player on the map.
-     * Searches for the first walkable tile (type 0) and places the player there.
+     * Searches for the first walkable tile that isn't a hazard and places the player there.
      * Sets initialSpawn to false after successful placement.
      * @private
      */
     _handleInitialSpawn() {
         for (let y = 0; y < this.map.mapData.length; y++) {
             for (let x = 0; x < this.map.mapData[y].length; x++) {
-                if (this.map.mapData[y][x] === 0) {
+                if (this.map.isWalkableTile(this.map.mapData[y][x], this) && !this.map.isHazardTile(this.map.mapData[y][x])) {
                     this.x = x * this.map.tileSize;
                     this.y = y * this.map.tileSize;
                     this.initialSpawn = false;
@@ -113,17 +141,6 @@ export class Player {
         }
     }
 
-    /**
-     * Calculates the offset required to center the map on screen.
-     * Uses the map dimensions and canvas size (800x600) to determine offset.
-     * Updates mapOffset.x and mapOffset.y with the calculated values.
-     * @private
-     */
-    _calculateMapOffset() {
-        this.mapOffset.x = (800 - this.map.mapData[0].length * this.map.tileSize) / 2;
-        this.mapOffset.y = (600 - this.map.mapData.length * this.map.tileSize) / 2;
-    }
-
     /**
      * Sets the input handler for player controls.
      * @param {InputHandler} input - The input handler instance
@@ -149,12 +166,12 @@ export class Player {
     }
 
     /**
-     * Attack nearby aggressive monsters.
-     * @param {number} damage - Amount of damage to deal
-     * @param {number} range - Range in pixels to detect monsters
+     * Swings the equipped weapon in the facing direction.
+     * @param {number} damage - Amount of damage to deal (defaults to the damage calculated from stats and gear)
+     * @param {number} [range] - Reach in pixels (defaults to the equipped weapon's reach)
      * @returns {boolean} - Whether any monsters were attacked
      */
-    attack(damage = 20, range = this.tileSize * 1) {
+    attack(damage = this.combat.attackDamage, range = null) {
         return this.combat.attack(damage, range);
     }
 
@@ -187,13 +204,153 @@ export class Player {
         return this.gold;
     }
 
+    /**
+     * Awards experience points, levelling up the player when enough are earned
+     * @param {number} amount - XP to award
+     * @returns {number} Number of levels gained
+     */
+    gainExperience(amount) {
+        return this.combat.gainExperience(amount);
+    }
+
+    /**
+     * Gets the player's current level
+     * @returns {number} Current level
+     */
+    getLevel() {
+        return this.combat.experience.level;
+    }
+
+    /**
+     * Gets the item equipped in a slot.
+     * @param {'weapon'|'armor'} slot - Equipment slot
+     * @returns {import('./items/Item.js').Item|null} The equipped item or null
+     */
+    getEquipped(slot) {
+        if (slot === 'weapon') return this.equippedWeapon;
+        if (slot === 'armor') return this.equippedArmor;
+        return null;
+    }
+
+    /**
+     * Equips the item in an inventory slot. Anything already worn in the same
+     * equipment slot is swapped back into that inventory slot.
+     * @param {number} slotIndex - Inventory slot holding the item
+     * @returns {boolean} Whether the item was equipped
+     */
+    equip(slotIndex) {
+        const stack = this.inventory.getSlot(slotIndex);
+        if (!stack || !stack.item.isEquippable()) return false;
+        
+        const item = stack.item;
+        const slot = item.getEquipSlot();
+        const previous = this.getEquipped(slot);
+        
+        this.inventory.removeFromSlot(slotIndex, 1);
+        if (previous) {
+            this._removeEquipmentBonus(slot);
+            // The slot we took from is empty now unless it held a stack
+            if (!this.inventory.getSlot(slotIndex)) {
+                this.inventory.setSlot(slotIndex, new ItemStack(previous, 1));
+            } else {
+                this.inventory.addItem(previous);
+            }
+        }
+        
+        this._setEquipped(slot, item);
+        this._applyEquipmentBonus(slot, item);
+        return true;
+    }
+
+    /**
+     * Moves the item in an equipment slot back into the inventory.
+     * @param {'weapon'|'armor'} slot - Equipment slot to empty
+     * @returns {boolean} Whether the item was unequipped (false if nothing is equipped or the inventory is full)
+     */
+    unequip(slot) {
+        const item = this.getEquipped(slot);
+        if (!item || !this.inventory.canAdd(item)) return false;
+        
+        this._removeEquipmentBonus(slot);
+        this._setEquipped(slot, null);
+        this.inventory.addItem(item);
+        return true;
+    }
+
+    /**
+     * Uses one consumable from an inventory slot.
+     * @param {number} slotIndex - Inventory slot holding the item
+     * @returns {boolean} Whether the item was used (false if it is not usable or would have no effect)
+     */
+    useItem(slotIndex) {
+        const stack = this.inventory.getSlot(slotIndex);
+        if (!stack || !stack.item.isUsable()) return false;
+        
+        if (!this.combat.applyConsumable(stack.item)) return false;
+        
+        this.inventory.removeFromSlot(slotIndex, 1);
+        return true;
+    }
+
+    /**
+     * Removes all equipment without returning it to the inventory.
+     */
+    clearEquipment() {
+        for (const slot of ['weapon', 'armor']) {
+            this._removeEquipmentBonus(slot);
+            this._setEquipped(slot, null);
+        }
+    }
+
+    /**
+     * Stores an item in an equipment slot.
+     * @param {'weapon'|'armor'} slot - Equipment slot
+     * @param {import('./items/Item.js').Item|null} item - Item to store
+     * @private
+     */
+    _setEquipped(slot, item) {
+        if (slot === 'weapon') {
+            this.equippedWeapon = item;
+        } else if (slot === 'armor') {
+            this.equippedArmor = item;
+        }
+    }
+
+    /**
+     * Grants an item's stat bonuses as a buff that lasts until the item is removed.
+     * @param {'weapon'|'armor'} slot - Equipment slot the item is in
+     * @param {import('./items/Item.js').Item} item - The equipped item
+     * @private
+     */
+    _applyEquipmentBonus(slot, item) {
+        if (Object.keys(item.stats).length > 0) {
+            this._equipmentBuffIds[slot] = this.combat.applyBuff({ ...item.stats }, Infinity, item.name);
+        }
+        this.combat.refreshStats();
+    }
+
+    /**
+     * Removes the stat bonuses granted by an equipment slot.
+     * @param {'weapon'|'armor'} slot - Equipment slot
+     * @private
+     */
+    _removeEquipmentBonus(slot) {
+        if (this._equipmentBuffIds[slot]) {
+            this.combat.stats.removeBuff(this._equipmentBuffIds[slot]);
+            this._equipmentBuffIds[slot] = null;
+        }
+        this.combat.refreshStats();
+    }
+
     /**
      * Handles player movement in the specified direction.
      * Checks for collisions and updates player position accordingly.
      * @param {number} dx - Horizontal movement direction (-1, 0, or 1)
      * @param {number} dy - Vertical movement direction (-1, 0, or 1)
+     * @param {boolean} [sprint=false] - Whether to sprint (costs stamina; walks when there isn't enough).
+     *     Sneaking players creep instead
      */
-    move(dx, dy) {
+    move(dx, dy, sprint = false) {
         if (!this.map || this.isMoving) return;
         if (dx !== 0 && dy !== 0) return;
 
@@ -212,11 +369,47 @@ export class Player {
         
         if (startedMoving) {
             this.isMoving = true;
+            if (this.isSneaking) {
+                this.movementSystem.speed = this.speed * SNEAK_SPEED_MULTIPLIER;
+            } else if (sprint && this.combat.spendStamina(SPRINT_STAMINA_COST)) {
+                this.movementSystem.speed = this.speed * SPRINT_SPEED_MULTIPLIER;
+            }
             // Direction is automatically updated by the movement system
             this.direction = this.movementSystem.direction;
         }
     }
 
+    /**
+     * Dashes forward in the facing direction, stopping early at walls or NPCs.
+     * @param {number} tiles - Maximum number of tiles to travel
+     * @param {number} [speedMultiplier=4] - How much faster than walking the dash moves
+     * @returns {boolean} Whether the player moved at all
+     */
+    dash(tiles, speedMultiplier = 4) {
+        if (!this.map || this.isMoving) return false;
+        
+        const dx = this.direction === 'left' ? -1 : this.direction === 'right' ? 1 : 0;
+        const dy = this.direction === 'up' ? -1 : this.direction === 'down' ? 1 : 0;
+        const currentTileX = Math.floor(this.x / this.tileSize);
+        const currentTileY = Math.floor(this.y / this.tileSize);
+        const npcs = this.map.npcs || [];
+        
+        // Find the furthest free tile along the way
+        let distance = 0;
+        while (distance < tiles &&
+               this.movementSystem.isValidTileMove(currentTileX + dx * (distance + 1), currentTileY + dy * (distance + 1), this.map, npcs)) {
+            distance++;
+        }
+        if (distance === 0) return false;
+        
+        this.movementSystem.speed = this.speed * speedMultiplier;
+        this.movementSystem.targetX = (currentTileX + dx * distance) * this.tileSize;
+        this.movementSystem.targetY = (currentTileY + dy * distance) * this.tileSize;
+        this.movementSystem.isMoving = true;
+        this.isMoving = true;
+        return true;
+    }
+
     /**
      * Handles the continuous movement animation between tiles.
      * @private
@@ -226,9 +419,13 @@ export class Player {
         const reachedTarget = this.movementSystem.handleMovementAnimation();
         
         if (reachedTarget) {
+            // Back to walking speed after a dash, sprint or sneak
+            this.movementSystem.speed = this.speed;
+            // The tile may hurt the player or, on ice, carry them on
+            this.map.enterTile(this, this.map.npcs || []);
             // Ensure player state is synchronized with movement system
-            this.isMoving = false;
-            this._checkMapTransition();
+            this.isMoving = this.movementSystem.isMoving;
+            if (!this.isMoving) this._checkMapTransition();
         }
     }
 
@@ -236,24 +433,49 @@ export class Player {
 
     /**
      * Checks if the player's current position triggers a map transition.
+     * Exits that ask first wait for E instead (see _interact).
      * @private
      */
     _checkMapTransition() {
-        // Don't check for transitions if we're already transitioning
-        if (this.isTransitioning || (this.game._transition && this.game._transition.isActive())) {
-            return;
+        const exit = this._getExitHere();
+        if (exit && !exit.prompt) {
+            this._useExit(exit);
         }
+    }
+
+    /**
+     * Gets the exit the player is standing on.
+     * @returns {MapExit|null} The exit, or null if there is none
+     * @private
+     */
+    _getExitHere() {
+        if (!this.map.getExitAt) return null;
         
         const tileX = Math.floor((this.x + this.width/2) / this.tileSize);
         const tileY = Math.floor((this.y + this.height/2) / this.tileSize);
+        return this.map.getExitAt(tileX, tileY);
+    }
+
+    /**
+     * Goes through an exit, unlocking it first with a key from the inventory if needed.
+     * @param {MapExit} exit - The exit to take
+     * @private
+     */
+    _useExit(exit) {
+        // Don't use exits if we're already transitioning
+        if (this.isTransitioning || (this.game._transition && this.game._transition.isActive())) {
+            return;
+        }
         
-        for (const [mapName, transitions] of Object.entries(this.map.transitions)) {
-            for (const transition of transitions) {
-                if (transition.x.includes(tileX) && tileY === transition.y) {
-                    this.game.changeMap(mapName, transition.destination);
-                    break;
-                }
-            }
+        if (!exit.isLocked) {
+            this.game.changeMap(exit.to, exit.destination);
+        } else if (exit.tryUnlock(this.inventory)) {
+            const keyName = getItem(exit.key)?.name || exit.key;
+            this.game.showDialog([`You unlock the way with the ${keyName}.`], () => {
+                this.game.changeMap(exit.to, exit.destination);
+            });
+        } else {
+            this.game.showDialog(exit.lockedMessage);
         }
     }
 
@@ -267,20 +489,32 @@ export class Player {
         // Don't process movement input if dialog is active or player is in transition
         if (this.game._dialog.isActive() || this.isTransitioning) return;
         
+        const sprint = this.input.isPressed('Shift');
+        this.isSneaking = this.input.isPressed('v');
         if (this.input.isPressed('ArrowLeft') || this.input.isPressed('a')) {
-            this.move(-1, 0);
+            this.move(-1, 0, sprint);
         } else if (this.input.isPressed('ArrowRight') || this.input.isPressed('d')) {
-            this.move(1, 0);
+            this.move(1, 0, sprint);
         } else if (this.input.isPressed('ArrowUp') || this.input.isPressed('w')) {
-            this.move(0, -1);
+            this.move(0, -1, sprint);
         } else if (this.input.isPressed('ArrowDown') || this.input.isPressed('s')) {
-            this.move(0, 1);
+            this.move(0, 1, sprint);
         } else if (this.input.isPressed('e')) {
             this._interact();
         }
     }
 
+    /**
+     * Uses the exit the player stands on if it waits for E, or talks to the nearest NPC.
+     * @private
+     */
     _interact() {
+        const exit = this._getExitHere();
+        if (exit && exit.prompt) {
+            this._useExit(exit);
+            return;
+        }
+        
         if (!this.map.getNearbyNPC) return;
         
         const nearbyNPC = this.map.getNearbyNPC(this);
@@ -314,6 +548,17 @@ export class Player {
             }
         }
         
+        // Handle heavy attack with 'r' key - same conditions as a normal attack
+        if (this.input.isPressed('r') && !this.isMoving && !this.game._dialog.isActive() && !this.isTransitioning) {
+            this.combat.heavyAttack();
+        }
+        
+        // Handle hotbar number keys and skill keys - only if not in transition
+        if (!this.game._dialog.isActive() && !this.isTransitioning) {
+            this.hotbar.update(this.input);
+            this.skills.update(this.input);
+        }
+        
         // Update combat system
         this.combat.update();
         
@@ -368,9 +613,10 @@ export class Player {
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
      * @param {number} screenX - Screen X coordinate
      * @param {number} screenY - Screen Y coordinate
+     * @param {{x: number, y: number}} mapOffset - Camera offset (see Camera.getOffset)
      * @private
      */
-    _renderDebug(ctx, screenX, screenY) {
+    _renderDebug(ctx, screenX, screenY, mapOffset) {
         ctx.strokeStyle = 'blue';
         ctx.lineWidth = 2;
         ctx.strokeRect(screenX, screenY, this.width, this.height);
@@ -389,6 +635,9 @@ export class Player {
         ctx.lineTo(screenX + this.width / 2 + dirX, screenY + this.height / 2 + dirY);
         ctx.stroke();
         
+        // Area the next attack will hit
+        this.combat.getAttackHitbox().render(ctx, mapOffset);
+        
         // Debug health info
         ctx.font = '10px Arial';
         ctx.fillStyle = 'white';
@@ -399,23 +648,57 @@ export class Player {
      * Renders the player character to the canvas.
      * Includes debug visualization when enabled.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {Camera} camera - The camera the map is seen through
      */
-    render(ctx) {
-        const mapOffset = this.map.getMapOffset();
+    render(ctx, camera) {
+        const mapOffset = camera.getOffset();
         const screenX = this.x + mapOffset.x;
         const screenY = this.y + mapOffset.y;
 
         // Flash player when invulnerable using combat system logic
         if (this.combat.shouldRenderEntity()) {
+            // Faded while sneaking
+            ctx.save();
+            if (this.isSneaking) ctx.globalAlpha = 0.6;
             this._renderPlayer(ctx, screenX, screenY);
+            ctx.restore();
             this.combat.render(ctx, screenX, screenY);
         }
         
+        if (!this.isMoving) {
+            this._renderExitPrompt(ctx, screenX, screenY);
+        }
+        
         if (this.debug) {
-            this._renderDebug(ctx, screenX, screenY);
+            this._renderDebug(ctx, screenX, screenY, mapOffset);
         }
     }
 
+    /**
+     * Shows the hint of an exit that waits for E above the player standing on it.
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context
+     * @param {number} screenX - Screen X coordinate
+     * @param {number} screenY - Screen Y coordinate
+     * @private
+     */
+    _renderExitPrompt(ctx, screenX, screenY) {
+        const exit = this._getExitHere();
+        if (!exit || !exit.prompt) return;
+        
+        const destination = this.game && this.game._maps && this.game._maps[exit.to];
+        const text = exit.getPrompt(destination ? destination.name : exit.to);
+        
+        ctx.save();
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        const textWidth = ctx.measureText(text).width;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(screenX + this.width / 2 - textWidth / 2 - 6, screenY - 26, textWidth + 12, 18);
+        ctx.fillStyle = exit.isLocked ? 'rgba(255, 210, 90, 0.95)' : 'white';
+        ctx.fillText(text, screenX + this.width / 2, screenY - 13);
+        ctx.restore();
+    }
+
     /**
      * Shows hit animation when player takes damage
      */
@@ -435,10 +718,13 @@ export class Player {
     
     /**
      * Takes damage and reduces the player's health
-     * @param {number} amount - Amount of damage to take
+     * @param {number} amount - Damage before any rolls or reductions
+     * @param {Object} [source] - The entity dealing the damage
+     * @param {Object} [options] - Damage type and blessing (see BaseCombat.takeDamage)
+     * @returns {import('./combat/damage.js').DamageResult|null} - What became of the hit (null while invulnerable)
      */
-    takeDamage(amount) {
-        this.combat.takeDamage(amount);
+    takeDamage(amount, source = null, options = {}) {
+        return this.combat.takeDamage(amount, source, options);
     }
     
     /**
@@ -0,0 +1,162 @@
+/**
+ * Skill.js
+ * Describes an active skill: what it costs, who it hits and what it does.
+ * Skills are defined once in the catalog (skills.js) and shared by every caster.
+ */
+import { Hitbox, HITBOX_SHAPES } from '../combat/Hitbox.js';
+
+/**
+ * Shapes a skill can target.
+ * @readonly
+ * @enum {string}
+ */
+export const SKILL_SHAPES = {
+    SELF: 'self',   // Only the caster
+    CONE: 'cone',   // A wedge in front of the caster
+    LINE: 'line',   // A straight strip in front of the caster
+    AREA: 'area'    // A circle around the caster
+};
+
+/**
+ * Kinds of effect a skill can have.
+ * @readonly
+ * @enum {string}
+ */
+export const SKILL_EFFECTS = {
+    DAMAGE: 'damage',
+    HEAL: 'heal',
+    BUFF: 'buff'
+};
+
+/**
+ * Hitbox shape used for each targeted skill shape.
+ * @readonly
+ * @type {Object.<string, string>}
+ */
+const SHAPE_HITBOXES = {
+    [SKILL_SHAPES.AREA]: HITBOX_SHAPES.CIRCLE,
+    [SKILL_SHAPES.CONE]: HITBOX_SHAPES.ARC,
+    [SKILL_SHAPES.LINE]: HITBOX_SHAPES.LINE
+};
+
+export class Skill {
+    /**
+     * Creates a new skill definition.
+     * @param {Object} config - Skill configuration
+     * @param {string} config.id - Unique skill id
+     * @param {string} config.name - Display name
+     * @param {string} config.icon - Emoji shown in the skill bar
+     * @param {string} [config.description=''] - Short description
+     * @param {string} [config.key] - Default key binding
+     * @param {number} [config.cooldown=1000] - Milliseconds before the skill can be used again
+     * @param {number} [config.cost=0] - Stamina spent on each use
+     * @param {Object} [config.target] - Who the skill affects
+     * @param {string} [config.target.shape='self'] - One of SKILL_SHAPES
+     * @param {number} [config.target.range=32] - Radius (area), length (line, cone) in pixels
+     * @param {number} [config.target.width=32] - Width of a line in pixels
+     * @param {number} [config.target.angle=90] - Opening of a cone in degrees
+     * @param {Object} config.effect - What the skill does
+     * @param {string} config.effect.type - One of SKILL_EFFECTS
+     * @param {number} [config.effect.multiplier=1] - Damage as a multiple of the caster's attack damage
+     * @param {string} [config.effect.damageType] - Damage type dealt (defaults to that of the caster's weapon)
+     * @param {number} [config.effect.amount] - Flat heal amount
+     * @param {number} [config.effect.percent] - Heal as a fraction of max health
+     * @param {Object.<string, number>} [config.effect.buffs] - Stat changes granted by a buff
+     * @param {number} [config.effect.duration] - Buff duration in milliseconds
+     * @param {number} [config.dash=0] - Tiles the caster dashes forward after the effect
+     * @param {string} [config.color='rgba(0, 255, 255, 0.7)'] - Color of the skill animation
+     */
+    constructor({
+        id,
+        name,
+        icon,
+        description = '',
+        key = null,
+        cooldown = 1000,
+        cost = 0,
+        target = {},
+        effect,
+        dash = 0,
+        color = 'rgba(0, 255, 255, 0.7)'
+    }) {
+        this.id = id;
+        this.name = name;
+        this.icon = icon;
+        this.description = description;
+        this.key = key;
+        this.cooldown = cooldown;
+        this.cost = cost;
+        this.target = {
+            shape: SKILL_SHAPES.SELF,
+            range: 32,
+            width: 32,
+            angle: 90,
+            ...target
+        };
+        this.effect = effect;
+        this.dash = dash;
+        this.color = color;
+    }
+
+    /**
+     * Finds the entities inside the skill's target shape.
+     * Self-targeted skills only ever affect the caster.
+     * @param {Object} caster - The entity using the skill
+     * @param {Array<Object>} candidates - Entities that could be hit
+     * @returns {Array<Object>} Entities inside the shape
+     */
+    getTargets(caster, candidates) {
+        if (this.target.shape === SKILL_SHAPES.SELF) {
+            return [caster];
+        }
+
+        const hitbox = this.getHitbox(caster);
+        return candidates.filter(entity => hitbox.intersects(entity));
+    }
+
+    /**
+     * Builds the hitbox of a targeted skill at the caster's position.
+     * @param {Object} caster - The entity using the skill
+     * @returns {Hitbox} The area the skill hits
+     */
+    getHitbox(caster) {
+        const { shape, range, width, angle } = this.target;
+        return Hitbox.fromEntity(caster, { shape: SHAPE_HITBOXES[shape], range, width, angle });
+    }
+
+    /**
+     * Applies the skill's effect to its targets.
+     * @param {Object} caster - The entity using the skill (must have a combat system)
+     * @param {Array<Object>} targets - Entities returned by getTargets
+     * @returns {boolean} Whether the skill was used (false if the effect would be wasted, e.g. healing at full health)
+     */
+    applyEffect(caster, targets) {
+        const combat = caster.combat;
+
+        switch (this.effect.type) {
+            case SKILL_EFFECTS.DAMAGE: {
+                const damage = Math.round(combat.attackDamage * (this.effect.multiplier ?? 1));
+                const options = combat.getDamageOptions();
+                if (this.effect.damageType) options.type = this.effect.damageType;
+                targets.forEach(target => target.takeDamage(damage, caster, options));
+                return true;
+            }
+            case SKILL_EFFECTS.HEAL: {
+                combat.refreshStats();
+                if (combat.currentHealth >= combat.maxHealth) return false;
+
+                const amount = this.effect.amount ?? Math.round(combat.maxHealth * (this.effect.percent ?? 0));
+                combat.heal(amount);
+                return true;
+            }
+            case SKILL_EFFECTS.BUFF:
+                // Recasting refreshes the buff instead of stacking it
+                combat.stats.removeBuffsByName(this.name);
+                combat.applyBuff({ ...this.effect.buffs }, this.effect.duration, this.name);
+                combat.refreshStats();
+                return true;
+            default:
+                return false;
+        }
+    }
+}
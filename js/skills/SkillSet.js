@@ -0,0 +1,148 @@
+/**
+ * SkillSet.js
+ * The skills a player knows, the keys they are bound to and their cooldowns.
+ */
+import { getSkill } from './skills.js';
+
+export class SkillSet {
+    /**
+     * Creates a new SkillSet instance.
+     * @param {Object} player - Reference to the player object
+     * @param {Array<string>} [skillIds=[]] - Ids of the skills the player starts with
+     */
+    constructor(player, skillIds = []) {
+        this.player = player;
+
+        /** @type {Array<import('./Skill.js').Skill>} Known skills, in skill bar order */
+        this.skills = [];
+        /** @type {Object.<string, string>} Key bound to each skill id */
+        this.bindings = {};
+
+        /** @private @type {Object.<string, number>} Timestamp at which each skill comes off cooldown */
+        this._readyTimes = {};
+        /** @private @type {Set<string>} Skill keys held down last frame (so holding a key casts once) */
+        this._keysDown = new Set();
+
+        skillIds.forEach(id => this.learn(id));
+    }
+
+    /**
+     * Adds a skill to the set, bound to its default key.
+     * @param {string} skillId - Id of the skill to learn
+     * @returns {boolean} Whether the skill was learned (false if unknown or already known)
+     */
+    learn(skillId) {
+        const skill = getSkill(skillId);
+        if (!skill || this.hasSkill(skillId)) return false;
+
+        this.skills.push(skill);
+        if (skill.key) {
+            this.bind(skillId, skill.key);
+        }
+        return true;
+    }
+
+    /**
+     * Checks whether a skill is known.
+     * @param {string} skillId - Skill id
+     * @returns {boolean} Whether the skill is in the set
+     */
+    hasSkill(skillId) {
+        return this.skills.some(skill => skill.id === skillId);
+    }
+
+    /**
+     * Binds a key to a skill. Any other skill using the key is unbound.
+     * @param {string} skillId - Skill id
+     * @param {string} key - Key name as reported by the InputHandler
+     */
+    bind(skillId, key) {
+        for (const [id, boundKey] of Object.entries(this.bindings)) {
+            if (boundKey === key) delete this.bindings[id];
+        }
+        this.bindings[skillId] = key;
+    }
+
+    /**
+     * Gets how long until a skill can be used again.
+     * @param {string} skillId - Skill id
+     * @returns {number} Milliseconds left on the cooldown (0 when ready)
+     */
+    getCooldownRemaining(skillId) {
+        return Math.max(0, (this._readyTimes[skillId] || 0) - Date.now());
+    }
+
+    /**
+     * Checks whether the player has the stamina to pay for a skill.
+     * @param {string} skillId - Skill id
+     * @returns {boolean} Whether the skill is affordable
+     */
+    canAfford(skillId) {
+        const skill = getSkill(skillId);
+        return !!skill && this.player.combat.hasStamina(skill.cost);
+    }
+
+    /**
+     * Uses a skill: hits everything in its target shape, pays its stamina cost,
+     * plays its animation and starts its cooldown. Dash skills then carry the player forward.
+     * Nothing can be used while stunned, and dash skills can't be used while the player can't move.
+     * @param {string} skillId - Skill id
+     * @returns {boolean} Whether the skill was used
+     */
+    use(skillId) {
+        const skill = this.skills.find(known => known.id === skillId);
+        if (!skill || this.getCooldownRemaining(skillId) > 0 || !this.canAfford(skillId)) return false;
+
+        const player = this.player;
+        if (!player.combat.canAttack()) return false;
+        if (skill.dash > 0 && (player.isMoving || !player.movementSystem.canMove())) return false;
+
+        const enemies = (player.map?.npcs || []).filter(npc => npc.canBeAggressive && !npc.isDefeated);
+        const targets = skill.getTargets(player, enemies);
+        if (!skill.applyEffect(player, targets)) return false;
+
+        player.combat.spendStamina(skill.cost);
+        this._readyTimes[skillId] = Date.now() + skill.cooldown;
+
+        player.combat.animations.play('skill', {
+            skillName: skill.name,
+            color: skill.color,
+            shape: skill.target.shape,
+            range: skill.target.range,
+            width: skill.target.width,
+            angle: skill.target.angle,
+            direction: player.direction,
+            trail: skill.dash > 0
+        });
+
+        if (skill.dash > 0) {
+            player.dash(skill.dash);
+        }
+        return true;
+    }
+
+    /**
+     * Uses skills when their bound key is pressed.
+     * @param {InputHandler} input - The input handler
+     */
+    update(input) {
+        for (const [skillId, key] of Object.entries(this.bindings)) {
+            if (input.isPressed(key)) {
+                if (!this._keysDown.has(key)) {
+                    this._keysDown.add(key);
+                    this.use(skillId);
+                }
+            } else {
+                this._keysDown.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Clears every cooldown.
+     */
+    reset() {
+        this._readyTimes = {};
+        this._keysDown.clear();
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * skills.js
+ * Catalog of every active skill in the game, keyed by skill id.
+ */
+import { Skill, SKILL_SHAPES, SKILL_EFFECTS } from './Skill.js';
+
+/**
+ * All skill definitions, keyed by id.
+ * @type {Object.<string, Skill>}
+ */
+export const SKILLS = {
+    whirlwind: new Skill({
+        id: 'whirlwind',
+        name: 'Whirlwind',
+        icon: '🌀',
+        description: 'Spin with your blade, striking every enemy around you.',
+        key: 'z',
+        cooldown: 6000,
+        cost: 25,
+        target: { shape: SKILL_SHAPES.AREA, range: 48 },
+        effect: { type: SKILL_EFFECTS.DAMAGE, multiplier: 1.2 },
+        color: 'rgba(180, 220, 255, 0.7)'
+    }),
+    dash: new Skill({
+        id: 'dash',
+        name: 'Dash',
+        icon: '💨',
+        description: 'Charge up to three tiles forward, cutting through enemies in your path.',
+        key: 'x',
+        cooldown: 4000,
+        cost: 15,
+        target: { shape: SKILL_SHAPES.LINE, range: 96, width: 32 },
+        effect: { type: SKILL_EFFECTS.DAMAGE, multiplier: 0.6 },
+        dash: 3,
+        color: 'rgba(255, 255, 255, 0.7)'
+    }),
+    heal: new Skill({
+        id: 'heal',
+        name: 'Heal',
+        icon: '✨',
+        description: 'Restore 30% of your maximum health.',
+        key: 'c',
+        cooldown: 12000,
+        cost: 30,
+        target: { shape: SKILL_SHAPES.SELF },
+        effect: { type: SKILL_EFFECTS.HEAL, percent: 0.3 },
+        color: 'rgba(120, 255, 140, 0.7)'
+    })
+};
+
+/**
+ * Looks up a skill definition by id.
+ * @param {string} id - Skill id
+ * @returns {Skill|null} The skill or null if it doesn't exist
+ */
+export function getSkill(id) {
+    return SKILLS[id] || null;
+}